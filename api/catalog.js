@@ -0,0 +1,6 @@
+import { getCatalog } from '../server/catalog.js';
+import { withCors } from '../server/apiAccess.js';
+
+export default withCors(async function handler(_req, res) {
+  res.status(200).json(getCatalog());
+});
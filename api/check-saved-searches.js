@@ -0,0 +1,20 @@
+import { runAllSavedSearches } from '../server/alerts/index.js';
+import { sendError } from '../server/httpErrors.js';
+import { requireCronSecret, withCors } from '../server/apiAccess.js';
+
+// Target for the scheduled (Vercel cron) invocation: a GET carrying
+// `Authorization: Bearer <CRON_SECRET>`. API keys and session tokens are not
+// enough, since a run re-searches every saved search.
+export default withCors(async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+  try {
+    requireCronSecret(req);
+    res.status(200).json(await runAllSavedSearches());
+  } catch (err) {
+    sendError(res, err);
+  }
+});
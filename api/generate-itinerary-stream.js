@@ -0,0 +1,6 @@
+import { streamFlowA } from '../server/streamFlowA.js';
+import { withApiAccess } from '../server/apiAccess.js';
+
+export default withApiAccess(async function handler(req, res) {
+  await streamFlowA(req.body || {}, res);
+});
@@ -1,12 +1,12 @@
 import { processFlowA } from '../server/flowAHandler.js';
+import { sendError } from '../server/httpErrors.js';
+import { withApiAccess } from '../server/apiAccess.js';
 
-export default async function handler(req, res) {
+export default withApiAccess(async function handler(req, res) {
   try {
     const result = await processFlowA(req.body || {});
     res.status(200).json(result);
   } catch (err) {
-    const status = err?.status || 500;
-    res.status(status).json({ error: err?.message || 'Internal error', detail: err?.detail });
+    sendError(res, err);
   }
-}
-
+});
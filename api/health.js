@@ -0,0 +1,11 @@
+import { withCors } from '../server/apiAccess.js';
+import { describeHealth } from '../server/health.js';
+import { sendError } from '../server/httpErrors.js';
+
+export default withCors(async function handler(_req, res) {
+  try {
+    res.status(200).json(await describeHealth());
+  } catch (err) {
+    sendError(res, err);
+  }
+});
@@ -0,0 +1,11 @@
+import { withCors } from '../server/apiAccess.js';
+import { metricsAuthorized, renderMetrics } from '../server/metrics.js';
+
+export default withCors(async function handler(req, res) {
+  if (!metricsAuthorized(req)) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return;
+  }
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+  res.status(200).send(renderMetrics());
+});
@@ -0,0 +1,6 @@
+import { listOriginAirports } from '../server/originAirports.js';
+import { withCors } from '../server/apiAccess.js';
+
+export default withCors(async function handler(_req, res) {
+  res.status(200).json({ airports: listOriginAirports() });
+});
@@ -1,4 +1,5 @@
-export default async function handler(_req, res) {
-  res.status(200).json({ message: 'pong' });
-}
+import { withCors } from '../server/apiAccess.js';
 
+export default withCors(async function handler(_req, res) {
+  res.status(200).json({ message: 'pong' });
+});
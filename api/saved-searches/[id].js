@@ -0,0 +1,18 @@
+import { deleteSavedSearch, getSavedSearch, ownerTokenFrom } from '../../server/alerts/index.js';
+import { sendError } from '../../server/httpErrors.js';
+import { withApiAccess } from '../../server/apiAccess.js';
+
+export default withApiAccess(async function handler(req, res) {
+  try {
+    const { id } = req.query;
+    if (req.method === 'GET') {
+      res.status(200).json(await getSavedSearch(id, ownerTokenFrom(req)));
+    } else if (req.method === 'DELETE') {
+      res.status(200).json(await deleteSavedSearch(id, ownerTokenFrom(req)));
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (err) {
+    sendError(res, err);
+  }
+});
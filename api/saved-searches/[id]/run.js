@@ -0,0 +1,15 @@
+import { ownerTokenFrom, runSavedSearch } from '../../../server/alerts/index.js';
+import { sendError } from '../../../server/httpErrors.js';
+import { withApiAccess } from '../../../server/apiAccess.js';
+
+export default withApiAccess(async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+  try {
+    res.status(200).json(await runSavedSearch(req.query.id, ownerTokenFrom(req)));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
@@ -0,0 +1,18 @@
+import { createSavedSearch, listSavedSearches } from '../../server/alerts/index.js';
+import { sendError } from '../../server/httpErrors.js';
+import { requireCronSecret, withApiAccess } from '../../server/apiAccess.js';
+
+export default withApiAccess(async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      requireCronSecret(req);
+      res.status(200).json(await listSavedSearches());
+    } else if (req.method === 'POST') {
+      res.status(201).json(await createSavedSearch(req.body || {}));
+    } else {
+      res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (err) {
+    sendError(res, err);
+  }
+});
@@ -0,0 +1,10 @@
+import { issueSessionToken, withCors } from '../server/apiAccess.js';
+import { sendError } from '../server/httpErrors.js';
+
+export default withCors(async function handler(req, res) {
+  try {
+    res.status(200).json(issueSessionToken(req));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
@@ -0,0 +1,11 @@
+import { getShare } from '../../server/sharedResults.js';
+import { sendError } from '../../server/httpErrors.js';
+import { withApiAccess } from '../../server/apiAccess.js';
+
+export default withApiAccess(async function handler(req, res) {
+  try {
+    res.status(200).json(await getShare(req.query.id));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
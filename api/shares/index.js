@@ -0,0 +1,15 @@
+import { createShare } from '../../server/sharedResults.js';
+import { sendError } from '../../server/httpErrors.js';
+import { withApiAccess } from '../../server/apiAccess.js';
+
+export default withApiAccess(async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+  try {
+    res.status(201).json(await createShare(req.body || {}));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
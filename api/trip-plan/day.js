@@ -0,0 +1,12 @@
+import { regenerateTripPlanDay } from '../../server/tripPlan.js';
+import { sendError } from '../../server/httpErrors.js';
+import { withApiAccess } from '../../server/apiAccess.js';
+
+export default withApiAccess(async function handler(req, res) {
+  try {
+    const result = await regenerateTripPlanDay(req.body || {});
+    res.status(200).json(result);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
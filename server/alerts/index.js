@@ -0,0 +1,240 @@
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from 'node:crypto';
+import path from 'node:path';
+import { GENERATE_ITINERARY_REQUEST, validateAgainst } from '../../shared/apiSchema.js';
+import { requireCard, unknownProgramErrors } from '../catalog.js';
+import { monthToDateRange, processFlowA } from '../flowAHandler.js';
+import { invalidRequest } from '../httpErrors.js';
+import { createEmailNotifier, createLogNotifier, createWebhookNotifier } from './notifiers.js';
+import { compareSnapshots, snapshotOptions } from './snapshot.js';
+import { defaultStoreKind, isKvConfigured, kvClientFromEnv, requireWritableFiles } from '../kv.js';
+import { createFileSearchStore, createKvSearchStore, createMemorySearchStore } from './store.js';
+
+// Saved Flow A searches and availability alerts.
+//
+// Creating a search returns an owner token, once; it is stored only as a hash
+// and must be sent as X-Saved-Search-Token to read, run or delete the search.
+// Listing every search (without notifyEmail) is for operators only: the routes
+// require CRON_SECRET (see requireCronSecret in apiAccess.js).
+//
+// Storage (see store.js):
+//   SAVED_SEARCH_STORE=kv (default when KV_REST_API_URL / KV_REST_API_TOKEN are
+//   set) | file (default otherwise; not on Vercel) | memory
+//   SAVED_SEARCH_FILE for the file store (default .data/saved-searches.json)
+//
+// Delivery (see notifiers.js):
+//   ALERT_NOTIFIER=log (default) | webhook | email
+//   webhook: ALERT_WEBHOOK_URL, optional ALERT_WEBHOOK_SECRET
+//   email:   ALERT_EMAIL_API_URL, ALERT_EMAIL_FROM, optional ALERT_EMAIL_API_KEY
+
+const SAVED_FIELDS = ['cardDisplayName', 'edgePoints', 'origin', 'destination', 'travelMonth', 'cabin', 'onlyDirect', 'travellers', 'maxCashInr', 'programs', 'destinationAirports', 'maxStops'];
+
+let searchStore = null;
+
+export const searchStoreKind = () => defaultStoreKind('SAVED_SEARCH_STORE');
+
+function getSearchStore() {
+  if (searchStore) return searchStore;
+  const kind = searchStoreKind();
+  if (kind === 'memory') {
+    searchStore = createMemorySearchStore();
+  } else if (kind === 'kv' && isKvConfigured()) {
+    searchStore = createKvSearchStore({ client: kvClientFromEnv() });
+  } else if (kind === 'file') {
+    requireWritableFiles('SAVED_SEARCH_STORE');
+    searchStore = createFileSearchStore({
+      file: path.resolve(process.env.SAVED_SEARCH_FILE || '.data/saved-searches.json'),
+    });
+  } else {
+    const err = new Error('Unknown saved search store');
+    err.status = 500;
+    err.detail = kind === 'kv'
+      ? 'SAVED_SEARCH_STORE=kv needs KV_REST_API_URL and KV_REST_API_TOKEN'
+      : 'SAVED_SEARCH_STORE must be one of: kv, file, memory';
+    throw err;
+  }
+  return searchStore;
+}
+
+const NOTIFIERS = {
+  log: () => createLogNotifier(),
+  webhook: () =>
+    createWebhookNotifier({
+      url: process.env.ALERT_WEBHOOK_URL || '',
+      secret: process.env.ALERT_WEBHOOK_SECRET || '',
+    }),
+  email: () =>
+    createEmailNotifier({
+      apiUrl: process.env.ALERT_EMAIL_API_URL || '',
+      apiKey: process.env.ALERT_EMAIL_API_KEY || '',
+      from: process.env.ALERT_EMAIL_FROM || '',
+    }),
+};
+
+let activeNotifier = null;
+
+function getNotifier() {
+  const name = (process.env.ALERT_NOTIFIER || 'log').trim().toLowerCase();
+  if (activeNotifier?.name === name) return activeNotifier;
+
+  const factory = NOTIFIERS[name];
+  if (!factory) {
+    const err = new Error('Unknown alert notifier');
+    err.status = 500;
+    err.detail = `ALERT_NOTIFIER must be one of: ${Object.keys(NOTIFIERS).join(', ')}`;
+    throw err;
+  }
+  activeNotifier = factory();
+  return activeNotifier;
+}
+
+function badRequest(message, detail) {
+  const err = new Error(message);
+  err.status = 400;
+  err.detail = detail;
+  return err;
+}
+
+function notFound(id) {
+  const err = new Error('Saved search not found');
+  err.status = 404;
+  err.detail = `No saved search with id "${id}" for this owner token`;
+  return err;
+}
+
+const hashToken = (token) => createHash('sha256').update(String(token)).digest();
+
+// X-Saved-Search-Token of an Express or serverless request
+export const ownerTokenFrom = (req) => req.headers?.['x-saved-search-token'] || null;
+
+// The record when `ownerToken` owns it; a wrong or missing token looks like an
+// unknown id, so ids can't be probed
+async function getOwnedRecord(id, ownerToken) {
+  const record = await getSearchStore().get(id);
+  if (!record?.ownerTokenHash || !ownerToken) throw notFound(id);
+  const expected = Buffer.from(record.ownerTokenHash, 'base64url');
+  if (!timingSafeEqual(expected, hashToken(ownerToken))) throw notFound(id);
+  return record;
+}
+
+// Saved-search fields, checked against the same request schema as processFlowA
+function validateSearch(body) {
+  const fieldErrors = [...validateAgainst(GENERATE_ITINERARY_REQUEST, body), ...unknownProgramErrors(body.programs)];
+  if (fieldErrors.length > 0) throw invalidRequest(fieldErrors);
+  monthToDateRange(body.travelMonth);
+  const card = requireCard(body.cardDisplayName);
+
+  const search = {};
+  for (const field of SAVED_FIELDS) {
+    if (body[field] !== undefined) search[field] = body[field];
+  }
+  search.cardDisplayName = card.name;
+  search.onlyDirect = body.onlyDirect === true;
+  return search;
+}
+
+// A saved search without its notifyEmail (operator list responses)
+const toPublic = (record) => ({
+  id: record.id,
+  createdAt: record.createdAt,
+  search: record.search,
+  lastRunAt: record.lastRunAt,
+  lastResult: record.lastSnapshot
+    ? {
+      takenAt: record.lastSnapshot.takenAt,
+      cheapestEdgePoints: record.lastSnapshot.cheapestEdgePoints,
+      optionCount: record.lastSnapshot.options.length,
+    }
+    : null,
+});
+
+// What the owner sees
+const toOwnerView = (record) => ({ ...toPublic(record), notifyEmail: record.notifyEmail });
+
+export async function createSavedSearch(body = {}) {
+  const search = validateSearch(body);
+  const notifyEmail = body.notifyEmail ? String(body.notifyEmail).trim() : null;
+  if (notifyEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(notifyEmail)) {
+    throw badRequest('Invalid notifyEmail', 'notifyEmail must be an email address');
+  }
+
+  const ownerToken = randomBytes(24).toString('base64url');
+  const record = {
+    id: randomUUID(),
+    createdAt: new Date().toISOString(),
+    ownerTokenHash: hashToken(ownerToken).toString('base64url'),
+    search,
+    notifyEmail,
+    lastRunAt: null,
+    lastSnapshot: null,
+  };
+  await getSearchStore().put(record);
+  return { ...toOwnerView(record), ownerToken };
+}
+
+export async function listSavedSearches() {
+  const records = await getSearchStore().list();
+  return { searches: records.map(toPublic) };
+}
+
+export async function getSavedSearch(id, ownerToken) {
+  return toOwnerView(await getOwnedRecord(id, ownerToken));
+}
+
+export async function deleteSavedSearch(id, ownerToken) {
+  await getOwnedRecord(id, ownerToken);
+  const deleted = await getSearchStore().delete(id);
+  if (!deleted) throw notFound(id);
+  return { id, deleted: true };
+}
+
+// Re-runs one saved search for its owner; 404 when it was deleted mid-run
+export async function runSavedSearch(id, ownerToken) {
+  const run = await runRecord(await getOwnedRecord(id, ownerToken));
+  if (run.deleted) throw notFound(id);
+  const { deleted, ...result } = run;
+  return result;
+}
+
+// Re-runs a saved search, stores the new snapshot and notifies on changes.
+// A search deleted while it ran is neither brought back nor notified about
+// (`deleted: true`).
+async function runRecord(record) {
+  const store = getSearchStore();
+  const result = await processFlowA(record.search, { summaries: false });
+  const snapshot = snapshotOptions(result);
+  const events = compareSnapshots(record.lastSnapshot, snapshot);
+
+  const updated = { ...record, lastRunAt: snapshot.takenAt, lastSnapshot: snapshot };
+  if (!(await store.replace(updated))) {
+    return { search: null, events: [], notified: false, deleted: true };
+  }
+
+  let notified = false;
+  if (events.length > 0) {
+    await getNotifier().notify({
+      searchId: record.id,
+      search: record.search,
+      notifyEmail: record.notifyEmail,
+      events,
+      checkedAt: snapshot.takenAt,
+    });
+    notified = true;
+  }
+  return { search: toOwnerView(updated), events, notified, deleted: false };
+}
+
+// Scheduled job body: every saved search, one at a time to stay gentle on the
+// availability provider. Failures are reported per search, not thrown.
+export async function runAllSavedSearches() {
+  const records = await getSearchStore().list();
+  const results = [];
+  for (const record of records) {
+    try {
+      const { events, notified, deleted } = await runRecord(record);
+      results.push({ id: record.id, ok: true, events: events.length, notified, ...(deleted ? { deleted: true } : {}) });
+    } catch (err) {
+      results.push({ id: record.id, ok: false, error: err?.message || 'Internal error', detail: err?.detail });
+    }
+  }
+  return { checkedAt: new Date().toISOString(), results };
+}
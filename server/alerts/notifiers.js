@@ -0,0 +1,87 @@
+import { logger } from '../logger.js';
+
+// Alert delivery. A notifier is `{ name, notify(alert) }` where `alert` is
+//   { searchId, search, notifyEmail, events: [{ type, option, previous? }], checkedAt }
+//
+// Both HTTP notifiers POST JSON, so either can be pointed at a local stand-in
+// (e.g. a request bin on localhost) instead of a real webhook or mail relay.
+
+export function createLogNotifier() {
+  return {
+    name: 'log',
+    async notify(alert) {
+      logger.info('alert.notified', {
+        searchId: alert.searchId,
+        events: alert.events.map((e) => describeEvent(e)),
+      });
+    },
+  };
+}
+
+async function postJson(url, body, headers = {}) {
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  if (!resp.ok) {
+    const text = await resp.text().catch(() => '');
+    const err = new Error('Alert delivery failed');
+    err.status = 502;
+    err.detail = `${url} responded ${resp.status}`;
+    err.cause = text.slice(0, 300);
+    throw err;
+  }
+}
+
+export function createWebhookNotifier({ url, secret }) {
+  if (!url) {
+    const err = new Error('ALERT_WEBHOOK_URL missing on server');
+    err.status = 500;
+    throw err;
+  }
+  return {
+    name: 'webhook',
+    async notify(alert) {
+      await postJson(url, alert, secret ? { 'X-Alert-Secret': secret } : {});
+    },
+  };
+}
+
+// Sends through an HTTP mail relay that accepts `{ from, to, subject, text }`
+export function createEmailNotifier({ apiUrl, apiKey, from }) {
+  if (!apiUrl || !from) {
+    const err = new Error('ALERT_EMAIL_API_URL and ALERT_EMAIL_FROM missing on server');
+    err.status = 500;
+    throw err;
+  }
+  return {
+    name: 'email',
+    async notify(alert) {
+      if (!alert.notifyEmail) return;
+      const { search } = alert;
+      await postJson(
+        apiUrl,
+        {
+          from,
+          to: alert.notifyEmail,
+          subject: `Award space update: ${search.origin} → ${search.destination} (${search.cabin})`,
+          text: alert.events.map((e) => `- ${describeEvent(e)}`).join('\n'),
+        },
+        apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+      );
+    },
+  };
+}
+
+export function describeEvent(event) {
+  const { option } = event;
+  const route = `${option.origin} → ${option.destination}`;
+  const when = option.returnDate ? `${option.departureDate} – ${option.returnDate}` : option.departureDate;
+  if (event.type === 'price_drop') {
+    return `Cheapest price dropped to ${option.edgePointsRequired.toLocaleString('en-IN')} EDGE points ` +
+      `(was ${event.previous.toLocaleString('en-IN')}): ${option.program}, ${route}, ${when}`;
+  }
+  return `New option: ${option.program} ${option.cabin}, ${route}, ${when} for ` +
+    `${option.edgePointsRequired.toLocaleString('en-IN')} EDGE points`;
+}
@@ -0,0 +1,71 @@
+// Snapshots of a saved search's bookable award space, and the diff between two runs.
+//
+// Snapshots are built from the response's full per-date `availability` rather
+// than its options: options are paged and collapse a route's dates into one
+// representative date, so space would appear to come and go as options move
+// across the page cut-off or change dates. An entry is one route, program,
+// cabin and date within the balance and the search's cash and stop limits.
+
+const SNAPSHOT_VERSION = 2;
+
+const entryKey = (e) => [e.origin, e.destination, e.program, e.cabin, e.date].join('|');
+
+// Compact, storable view of one processFlowA result
+export function snapshotOptions(result, takenAt = new Date().toISOString()) {
+  const input = result?.input || {};
+  const byKey = new Map(); // key: entryKey -> cheapest entry
+  for (const e of result?.availability || []) {
+    if (e.cabin !== input.cabin || e.edgePointsRequired > input.edge_points) continue;
+    if (typeof input.max_stops === 'number' && (e.stops === null || e.stops > input.max_stops)) continue;
+    if (typeof input.max_cash_inr === 'number' && e.cashOutOfPocketInr !== null && e.cashOutOfPocketInr > input.max_cash_inr) {
+      continue;
+    }
+    const key = entryKey(e);
+    if (byKey.has(key) && byKey.get(key).edgePointsRequired <= e.edgePointsRequired) continue;
+    byKey.set(key, {
+      key,
+      program: e.program,
+      cabin: e.cabin,
+      origin: e.origin,
+      destination: e.destination,
+      departureDate: e.date,
+      returnDate: null,
+      mileageCost: e.mileageCost,
+      edgePointsRequired: e.edgePointsRequired,
+    });
+  }
+  const options = Array.from(byKey.values());
+  const cheapest = options.reduce(
+    (best, o) => (!best || o.edgePointsRequired < best.edgePointsRequired ? o : best),
+    null
+  );
+  return {
+    version: SNAPSHOT_VERSION,
+    takenAt,
+    cheapestEdgePoints: cheapest ? cheapest.edgePointsRequired : null,
+    options,
+  };
+}
+
+// Events worth notifying about: space missing from the previous run, and a
+// lower cheapest price. The first run (or the first after a snapshot format
+// change) only sets the baseline.
+export function compareSnapshots(previous, current) {
+  if (!previous || previous.version !== current.version) return [];
+
+  const events = [];
+  const seen = new Set(previous.options.map((o) => o.key));
+  for (const option of current.options) {
+    if (!seen.has(option.key)) events.push({ type: 'new_option', option });
+  }
+
+  if (
+    current.cheapestEdgePoints !== null &&
+    previous.cheapestEdgePoints !== null &&
+    current.cheapestEdgePoints < previous.cheapestEdgePoints
+  ) {
+    const option = current.options.find((o) => o.edgePointsRequired === current.cheapestEdgePoints);
+    events.push({ type: 'price_drop', option, previous: previous.cheapestEdgePoints });
+  }
+  return events;
+}
@@ -0,0 +1,130 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+// Persistence for saved searches. A record is
+//   { id, createdAt, ownerTokenHash, search, notifyEmail, lastRunAt, lastSnapshot }
+//
+// A store is `{ list(), get(id), put(record), replace(record), delete(id) }`,
+// all async. `replace` only writes when a record with that id is still stored
+// and resolves to whether it did, so a run can't bring back a deleted search.
+//   - memory: per-process Map (lost on restart; handy for local testing)
+//   - file:   one JSON file holding every record, survives restarts
+//   - kv:     one hash in a Redis REST store (see ../kv.js); works on serverless
+
+export function createMemorySearchStore() {
+  const records = new Map();
+  return {
+    name: 'memory',
+    async list() {
+      return Array.from(records.values());
+    },
+    async get(id) {
+      return records.get(id) || null;
+    },
+    async put(record) {
+      records.set(record.id, record);
+    },
+    async replace(record) {
+      if (!records.has(record.id)) return false;
+      records.set(record.id, record);
+      return true;
+    },
+    async delete(id) {
+      return records.delete(id);
+    },
+  };
+}
+
+export function createFileSearchStore({ file }) {
+  // Writes are chained so concurrent updates never interleave read-modify-write
+  let queue = Promise.resolve();
+  const serialize = (task) => {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const load = async () => {
+    try {
+      const parsed = JSON.parse(await readFile(file, 'utf8'));
+      return Array.isArray(parsed?.searches) ? parsed.searches : [];
+    } catch (err) {
+      if (err?.code === 'ENOENT') return [];
+      throw err;
+    }
+  };
+
+  const save = async (searches) => {
+    await mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify({ searches }, null, 2));
+    await rename(tmp, file);
+  };
+
+  return {
+    name: 'file',
+    async list() {
+      return load();
+    },
+    async get(id) {
+      return (await load()).find((r) => r.id === id) || null;
+    },
+    put(record) {
+      return serialize(async () => {
+        const searches = await load();
+        const index = searches.findIndex((r) => r.id === record.id);
+        if (index === -1) searches.push(record);
+        else searches[index] = record;
+        await save(searches);
+      });
+    },
+    replace(record) {
+      return serialize(async () => {
+        const searches = await load();
+        const index = searches.findIndex((r) => r.id === record.id);
+        if (index === -1) return false;
+        searches[index] = record;
+        await save(searches);
+        return true;
+      });
+    },
+    delete(id) {
+      return serialize(async () => {
+        const searches = await load();
+        const remaining = searches.filter((r) => r.id !== id);
+        if (remaining.length === searches.length) return false;
+        await save(remaining);
+        return true;
+      });
+    },
+  };
+}
+
+// Sets the field only if it still exists: 1 when written, 0 when it was gone
+const REPLACE_SCRIPT =
+  "if redis.call('HEXISTS', KEYS[1], ARGV[1]) == 1 then redis.call('HSET', KEYS[1], ARGV[1], ARGV[2]) return 1 end return 0";
+
+export function createKvSearchStore({ client, key = 'saved-searches' }) {
+  return {
+    name: 'kv',
+    async list() {
+      const flat = (await client.command('HGETALL', key)) || [];
+      const records = [];
+      for (let i = 1; i < flat.length; i += 2) records.push(JSON.parse(flat[i]));
+      return records;
+    },
+    async get(id) {
+      const raw = await client.command('HGET', key, id);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async put(record) {
+      await client.command('HSET', key, record.id, JSON.stringify(record));
+    },
+    async replace(record) {
+      return (await client.command('EVAL', REPLACE_SCRIPT, 1, key, record.id, JSON.stringify(record))) === 1;
+    },
+    async delete(id) {
+      return (await client.command('HDEL', key, id)) === 1;
+    },
+  };
+}
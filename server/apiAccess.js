@@ -0,0 +1,241 @@
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+import { sendError } from './httpErrors.js';
+import { beginRequest, runWithRequestId } from './logger.js';
+
+// Who may call the API, from where and how often.
+//
+// Clients authenticate with an API key (`X-API-Key: <key>` or `Authorization:
+// Bearer <key>`; API_KEYS is a comma-separated list of `name:key` or bare keys,
+// and CRON_SECRET is accepted as the `cron` key) or with a signed session token
+// from POST /api/session (needs API_TOKEN_SECRET; tokens last
+// API_TOKEN_TTL_SECONDS, default 3600). With neither configured the API is
+// open, as in local development.
+//
+// Protected requests are counted per client and per IP in one-minute windows
+// (RATE_LIMIT_PER_MINUTE, default 60; RATE_LIMIT_PER_IP_PER_MINUTE, default 30;
+// 0 turns a limit off). Over a limit is a 429 with Retry-After. Counters are per
+// process (per instance on serverless).
+//
+// CORS_ORIGINS is a comma-separated allowlist of browser origins (default: any).
+// Session tokens are only issued to requests from a listed origin, so tokens
+// need CORS_ORIGINS set. A token's client id is derived from the IP it was
+// issued to, so minting new tokens doesn't reset the per-client limit, and
+// issuing is limited separately (RATE_LIMIT_SESSIONS_PER_IP_PER_MINUTE,
+// default 5).
+
+const DEFAULT_TOKEN_TTL_SECONDS = 3600;
+const DEFAULT_CLIENT_LIMIT = 60;
+const DEFAULT_IP_LIMIT = 30;
+const DEFAULT_SESSION_LIMIT = 5;
+const WINDOW_MS = 60 * 1000;
+
+const splitList = (value) =>
+  String(value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const readNumber = (value, fallback) => {
+  const n = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+const digest = (value) => createHash('sha256').update(value).digest();
+
+// [{ name, digest }] for every accepted key
+function configuredKeys() {
+  const keys = splitList(process.env.API_KEYS).map((entry, i) => {
+    const split = entry.indexOf(':');
+    return split > 0
+      ? { name: entry.slice(0, split), digest: digest(entry.slice(split + 1)) }
+      : { name: `key${i + 1}`, digest: digest(entry) };
+  });
+  if (process.env.CRON_SECRET) keys.push({ name: 'cron', digest: digest(process.env.CRON_SECRET) });
+  return keys;
+}
+
+const tokenSecret = () => process.env.API_TOKEN_SECRET || '';
+
+export const isAuthRequired = () => configuredKeys().length > 0 || Boolean(tokenSecret());
+
+const allowedOrigins = () => splitList(process.env.CORS_ORIGINS);
+
+// CORS check: requests without an Origin (not from a browser) aren't subject to CORS
+export function isOriginAllowed(origin) {
+  const allowed = allowedOrigins();
+  return !origin || allowed.length === 0 || allowed.includes(origin);
+}
+
+// Options for the `cors` middleware (Express)
+export const corsOptions = {
+  origin: (origin, callback) => callback(null, isOriginAllowed(origin)),
+  exposedHeaders: ['Retry-After', 'X-Request-Id'],
+};
+
+// CORS for serverless handlers; true when the request was a preflight and has
+// been answered
+export function applyCors(req, res) {
+  const origin = req.headers?.origin;
+  if (origin && isOriginAllowed(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-Request-Id');
+  }
+  res.setHeader('Vary', 'Origin');
+  if (req.method !== 'OPTIONS') return false;
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Request-Id, X-Saved-Search-Token');
+  res.status(204).end();
+  return true;
+}
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+const sign = (payload) => createHmac('sha256', tokenSecret()).update(payload).digest('base64url');
+
+function unauthorized(detail) {
+  const err = new Error('Unauthorized');
+  err.status = 401;
+  err.detail = detail;
+  return err;
+}
+
+// `{ sub, exp }` of a valid, unexpired token; null otherwise
+function readSessionToken(token) {
+  if (!tokenSecret()) return null;
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) return null;
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !timingSafeEqual(expected, given)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return typeof claims?.exp === 'number' && claims.exp * 1000 > Date.now() ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+function presentedCredential(req) {
+  const headerKey = req.headers?.['x-api-key'];
+  if (headerKey) return String(headerKey);
+  const match = /^Bearer\s+(.+)$/i.exec(String(req.headers?.authorization || ''));
+  return match ? match[1].trim() : null;
+}
+
+// Client id for rate limiting (`key:<name>` / `session:<sub>`), or null when
+// the API is open. Throws 401 when a credential is required but missing or bad.
+export function authenticate(req) {
+  if (!isAuthRequired()) return null;
+  const credential = presentedCredential(req);
+  if (!credential) throw unauthorized('Send an API key (X-API-Key) or a session token from POST /api/session');
+
+  const presented = digest(credential);
+  const key = configuredKeys().find((k) => timingSafeEqual(k.digest, presented));
+  if (key) return `key:${key.name}`;
+
+  const claims = readSessionToken(credential);
+  if (claims) return `session:${claims.sub}`;
+  throw unauthorized('API key or session token is invalid or expired');
+}
+
+// Operator-only operations (listing every saved search, the scheduled check)
+// need `Authorization: Bearer <CRON_SECRET>`, the header Vercel cron sends.
+// Throws 401 otherwise, including when CRON_SECRET isn't set.
+export function requireCronSecret(req) {
+  const secret = process.env.CRON_SECRET;
+  const match = /^Bearer\s+(.+)$/i.exec(String(req.headers?.authorization || ''));
+  if (secret && match && timingSafeEqual(digest(match[1].trim()), digest(secret))) return;
+  throw unauthorized(
+    secret ? 'This operation needs Authorization: Bearer <CRON_SECRET>' : 'Set CRON_SECRET to enable this operation'
+  );
+}
+
+// Express sets `req.ip` (honouring TRUST_PROXY); on serverless the platform
+// sets X-Forwarded-For
+export const clientIp = (req) =>
+  req.ip || String(req.headers?.['x-forwarded-for'] || '').split(',')[0].trim() || req.socket?.remoteAddress || 'unknown';
+
+let rateWindow = { start: 0, counts: new Map() }; // key: `client|ip:...` -> requests this window
+
+// Counts the request against `key`; throws 429 when it's over `limit`
+function countRequest(key, limit, who) {
+  if (!(limit > 0)) return;
+  const now = Date.now();
+  if (now - rateWindow.start >= WINDOW_MS) rateWindow = { start: now, counts: new Map() };
+
+  const count = (rateWindow.counts.get(key) || 0) + 1;
+  rateWindow.counts.set(key, count);
+  if (count <= limit) return;
+
+  const err = new Error('Too many requests');
+  err.status = 429;
+  err.retryAfter = Math.max(1, Math.ceil((rateWindow.start + WINDOW_MS - now) / 1000));
+  err.detail = `Limit of ${limit} requests per minute per ${who}; retry in ${err.retryAfter}s`;
+  throw err;
+}
+
+// Authentication and rate limits for one protected request
+export function checkApiAccess(req) {
+  const clientId = authenticate(req);
+  countRequest(`ip:${clientIp(req)}`, readNumber(process.env.RATE_LIMIT_PER_IP_PER_MINUTE, DEFAULT_IP_LIMIT), 'IP');
+  if (clientId) {
+    countRequest(`client:${clientId}`, readNumber(process.env.RATE_LIMIT_PER_MINUTE, DEFAULT_CLIENT_LIMIT), 'client');
+  }
+  return clientId;
+}
+
+// POST /api/session: a signed token for browser clients from listed origins
+// (`token: null` when tokens aren't configured). Counted against the IP limit
+// and the session-issuing limit.
+export function issueSessionToken(req) {
+  const ip = clientIp(req);
+  countRequest(`ip:${ip}`, readNumber(process.env.RATE_LIMIT_PER_IP_PER_MINUTE, DEFAULT_IP_LIMIT), 'IP');
+  if (!tokenSecret()) return { token: null, expiresAt: null };
+  const origin = req.headers?.origin;
+  if (!origin || !allowedOrigins().includes(origin)) {
+    const err = new Error('Forbidden');
+    err.status = 403;
+    err.detail = 'Session tokens are only issued to the origins listed in CORS_ORIGINS';
+    throw err;
+  }
+  countRequest(
+    `session-ip:${ip}`,
+    readNumber(process.env.RATE_LIMIT_SESSIONS_PER_IP_PER_MINUTE, DEFAULT_SESSION_LIMIT),
+    'IP for new sessions'
+  );
+
+  const ttlSeconds = readNumber(process.env.API_TOKEN_TTL_SECONDS, DEFAULT_TOKEN_TTL_SECONDS);
+  const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+  // Same client id for every token issued to this IP
+  const sub = createHmac('sha256', tokenSecret()).update(`ip:${ip}`).digest('base64url').slice(0, 16);
+  const payload = base64url(JSON.stringify({ sub, exp }));
+  return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+// Express middleware for protected routes
+export const requireApiAccess = (req, res, next) => {
+  try {
+    checkApiAccess(req);
+    next();
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// Serverless handler with a request ID (see logger.js) and CORS applied (public routes)
+export const withCors = (handler) => (req, res) =>
+  runWithRequestId(beginRequest(req, res), async () => {
+    if (applyCors(req, res)) return;
+    await handler(req, res);
+  });
+
+// Serverless handler with CORS, authentication and rate limits applied
+export const withApiAccess = (handler) =>
+  withCors(async (req, res) => {
+    try {
+      checkApiAccess(req);
+    } catch (err) {
+      sendError(res, err);
+      return;
+    }
+    await handler(req, res);
+  });
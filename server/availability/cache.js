@@ -0,0 +1,133 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { logger } from '../logger.js';
+
+// Cache for normalized availability responses. Entries are
+// `{ records, fetchedAt }` (fetchedAt = epoch ms of the upstream call).
+//
+// A store is `{ get(key), set(key, entry), delete(key) }`, all async:
+//   - memory: per-process Map (lost on restart / cold start), capped at
+//     `maxEntries` (least recently used first out); entries older than
+//     `maxAgeMs` are evicted on read and swept on write
+//   - file:   one JSON file per key under a directory, survives restarts
+
+export function createMemoryStore({ maxEntries = 200, maxAgeMs = Infinity } = {}) {
+  const entries = new Map(); // key -> entry, least recently used first
+  const expired = (entry, now) => now - entry.fetchedAt >= maxAgeMs;
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (expired(entry, Date.now())) return null;
+      entries.set(key, entry);
+      return entry;
+    },
+    async set(key, entry) {
+      const now = Date.now();
+      for (const [k, e] of entries) {
+        if (expired(e, now)) entries.delete(k);
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+export function createFileStore({ dir }) {
+  const fileFor = (key) => path.join(dir, `${createHash('sha1').update(key).digest('hex')}.json`);
+  return {
+    name: 'file',
+    async get(key) {
+      try {
+        const parsed = JSON.parse(await readFile(fileFor(key), 'utf8'));
+        return parsed?.key === key ? parsed.entry : null;
+      } catch {
+        return null;
+      }
+    },
+    async set(key, entry) {
+      await mkdir(dir, { recursive: true });
+      await writeFile(fileFor(key), JSON.stringify({ key, entry }));
+    },
+    async delete(key) {
+      await rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+const splitCodes = (value) =>
+  String(value || '')
+    .split(',')
+    .map((code) => code.trim().toUpperCase())
+    .filter(Boolean)
+    .sort();
+
+// Stable key for one provider query; airport and source lists are order-insensitive
+export function availabilityCacheKey(providerName, query) {
+  return JSON.stringify({
+    provider: providerName,
+    origin: splitCodes(query.originAirport),
+    destination: splitCodes(query.destinationAirport),
+    start: query.start_date,
+    end: query.end_date,
+    onlyDirect: query.onlyDirect === true,
+    sources: [...(query.sources || [])].map((s) => s.toLowerCase()).sort(),
+  });
+}
+
+// Wraps a store with TTL handling and merges concurrent identical lookups
+// into a single upstream call. `canFetch` (optional) is asked before each
+// upstream call; when it says no, an expired entry is served (`stale: true`)
+// and a miss is a 503.
+export function createAvailabilityCache({ store, ttlMs }) {
+  const inFlight = new Map(); // key -> Promise<{ records, fetchedAt, fromCache }>
+
+  return {
+    store: store?.name || 'off',
+    ttlMs,
+    async fetch(key, loader, { canFetch } = {}) {
+      const hit = store ? await store.get(key) : null;
+      if (hit && Date.now() - hit.fetchedAt < ttlMs) {
+        return { records: hit.records, fetchedAt: hit.fetchedAt, fromCache: true };
+      }
+
+      if (inFlight.has(key)) return inFlight.get(key);
+
+      if (canFetch && !canFetch()) {
+        if (hit) return { records: hit.records, fetchedAt: hit.fetchedAt, fromCache: true, stale: true };
+        const err = new Error('Daily search budget spent');
+        err.status = 503;
+        err.detail = 'No cached results for this search; try again tomorrow';
+        throw err;
+      }
+
+      const task = (async () => {
+        const records = await loader();
+        const fetchedAt = Date.now();
+        if (store) {
+          try {
+            await store.set(key, { records, fetchedAt });
+          } catch (err) {
+            logger.error('availability.cache_write_failed', { error: err });
+          }
+        }
+        return { records, fetchedAt, fromCache: false };
+      })();
+
+      inFlight.set(key, task);
+      try {
+        return await task;
+      } finally {
+        inFlight.delete(key);
+      }
+    },
+  };
+}
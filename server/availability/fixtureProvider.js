@@ -0,0 +1,76 @@
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { normalizeSeatsRecord } from './seatsAeroProvider.js';
+
+const DEFAULT_FIXTURE_PATH = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../fixtures/availability.json'
+);
+
+// ['YYYY-MM-', ...] for each calendar month overlapping [start, end]
+function monthsInWindow(start_date, end_date) {
+  const prefixes = [];
+  let year = Number(start_date.slice(0, 4));
+  let month = Number(start_date.slice(5, 7));
+  const last = end_date.slice(0, 7);
+  for (;;) {
+    const ym = `${year}-${String(month).padStart(2, '0')}`;
+    prefixes.push(`${ym}-`);
+    if (ym >= last) break;
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return prefixes;
+}
+
+// File-backed provider for demos and offline development. The fixture holds
+// raw Seats.aero-shaped records (so a captured API response can be dropped in
+// as-is). Fixture dates are treated as day-of-month templates and repeated in
+// every month the requested window touches, so the demo works for any month.
+export function createFixtureProvider({ fixturePath } = {}) {
+  const file = fixturePath ? path.resolve(fixturePath) : DEFAULT_FIXTURE_PATH;
+  let loaded = null;
+
+  const load = async () => {
+    if (loaded) return loaded;
+    try {
+      const raw = JSON.parse(await readFile(file, 'utf8'));
+      const records = Array.isArray(raw) ? raw : Array.isArray(raw?.data) ? raw.data : [];
+      loaded = records.map(normalizeSeatsRecord);
+      return loaded;
+    } catch (readErr) {
+      const err = new Error('Availability fixture could not be loaded');
+      err.status = 500;
+      err.detail = readErr?.message || String(readErr);
+      throw err;
+    }
+  };
+
+  return {
+    name: 'fixture',
+    async ping() {
+      await load();
+    },
+    async search({ originAirport, destinationAirport, start_date, end_date, onlyDirect, sources }) {
+      const records = await load();
+      const origins = new Set(String(originAirport || '').toUpperCase().split(','));
+      const destinations = new Set(String(destinationAirport || '').toUpperCase().split(','));
+      const allowed = new Set(sources);
+      const monthPrefixes = monthsInWindow(start_date, end_date);
+
+      return records
+        .filter((r) => allowed.has(r.source))
+        .filter((r) => origins.has(String(r.origin || '').toUpperCase()))
+        .filter((r) => destinations.has(String(r.destination || '').toUpperCase()))
+        .filter((r) => onlyDirect !== true || Object.values(r.cabins).some((c) => c.direct))
+        .flatMap((r) =>
+          r.date ? monthPrefixes.map((prefix) => ({ ...r, date: `${prefix}${r.date.slice(8, 10)}` })) : []
+        )
+        .filter((r) => r.date >= start_date && r.date <= end_date);
+    },
+  };
+}
@@ -0,0 +1,120 @@
+import path from 'node:path';
+import {
+  availabilityCacheKey,
+  createAvailabilityCache,
+  createFileStore,
+  createMemoryStore,
+} from './cache.js';
+import { createFixtureProvider } from './fixtureProvider.js';
+import { createSeatsAeroProvider } from './seatsAeroProvider.js';
+import { availabilityCacheLookups, timeUpstream } from '../metrics.js';
+import { spendUpstream } from '../upstreamBudget.js';
+
+// Award-availability provider layer.
+//
+// A provider is `{ name, metered?, search(query), ping() }` where `search` resolves to an array of
+// normalized records:
+//   { id, source, date, origin, destination, stops, taxesCurrency,
+//     cabins: { Y|W|J|F: { available, miles, direct, seats, taxes } } }
+// `seats` and `taxes` (major units of taxesCurrency) are null when not reported.
+// `metered` providers spend upstream quota, so their searches count against the
+// daily availability budget. `ping` rejects when the upstream can't be reached
+// (used by /api/health).
+//
+// Select with AVAILABILITY_PROVIDER=seats (default) or AVAILABILITY_PROVIDER=fixture
+// (optionally AVAILABILITY_FIXTURE_PATH=/path/to/records.json).
+//
+// Responses are cached (see cache.js):
+//   AVAILABILITY_CACHE=memory (default) | file | off
+//   AVAILABILITY_CACHE_TTL_SECONDS (default 3600)
+//   memory store: AVAILABILITY_CACHE_MAX_ENTRIES (default 200) and
+//   AVAILABILITY_CACHE_STALE_SECONDS (default 86400), how long past the TTL an
+//   entry is kept to be served stale once the daily budget is spent
+//   AVAILABILITY_CACHE_DIR for the file store (default .cache/availability)
+
+const PROVIDERS = {
+  seats: () => createSeatsAeroProvider({ apiKey: process.env.SEATS_API_KEY || '' }),
+  fixture: () => createFixtureProvider({ fixturePath: process.env.AVAILABILITY_FIXTURE_PATH }),
+};
+
+let activeProvider = null;
+
+export function getAvailabilityProvider() {
+  const name = (process.env.AVAILABILITY_PROVIDER || 'seats').trim().toLowerCase();
+  if (activeProvider?.name === name) return activeProvider;
+
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    const err = new Error('Unknown availability provider');
+    err.status = 500;
+    err.detail = `AVAILABILITY_PROVIDER must be one of: ${Object.keys(PROVIDERS).join(', ')}`;
+    throw err;
+  }
+  activeProvider = factory();
+  return activeProvider;
+}
+
+const DEFAULT_CACHE_TTL_SECONDS = 3600;
+const DEFAULT_CACHE_MAX_ENTRIES = 200;
+const DEFAULT_CACHE_STALE_SECONDS = 24 * 60 * 60;
+
+const readSetting = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+let availabilityCache = null;
+
+function getAvailabilityCache() {
+  if (availabilityCache) return availabilityCache;
+
+  const kind = (process.env.AVAILABILITY_CACHE || 'memory').trim().toLowerCase();
+  const ttlMs = readSetting('AVAILABILITY_CACHE_TTL_SECONDS', DEFAULT_CACHE_TTL_SECONDS) * 1000;
+
+  let store = null;
+  if (kind === 'memory') {
+    store = createMemoryStore({
+      maxEntries: Math.max(1, Math.floor(readSetting('AVAILABILITY_CACHE_MAX_ENTRIES', DEFAULT_CACHE_MAX_ENTRIES))),
+      maxAgeMs: ttlMs + readSetting('AVAILABILITY_CACHE_STALE_SECONDS', DEFAULT_CACHE_STALE_SECONDS) * 1000,
+    });
+  } else if (kind === 'file') {
+    store = createFileStore({
+      dir: path.resolve(process.env.AVAILABILITY_CACHE_DIR || '.cache/availability'),
+    });
+  } else if (kind !== 'off') {
+    const err = new Error('Unknown availability cache');
+    err.status = 500;
+    err.detail = 'AVAILABILITY_CACHE must be one of: memory, file, off';
+    throw err;
+  }
+
+  availabilityCache = createAvailabilityCache({ store, ttlMs });
+  return availabilityCache;
+}
+
+// Cached provider search. Resolves to `{ records, fetchedAt, fromCache, stale? }`;
+// once the daily availability budget is spent (see upstreamBudget.js) only
+// cached results are served.
+export async function searchAvailabilityCached(query) {
+  const provider = getAvailabilityProvider();
+  const cache = getAvailabilityCache();
+  const key = availabilityCacheKey(provider.name, query);
+  // Only providers that spend real quota count against the daily budget
+  const canFetch = provider.metered ? () => spendUpstream('availability') : undefined;
+  const result = await cache.fetch(key, () => timeUpstream(provider.name, 'search', () => provider.search(query)), { canFetch });
+  availabilityCacheLookups.inc({ result: result.stale ? 'stale' : result.fromCache ? 'hit' : 'miss' });
+  return result;
+}
+
+// Freshness summary for one or more cached searches (the oldest one wins)
+export function describeFreshness(searches) {
+  const present = searches.filter(Boolean);
+  if (present.length === 0) return null;
+  const fetchedAt = Math.min(...present.map((s) => s.fetchedAt));
+  return {
+    fetchedAt: new Date(fetchedAt).toISOString(),
+    ageSeconds: Math.max(0, Math.round((Date.now() - fetchedAt) / 1000)),
+    fromCache: present.every((s) => s.fromCache),
+    stale: present.some((s) => s.stale === true),
+  };
+}
@@ -0,0 +1,145 @@
+// Seats.aero cached-search adapter. Everything Seats.aero-specific (URL, auth
+// header, field names like YAvailableRaw / JMileageCostRaw / Route) stays in here.
+
+import { fromMinorUnits } from '../currency.js';
+import { logger } from '../logger.js';
+
+const SEATS_SEARCH_URL = 'https://seats.aero/partnerapi/search';
+const PING_TIMEOUT_MS = 3000;
+
+export const CABIN_CODES = ['Y', 'W', 'J', 'F'];
+
+function recordDestination(r) {
+  if (r?.destination_airport) return r.destination_airport;
+  if (r?.DestinationAirport) return r.DestinationAirport;
+  if (typeof r?.Route === 'string' && r.Route.includes('-')) return r.Route.split('-')[1];
+  if (r?.Route?.DestinationAirport) return r.Route.DestinationAirport;
+  return null;
+}
+
+function recordOrigin(r) {
+  if (r?.origin_airport) return r.origin_airport;
+  if (r?.OriginAirport) return r.OriginAirport;
+  if (typeof r?.Route === 'string' && r.Route.includes('-')) return r.Route.split('-')[0];
+  if (r?.Route?.OriginAirport) return r.Route.OriginAirport;
+  return null;
+}
+
+function recordDate(r) {
+  const raw = r?.Date || r?.ParsedDate;
+  return typeof raw === 'string' && raw.length >= 10 ? raw.slice(0, 10) : null;
+}
+
+function recordTaxesCurrency(r) {
+  const raw = r?.TaxesCurrency || r?.taxes_currency;
+  return typeof raw === 'string' && raw.trim() ? raw.trim().toUpperCase() : null;
+}
+
+// Seats.aero reports 0 remaining seats when the program doesn't publish a count,
+// so only a positive number is treated as known. Taxes come in minor units of
+// the record's TaxesCurrency and are kept in major units (null when missing).
+function readCabinFields(r, code) {
+  const rawMiles = r?.[`${code}MileageCostRaw`];
+  const miles = typeof rawMiles === 'number' ? rawMiles : Number(rawMiles);
+  const seats = Number(r?.[`${code}RemainingSeatsRaw`]);
+  const rawTaxes = r?.[`${code}TotalTaxesRaw`];
+  const currency = recordTaxesCurrency(r);
+  return {
+    available: r?.[`${code}AvailableRaw`] === true,
+    miles: Number.isFinite(miles) ? miles : 0,
+    direct: r?.[`${code}DirectRaw`] === true,
+    seats: Number.isInteger(seats) && seats > 0 ? seats : null,
+    taxes: rawTaxes === undefined || rawTaxes === null || !currency ? null : fromMinorUnits(rawTaxes, currency),
+  };
+}
+
+// Raw Seats.aero availability object -> normalized availability record
+export function normalizeSeatsRecord(r) {
+  const cabins = {};
+  for (const code of CABIN_CODES) {
+    cabins[code] = readCabinFields(r, code);
+  }
+  return {
+    id: r?.ID || null,
+    source: (r?.Source || r?.Route?.Source || '').toLowerCase(),
+    date: recordDate(r),
+    origin: recordOrigin(r),
+    destination: recordDestination(r),
+    stops: typeof r?.stops === 'number' ? r.stops : null,
+    taxesCurrency: recordTaxesCurrency(r),
+    cabins,
+  };
+}
+
+export function createSeatsAeroProvider({ apiKey }) {
+  if (!apiKey) {
+    const error = new Error('SEATS_API_KEY missing on server');
+    error.status = 500;
+    throw error;
+  }
+
+  return {
+    name: 'seats',
+    metered: true,
+    // Reachability and key check for /api/health; doesn't run a search
+    async ping() {
+      const resp = await fetch(SEATS_SEARCH_URL, {
+        method: 'HEAD',
+        headers: { 'Partner-Authorization': apiKey },
+        signal: AbortSignal.timeout(PING_TIMEOUT_MS),
+      });
+      if (resp.status === 401 || resp.status === 403 || resp.status >= 500) {
+        throw new Error(`Seats API responded ${resp.status}`);
+      }
+    },
+    async search({ originAirport, destinationAirport, start_date, end_date, onlyDirect, sources }) {
+      const params = new URLSearchParams({
+        origin_airport: originAirport,
+        destination_airport: destinationAirport,
+        start_date,
+        end_date,
+        take: '500',
+        include_trips: 'false',
+        only_direct_flights: onlyDirect === true ? 'true' : 'false',
+        include_filtered: 'false',
+        sources: sources.join(','),
+      });
+
+      const seatsUrl = `${SEATS_SEARCH_URL}?${params.toString()}`;
+      logger.debug('seats.request', { origin: originAirport, destination: destinationAirport, start_date, end_date, onlyDirect });
+
+      let seatsResp;
+      try {
+        seatsResp = await fetch(seatsUrl, {
+          headers: {
+            'Content-Type': 'application/json',
+            'Partner-Authorization': apiKey,
+          },
+        });
+      } catch (fetchErr) {
+        const detail = fetchErr?.message || 'fetch failed';
+        const causeCode = fetchErr?.cause?.code;
+        const err = new Error('Seats API fetch failed');
+        err.status = 502;
+        err.detail = detail;
+        err.cause = causeCode;
+        throw err;
+      }
+
+      if (!seatsResp.ok) {
+        const text = await seatsResp.text();
+        const err = new Error('Seats API error');
+        err.status = seatsResp.status;
+        err.detail = text;
+        throw err;
+      }
+
+      const data = await seatsResp.json();
+      const results = Array.isArray(data?.data) ? data.data : [];
+
+      logger.debug('seats.response', { records: results.length });
+
+      return results.map(normalizeSeatsRecord);
+    },
+  };
+}
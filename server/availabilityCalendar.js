@@ -0,0 +1,47 @@
+import { addDays } from './roundTrip.js';
+
+// Every ISO date from start to end, inclusive
+export function eachDate(start_date, end_date) {
+  const dates = [];
+  for (let d = start_date; d <= end_date; d = addDays(d, 1)) {
+    dates.push(d);
+  }
+  return dates;
+}
+
+// Per-day view of one cabin for the calendar heatmap. `entries` are the
+// per-date availability rows from processFlowA; days with no space are kept
+// (with null prices) so the client can render the full month.
+export function buildAvailabilityCalendar({ entries, cabin, start_date, end_date, edgeBudget }) {
+  const byDate = new Map();
+  for (const entry of entries) {
+    if (entry.cabin !== cabin || !entry.date) continue;
+    if (!byDate.has(entry.date)) byDate.set(entry.date, []);
+    byDate.get(entry.date).push(entry);
+  }
+
+  return eachDate(start_date, end_date).map((date) => {
+    const dayEntries = byDate.get(date) || [];
+    if (dayEntries.length === 0) {
+      return {
+        date,
+        cheapestMiles: null,
+        cheapestEdgePoints: null,
+        programs: [],
+        destinations: [],
+        withinBudget: false,
+      };
+    }
+
+    const cheapestEdgePoints = Math.min(...dayEntries.map((e) => e.edgePointsRequired));
+    const cheapest = dayEntries.filter((e) => e.edgePointsRequired === cheapestEdgePoints);
+    return {
+      date,
+      cheapestMiles: cheapest[0].mileageCost,
+      cheapestEdgePoints,
+      programs: Array.from(new Set(cheapest.map((e) => e.program))),
+      destinations: Array.from(new Set(cheapest.map((e) => e.destination).filter(Boolean))),
+      withinBudget: cheapestEdgePoints <= edgeBudget,
+    };
+  });
+}
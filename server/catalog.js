@@ -0,0 +1,72 @@
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { listOriginAirports } from './originAirports.js';
+
+// The one list of cards, transfer partners (programs) and cabins, kept in
+// data/catalog.json. The server derives its lookup tables from it and the UI
+// loads it from GET /api/catalog, so a card name can't drift between the two.
+
+const DATA_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), 'data/catalog.json');
+const catalog = JSON.parse(readFileSync(DATA_PATH, 'utf8'));
+
+export const CATALOG_VERSION = catalog.version;
+export const CARDS = catalog.cards;
+export const PROGRAMS = catalog.programs;
+export const HOTEL_PROGRAMS = catalog.hotelPrograms || [];
+export const CABINS = catalog.cabins;
+
+// Program (Seats.aero source) -> availability level, disclaimer and whether
+// award tickets carry carrier surcharges
+export const PROGRAM_CAPABILITY = Object.fromEntries(
+  PROGRAMS.map((p) => [
+    p.source,
+    { level: p.level, name: p.name, disclaimer: p.disclaimer, carrierSurcharges: p.carrierSurcharges === true },
+  ])
+);
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const cardsByRef = new Map();
+for (const card of CARDS) {
+  for (const ref of [card.id, card.name, ...(card.aliases || [])]) cardsByRef.set(normalize(ref), card);
+}
+
+// Card by id, display name or alias (case-insensitive), or null
+export function findCard(ref) {
+  return cardsByRef.get(normalize(ref)) || null;
+}
+
+export function requireCard(ref) {
+  const card = findCard(ref);
+  if (!card) {
+    const err = new Error('Unknown card');
+    err.status = 400;
+    err.detail = `"${ref}" is not a supported Axis Bank card; see GET /api/catalog for the list`;
+    err.fields = [{ field: 'cardDisplayName', message: 'is not a supported card' }];
+    throw err;
+  }
+  return card;
+}
+
+// Field errors for a `programs` filter naming sources the catalog doesn't have
+export function unknownProgramErrors(sources) {
+  if (!Array.isArray(sources)) return [];
+  return sources.flatMap((source, i) =>
+    typeof source === 'string' && !PROGRAM_CAPABILITY[normalize(source)]
+      ? [{ field: `programs[${i}]`, message: 'is not a supported program (see GET /api/catalog)' }]
+      : []
+  );
+}
+
+export function getCatalog() {
+  return {
+    version: catalog.version,
+    updated: catalog.updated,
+    cards: CARDS.map(({ id, name, milesPerPoint, capTier }) => ({ id, name, milesPerPoint, capTier })),
+    programs: PROGRAMS,
+    hotelPrograms: HOTEL_PROGRAMS,
+    cabins: CABINS,
+    origins: listOriginAirports(),
+  };
+}
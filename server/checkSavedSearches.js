@@ -0,0 +1,15 @@
+import { runAllSavedSearches } from './alerts/index.js';
+
+// Scheduled job: re-run every saved search once and send alerts for changes.
+// Run from cron (e.g. `0 */6 * * * npm run alerts:check`) or let the API server
+// do it in-process with SAVED_SEARCH_CHECK_MINUTES.
+
+runAllSavedSearches()
+  .then((summary) => {
+    console.log(JSON.stringify(summary, null, 2));
+    process.exitCode = summary.results.some((r) => !r.ok) ? 1 : 0;
+  })
+  .catch((err) => {
+    console.error('saved search check failed:', err?.message || err);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,60 @@
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Award taxes and fees arrive in the program's currency; they are converted to
+// INR with a local rate table (data/exchangeRates.json, or the file named by
+// EXCHANGE_RATES_PATH) so no FX service is called per search.
+
+const DEFAULT_RATES_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), 'data/exchangeRates.json');
+
+// Currencies without minor units; everything else is reported in cents
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW'];
+
+let rateTable = null;
+
+function getRateTable() {
+  if (rateTable) return rateTable;
+  const file = process.env.EXCHANGE_RATES_PATH ? path.resolve(process.env.EXCHANGE_RATES_PATH) : DEFAULT_RATES_PATH;
+  try {
+    rateTable = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (readErr) {
+    const err = new Error('Exchange rate table unavailable');
+    err.status = 500;
+    err.detail = `Could not read ${file}: ${readErr?.message || 'unknown error'}`;
+    throw err;
+  }
+  return rateTable;
+}
+
+// Provider amount in minor units (cents) -> major units of `currency`
+export function fromMinorUnits(amount, currency) {
+  const value = Number(amount);
+  if (!Number.isFinite(value)) return null;
+  return ZERO_DECIMAL_CURRENCIES.includes(currency) ? value : value / 100;
+}
+
+// Amount in `currency` -> whole rupees, or null when the currency isn't in the table
+export function toInr(amount, currency) {
+  const rate = getRateTable().rates?.[String(currency || '').toUpperCase()];
+  if (!Number.isFinite(amount) || !Number.isFinite(rate)) return null;
+  return Math.round(amount * rate);
+}
+
+export function rateTableVersion() {
+  return getRateTable().updated || null;
+}
+
+// Cash still payable on an award made of legs whose taxes are `{ amount, currency }`
+// (null when the program didn't report them). `amount` is the INR total, null
+// unless every leg is known and its currency is in the rate table.
+export function describeCashOutOfPocket(legTaxes) {
+  const breakdown = legTaxes.map((t) => (t ? { ...t, inr: toInr(t.amount, t.currency) } : null));
+  const complete = breakdown.every((t) => t && t.inr !== null);
+  return {
+    amount: complete ? breakdown.reduce((sum, t) => sum + t.inr, 0) : null,
+    currency: 'INR',
+    breakdown: breakdown.filter(Boolean),
+    rateTable: rateTableVersion(),
+  };
+}
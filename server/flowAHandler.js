@@ -1,132 +1,99 @@
 import dotenv from 'dotenv';
-import OpenAI from 'openai';
+import {
+  describeFreshness,
+  getAvailabilityProvider,
+  searchAvailabilityCached,
+} from './availability/index.js';
+import { CABIN_CODES } from './availability/seatsAeroProvider.js';
+import { GENERATE_ITINERARY_REQUEST, validateAgainst } from '../shared/apiSchema.js';
+import { buildAvailabilityCalendar } from './availabilityCalendar.js';
+import { describeCashOutOfPocket } from './currency.js';
+import { CABINS, PROGRAM_CAPABILITY, requireCard, unknownProgramErrors } from './catalog.js';
+import { completeJson, PROMPTS } from './llm/index.js';
+import { logger } from './logger.js';
+import { flowASearches, llmAnswers } from './metrics.js';
 import { resolveLocation } from './locationResolver.js';
+import { invalidRequest } from './httpErrors.js';
+import { describePositioning, resolveOriginAirports } from './originAirports.js';
+import {
+  countAvailableDates,
+  decodeCursor,
+  DEFAULT_PAGE_SIZE,
+  encodeCursor,
+  pageAfter,
+  rankOptions,
+  searchFingerprint,
+} from './optionRanking.js';
+import { describeHotelStay } from './hotels.js';
+import { describeRedemptionValue } from './redemptionValue.js';
+import { pairRoundTrips, returnDateRange } from './roundTrip.js';
+import { describeTransfer, exceedsCombinedCap } from './transferRules.js';
 
 dotenv.config();
 
-const SEATS_API_KEY = process.env.SEATS_API_KEY || '';
-
-const CARD_MULTIPLIER = {
-  'Burgundy Private Credit Card': 0.8,
-  'Magnus for Burgundy Credit Card': 0.8,
-  'Magnus Credit Card (Standard)': 0.4,
-  'Reserve Credit Card': 0.4,
-  'Select Credit Card': 0.1,
-  'Privilege Credit Card': 0.1,
-  'Axis Bank Rewards Credit Card': 0.1,
-  'Privilege Easy Credit Card': 0.05,
-  'Axis Bank IndianOil Credit Card (regular)': 0.05,
-  'IndianOil Easy Axis Bank Credit Card': 0.05,
-  'Axis Bank My Zone Credit Card': 0.05,
-  'Axis Bank My Zone Easy Credit Card': 0.05,
-  'Axis Bank Signature Credit Card': 0.05,
-  'Axis Bank Titanium Smart Traveller Credit Card': 0.05,
-  'Axis Bank Pride Platinum Credit Card': 0.05,
-  'Axis Bank Pride Signature Credit Card': 0.05,
-};
-
-const PROGRAM_CAPABILITY = {
-  united: { level: 'LIVE_RELIABLE', name: 'United MileagePlus', disclaimer: null },
-  aeroplan: { level: 'LIVE_RELIABLE', name: 'Air Canada Aeroplan', disclaimer: null },
-  singapore: { level: 'LIMITED_RELIABLE', name: 'Singapore KrisFlyer', disclaimer: 'Saver-level availability only; results may be incomplete' },
-  flyingblue: { level: 'LIMITED_RELIABLE', name: 'Air France–KLM Flying Blue', disclaimer: 'Saver-level availability only; results may be incomplete' },
-};
+export { PROGRAM_CAPABILITY };
 
 const ALLOWED_SOURCES = Object.keys(PROGRAM_CAPABILITY);
 
-let openaiClient = null;
-const summaryCache = new Map(); // key: dest|days -> string[]
-const summaryInFlight = new Map(); // key: dest|days -> Promise<string[]>
+// key: dest|days -> { summary: string[], promptVersion, model } (promptVersion
+// null for the fallback)
+const summaryCache = new Map();
+const summaryInFlight = new Map(); // key: dest|days -> Promise<entry>
 const DEFAULT_SUMMARY = ['Explore the city at your own pace'];
-
-function getOpenAIClient() {
-  if (openaiClient) return openaiClient;
-  const key = process.env.OPENAI_API_KEY;
-  if (!key) return null;
-  openaiClient = new OpenAI({ apiKey: key });
-  return openaiClient;
-}
+const fallbackSummary = { summary: DEFAULT_SUMMARY, promptVersion: null, model: null };
 
 async function generateTripSummary(destinationName, days) {
   const key = `${destinationName || 'unknown'}|${days || 0}`;
-  if (summaryCache.has(key)) return summaryCache.get(key);
+  if (summaryCache.has(key)) return summaryCache.get(key).summary;
 
-  if (summaryInFlight.has(key)) return summaryInFlight.get(key);
+  if (summaryInFlight.has(key)) return (await summaryInFlight.get(key)).summary;
 
   const task = (async () => {
-    const client = getOpenAIClient();
-    if (!client) return DEFAULT_SUMMARY;
-
     const safeDays = Math.max(1, Math.min(Number(days) || 1, 30));
-    const prompt = `
-You are generating a concise trip summary for a generic sightseeing, first-time visit.
-Destination: ${destinationName || 'unknown'}
-Duration: ${safeDays} day(s)
-
-Return a JSON array of 3-5 short bullet strings (one sentence each), max 5 bullets, no numbering, no emojis, no specific hotels or bookings. If duration < 5, reduce bullets accordingly. Focus on realistic day-by-day flow (arrival, central landmarks, culture/food, optional day trip, departure).`;
-
+    let result = fallbackSummary;
     try {
-      const resp = await client.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: [
-          { role: 'system', content: 'Return only JSON array of strings. No extra text.' },
-          { role: 'user', content: prompt },
-        ],
-        response_format: { type: 'json_object' },
-      });
-
-      const content = resp.choices?.[0]?.message?.content || '';
-      console.log('[TripSummaryRaw]', {
-        destinationCity: destinationName || 'unknown',
-        rawOutput: content,
-      });
-      const parsed = JSON.parse(content);
-      const arr = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.bullets) ? parsed.bullets : Array.isArray(parsed?.summary) ? parsed.summary : parsed?.tripSummary;
-      const bullets = Array.isArray(arr) ? arr : parsed?.airports ? [] : [];
-      const cleaned = (bullets || []).map((s) => (typeof s === 'string' ? s.trim() : '')).filter(Boolean).slice(0, 5);
-      const finalSummary = cleaned.length > 0 ? cleaned : DEFAULT_SUMMARY;
-      const usedFallback = finalSummary.length === 1 && finalSummary[0] === DEFAULT_SUMMARY[0];
-      console.log('[TripSummaryGenerated]', {
-        destinationCity: destinationName || 'unknown',
-        durationDays: safeDays,
-        usedFallback,
-      });
-      return finalSummary;
+      const answer = await completeJson(PROMPTS.tripSummary, { destination: destinationName || 'unknown', days: safeDays });
+      if (answer) {
+        const parsed = answer.data;
+        const arr = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.bullets) ? parsed.bullets : Array.isArray(parsed?.summary) ? parsed.summary : parsed?.tripSummary;
+        const bullets = Array.isArray(arr) ? arr : [];
+        const cleaned = bullets.map((s) => (typeof s === 'string' ? s.trim() : '')).filter(Boolean).slice(0, 5);
+        if (cleaned.length > 0) result = { summary: cleaned, promptVersion: answer.promptVersion, model: answer.model };
+      }
     } catch (err) {
-      console.error('trip summary error:', err?.message || err);
-      return DEFAULT_SUMMARY;
+      logger.warn('trip_summary.failed', { destination: destinationName || 'unknown', error: err });
     }
+    const usedFallback = result === fallbackSummary;
+    llmAnswers.inc({ prompt: PROMPTS.tripSummary.id, outcome: usedFallback ? 'fallback' : 'llm' });
+    logger.info('trip_summary.generated', {
+      destination: destinationName || 'unknown',
+      durationDays: safeDays,
+      promptVersion: result.promptVersion,
+      bullets: result.summary.length,
+      usedFallback,
+    });
+    return result;
   })();
 
   summaryInFlight.set(key, task);
   try {
     const result = await task;
     summaryCache.set(key, result);
-    return result;
+    return result.summary;
   } finally {
     summaryInFlight.delete(key);
   }
 }
 
-const ORIGIN_CODE = {
-  Delhi: 'DEL',
-  Mumbai: 'BOM',
-  Bengaluru: 'BLR',
-  Hyderabad: 'HYD',
-  Chennai: 'MAA',
-};
-
-function cabinToCode(cabin) {
-  const map = {
-    Economy: 'Y',
-    Business: 'J',
-    'Premium Economy': 'W',
-    First: 'F',
-  };
-  return map[cabin] || null;
+export function cabinToCode(cabin) {
+  return CABINS.find((c) => c.label === cabin)?.code || null;
 }
 
-function monthToDateRange(input) {
+export const SORT_ORDERS = GENERATE_ITINERARY_REQUEST.properties.sortBy.enum;
+
+export const CABIN_LABEL = Object.fromEntries(CABINS.map((c) => [c.code, c.label]));
+
+export function monthToDateRange(input) {
   if (!input || typeof input !== 'string') {
     const err = new Error('Invalid travelMonth: required');
     err.status = 400;
@@ -152,12 +119,84 @@ function monthToDateRange(input) {
   };
 }
 
-export async function processFlowA(body = {}) {
-  if (!SEATS_API_KEY) {
-    const error = new Error('SEATS_API_KEY missing on server');
-    error.status = 500;
-    throw error;
+export async function resolveDestinationAirports(destination) {
+  const resolved = await resolveLocation(destination);
+  const resolvedAirports = Array.isArray(resolved?.airports) ? resolved.airports : [];
+  if (resolvedAirports.length === 0) {
+    const err = new Error('Unknown destination');
+    err.status = 400;
+    err.detail = `Could not match "${destination}" to any airport, city, country or region`;
+    throw err;
   }
+  const destinationAirport = resolvedAirports.map((a) => a.iata).join(',');
+  return { resolvedAirports, destinationAirport };
+}
+
+// Normalized availability for the query, from whichever provider is configured
+// (through the availability cache). Resolves to `{ records, fetchedAt, fromCache }`.
+export async function searchAvailability({
+  originAirport,
+  destinationAirport,
+  start_date,
+  end_date,
+  onlyDirect,
+}) {
+  return searchAvailabilityCached({
+    originAirport,
+    destinationAirport,
+    start_date,
+    end_date,
+    onlyDirect,
+    sources: ALLOWED_SOURCES,
+  });
+}
+
+// Cabins to consider: just the requested one, or it and every cabin above it
+export function cabinsAtOrAbove(cabinCode, orBetter) {
+  if (!orBetter) return [cabinCode];
+  return CABIN_CODES.slice(CABIN_CODES.indexOf(cabinCode));
+}
+
+// Availability + mileage for the requested cabin on a normalized record
+export function readCabin(record, cabinCode) {
+  const cabin = record?.cabins?.[cabinCode];
+  return {
+    available: cabin?.available === true,
+    miles: Number.isFinite(cabin?.miles) ? cabin.miles : 0,
+    direct: cabin?.direct === true,
+    seats: Number.isInteger(cabin?.seats) ? cabin.seats : null,
+    taxes: Number.isFinite(cabin?.taxes) && record?.taxesCurrency ? { amount: cabin.taxes, currency: record.taxesCurrency } : null,
+  };
+}
+
+// Whether a cabin can seat the whole party. Unknown seat counts are let through
+// and flagged on the option instead (seatsConfirmed: false).
+export function hasSeatsFor(seats, travellers) {
+  return seats === null || seats >= travellers;
+}
+
+export function recordCapability(record) {
+  const src = (record?.source || '').toLowerCase();
+  const capability = PROGRAM_CAPABILITY[src];
+  if (!capability) return null;
+  if (capability.level !== 'LIVE_RELIABLE' && capability.level !== 'LIMITED_RELIABLE') return null;
+  return { src, capability };
+}
+
+// Extra EDGE points beyond the balance that still count as "within reach".
+// Either a percentage of the balance or an absolute number of points (larger wins).
+// Ranges are checked by the request schema.
+function shortfallAllowance(edgeBudget, { tolerancePercent, tolerancePoints }) {
+  return Math.max(Math.floor((edgeBudget * (tolerancePercent ?? 0)) / 100), Math.floor(tolerancePoints ?? 0));
+}
+
+// `summaries: false` skips the LLM trip summaries (background re-runs only need the options).
+// `onEvent(type, payload)` reports progress for streaming: 'airports' once the
+// destination is resolved, 'options' once flights are ranked (summaries still
+// empty), then one 'summary' per destination as each LLM call finishes.
+export async function processFlowA(body = {}, { summaries = true, onEvent } = {}) {
+  // Fail fast (before any LLM call) when the configured provider is unusable
+  getAvailabilityProvider();
 
   const {
     edgePoints,
@@ -168,198 +207,336 @@ export async function processFlowA(body = {}) {
     cardDisplayName,
     onlyDirect,
     tripDuration,
+    roundTrip,
+    cabinOrBetter,
+    tolerancePercent,
+    tolerancePoints,
+    alternateOrigins,
+    nearbyRadiusKm,
+    anyIndianHub,
+    sortBy = 'points',
+    travellers = 1,
+    maxCashInr,
+    programs,
+    destinationAirports,
+    maxStops,
+    limit = DEFAULT_PAGE_SIZE,
+    cursor,
+    includeHotel,
+    hotelTier = 'midscale',
   } = body;
 
-  if (
-    edgePoints === undefined ||
-    !origin ||
-    !destination ||
-    !travelMonth ||
-    !cabin ||
-    !cardDisplayName
-  ) {
-    const err = new Error('Missing required fields');
-    err.status = 400;
-    throw err;
+  const fieldErrors = validateAgainst(GENERATE_ITINERARY_REQUEST, body);
+  if (roundTrip === true && tripDuration === undefined) {
+    fieldErrors.push({ field: 'tripDuration', message: 'is required for round trips' });
+  }
+  if (includeHotel === true && tripDuration === undefined) {
+    fieldErrors.push({ field: 'tripDuration', message: 'is required when includeHotel is true' });
   }
+  fieldErrors.push(...unknownProgramErrors(programs));
+  if (fieldErrors.length > 0) throw invalidRequest(fieldErrors);
 
-  const multiplier = CARD_MULTIPLIER[cardDisplayName] ?? 0;
-  const partnerMiles = Math.floor(Number(edgePoints) * multiplier);
+  const card = requireCard(cardDisplayName);
+  const fingerprint = searchFingerprint(body);
+  const positions = cursor ? decodeCursor(cursor, fingerprint) : {};
+  const edgeBudget = edgePoints;
+  const reachBudget = edgeBudget + shortfallAllowance(edgeBudget, { tolerancePercent, tolerancePoints });
 
-  const originAirport = ORIGIN_CODE[origin] || origin;
+  const { home, origins } = resolveOriginAirports({ origin, alternateOrigins, nearbyRadiusKm, anyIndianHub });
+  const originAirport = origins.map((o) => o.iata).join(',');
   const { start_date, end_date } = monthToDateRange(travelMonth);
   const cabinCode = cabinToCode(cabin);
-  if (!cabinCode) {
-    const err = new Error('Invalid cabin');
-    err.status = 400;
-    err.detail = 'Cabin must be Economy, Business, Premium Economy, or First';
-    throw err;
-  }
+  const isRoundTrip = roundTrip === true;
 
-  const resolved = await resolveLocation(destination);
-  const resolvedAirports = Array.isArray(resolved?.airports) ? resolved.airports : [];
-  const destinationAirport =
-    resolvedAirports.length > 0
-      ? resolvedAirports.map((a) => a.iata).join(',')
-      : destination.trim();
-
-  const params = new URLSearchParams({
-    origin_airport: originAirport,
-    destination_airport: destinationAirport,
-    start_date,
-    end_date,
-    take: '500',
-    include_trips: 'false',
-    only_direct_flights: onlyDirect === true ? 'true' : 'false',
-    include_filtered: 'false',
-    sources: ALLOWED_SOURCES.join(','),
-  });
-
-  const seatsUrl = `https://seats.aero/partnerapi/search?${params.toString()}`;
-  console.log('Seats request URL:', seatsUrl);
+  const { resolvedAirports, destinationAirport } = await resolveDestinationAirports(destination);
+  onEvent?.('airports', { origins, resolvedAirports, destinationAirport });
+  const returnRange = isRoundTrip ? returnDateRange({ start_date, end_date }, tripDuration) : null;
 
-  let seatsResp;
-  try {
-    seatsResp = await fetch(seatsUrl, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Partner-Authorization': SEATS_API_KEY,
-      },
-    });
-  } catch (fetchErr) {
-    const detail = fetchErr?.message || 'fetch failed';
-    const causeCode = fetchErr?.cause?.code;
-    const err = new Error('Seats API fetch failed');
-    err.status = 502;
-    err.detail = detail;
-    err.cause = causeCode;
-    throw err;
-  }
-
-  if (!seatsResp.ok) {
-    const text = await seatsResp.text();
-    const err = new Error('Seats API error');
-    err.status = seatsResp.status;
-    err.detail = text;
-    throw err;
-  }
-
-  const data = await seatsResp.json();
-  const results = Array.isArray(data?.data) ? data.data : [];
-
-  if (results.length > 0) {
-    const preview = results.slice(0, 3).map((r) => ({
-      Source: r.Source,
-      YAvailableRaw: r?.YAvailableRaw,
-      YMileageCostRaw: r?.YMileageCostRaw,
-      YAvailable: r?.YAvailable,
-      YMileageCost: r?.YMileageCost,
-    }));
-    console.log('Seats preview (first 3):', preview);
-  }
-
-  const mapped = results
-    .map((r) => {
-      const src = (r?.Source || '').toLowerCase();
-      const capability = PROGRAM_CAPABILITY[src];
-      return { r, src, capability };
-    })
-    .filter(({ capability }) => capability && (capability.level === 'LIVE_RELIABLE' || capability.level === 'LIMITED_RELIABLE'))
-    .map(({ r, src, capability }) => {
-      const isBusiness = cabinCode === 'J';
-      const avail = isBusiness ? r?.JAvailableRaw : r?.YAvailableRaw;
-      const rawMiles = isBusiness ? r?.JMileageCostRaw : r?.YMileageCostRaw;
-      const cabinMiles = typeof rawMiles === 'number' ? rawMiles : Number(rawMiles);
-
-      let dest = null;
-      if (r?.destination_airport) {
-        dest = r.destination_airport;
-      } else if (r?.DestinationAirport) {
-        dest = r.DestinationAirport;
-      } else if (typeof r?.Route === 'string' && r.Route.includes('-')) {
-        dest = r.Route.split('-')[1];
-      } else if (r?.Route?.DestinationAirport) {
-        dest = r.Route.DestinationAirport;
-      }
-
-      const stops = typeof r?.stops === 'number'
+  const [outboundSearch, returnSearch] = await Promise.all([
+    searchAvailability({
+      originAirport,
+      destinationAirport,
+      start_date,
+      end_date,
+      onlyDirect,
+    }),
+    isRoundTrip
+      ? searchAvailability({
+        originAirport: destinationAirport,
+        destinationAirport: originAirport,
+        start_date: returnRange.start_date,
+        end_date: returnRange.end_date,
+        onlyDirect,
+      })
+      : Promise.resolve(null),
+  ]);
+  // Program and destination-airport filters narrow the records themselves, so
+  // the availability rows and calendar match the options. Return records fly
+  // from the trip destination.
+  const programFilter = programs?.length ? new Set(programs.map((p) => p.toLowerCase())) : null;
+  const airportFilter = destinationAirports?.length ? new Set(destinationAirports.map((a) => a.toUpperCase())) : null;
+  const keepRecord = (r, tripDestination) =>
+    (!programFilter || programFilter.has((r.source || '').toLowerCase())) &&
+    (!airportFilter || airportFilter.has(tripDestination));
+  const results = outboundSearch.records.filter((r) => keepRecord(r, r.destination));
+  const returnResults = returnSearch ? returnSearch.records.filter((r) => keepRecord(r, r.origin)) : [];
+
+  // Normalized record -> priced leg (no budget check). `airport` is always the
+  // trip destination and `origin` the Indian airport, whichever direction the
+  // record flies. In "or better" mode the leg is the highest cabin the budget
+  // reaches, else the cheapest eligible one, and `cabinOptions` lists the leg in
+  // every eligible cabin so round trips can choose cabins against the pair's cost.
+  const searchCabins = cabinsAtOrAbove(cabinCode, cabinOrBetter === true);
+  const toLeg = (r, airport, legOrigin) => {
+    const match = recordCapability(r);
+    if (!match) return null;
+    const { capability } = match;
+
+    const priced = searchCabins
+      .map((code) => ({ code, ...readCabin(r, code) }))
+      .filter((c) => c.available && c.miles > 0 && hasSeatsFor(c.seats, travellers))
+      .map((c) => ({ ...c, transfer: describeTransfer(card.name, match.src, c.miles * travellers) }))
+      .filter((c) => c.transfer);
+    if (priced.length === 0) return null;
+    const affordable = priced.filter((c) => c.transfer.edgePoints <= edgeBudget);
+    const chosen = affordable.length > 0
+      ? affordable[affordable.length - 1]
+      : priced.reduce((a, b) => (b.transfer.edgePoints < a.transfer.edgePoints ? b : a));
+
+    const legIn = ({ code, miles, direct, seats, taxes, transfer }) => ({
+      airport,
+      origin: legOrigin,
+      date: r.date || null,
+      program: capability?.name || 'Program',
+      programLevel: capability.level,
+      disclaimer: capability?.disclaimer || null,
+      carrierSurcharges: capability.carrierSurcharges,
+      cabin: CABIN_LABEL[code],
+      cabinCode: code,
+      mileageCost: miles * travellers,
+      edgePointsRequired: transfer.edgePoints,
+      seats,
+      // Taxes and fees for the whole party, in the program's currency
+      taxes: taxes && { amount: Math.round(taxes.amount * travellers * 100) / 100, currency: taxes.currency },
+      transfer,
+      stops: typeof r.stops === 'number'
         ? r.stops
-        : (isBusiness ? r?.JDirectRaw : r?.YDirectRaw) === true
+        : direct
           ? 0
-          : null;
+          : null,
+    });
 
-      const programName = capability?.name || 'Program';
-      const disclaimer = capability?.disclaimer || null;
+    const cabinLegs = priced.map(legIn);
+    const leg = cabinLegs[priced.indexOf(chosen)];
+    return cabinLegs.length > 1 ? { ...leg, cabinOptions: cabinLegs } : leg;
+  };
 
-      const allowedMiles = Number.isFinite(cabinMiles) ? cabinMiles : 0;
-      const withinBudget = avail === true && allowedMiles > 0 && allowedMiles <= partnerMiles;
+  const outboundLegs = results.map((r) => toLeg(r, r.destination, r.origin)).filter(Boolean);
+  const cabinLabel = CABIN_LABEL[cabinCode];
+  const destinationNameFor = (iata) => resolvedAirports.find((a) => a.iata === iata)?.city || null;
+  const originNameFor = (iata) => origins.find((o) => o.iata === iata)?.city || null;
+
+  // Per-date availability for every program / destination / cabin, before any
+  // budget filtering or per-destination collapsing
+  const availability = [];
+  for (const r of results) {
+    const match = recordCapability(r);
+    if (!match || !r.date) continue;
+    for (const code of CABIN_CODES) {
+      const space = readCabin(r, code);
+      if (!space.available || !(space.miles > 0) || !hasSeatsFor(space.seats, travellers)) continue;
+      const transfer = describeTransfer(card.name, match.src, space.miles * travellers);
+      if (!transfer) continue;
+      const taxes = space.taxes && { amount: space.taxes.amount * travellers, currency: space.taxes.currency };
+      availability.push({
+        date: r.date,
+        origin: r.origin,
+        program: match.capability.name,
+        destination: r.destination,
+        destinationName: destinationNameFor(r.destination),
+        cabin: CABIN_LABEL[code],
+        mileageCost: space.miles * travellers,
+        edgePointsRequired: transfer.edgePoints,
+        seatsAvailable: space.seats,
+        exceedsTransferCap: transfer.exceedsAnnualCap,
+        direct: space.direct,
+        stops: typeof r.stops === 'number' ? r.stops : space.direct ? 0 : null,
+        cashOutOfPocketInr: describeCashOutOfPocket([taxes]).amount,
+      });
+    }
+  }
+  availability.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : a.edgePointsRequired - b.edgePointsRequired));
 
-      if (!withinBudget) return null;
+  const calendar = buildAvailabilityCalendar({
+    entries: availability,
+    cabin: cabinLabel,
+    start_date,
+    end_date,
+    edgeBudget,
+  });
 
+  let mapped;
+  if (isRoundTrip) {
+    const returnLegs = returnResults.map((r) => toLeg(r, r.origin, r.destination)).filter(Boolean);
+    mapped = pairRoundTrips({
+      outbound: outboundLegs,
+      inbound: returnLegs,
+      tripDuration,
+      edgeBudget: reachBudget,
+      affordableBudget: edgeBudget,
+      cabinRank: (leg) => CABIN_CODES.indexOf(leg.cabinCode),
+    }).map((pair) => {
+      const cashOutOfPocket = describeCashOutOfPocket([pair.outbound.taxes, pair.return.taxes]);
       return {
-        origin: originAirport,
-        destination: dest,
-        destinationName: resolvedAirports.find((a) => a.iata === dest)?.city || null,
-        program: programName,
-        programLevel: capability.level,
-        disclaimer,
-        cabin: cabinCode === 'J' ? 'Business' : 'Economy',
-        mileageCost: allowedMiles,
-        edgePointsRequired: Math.ceil(allowedMiles / (CARD_MULTIPLIER[cardDisplayName] || 1)),
-        stops,
+        origin: pair.outbound.origin,
+        originName: originNameFor(pair.outbound.origin),
+        positioning: describePositioning(origins, pair.outbound.origin),
+        destination: pair.outbound.airport,
+        destinationName: destinationNameFor(pair.outbound.airport),
+        program:
+          pair.outbound.program === pair.return.program
+            ? pair.outbound.program
+            : `${pair.outbound.program} / ${pair.return.program}`,
+        programLevel: pair.outbound.programLevel,
+        disclaimer: pair.outbound.disclaimer || pair.return.disclaimer,
+        cabin:
+          pair.outbound.cabin === pair.return.cabin
+            ? pair.outbound.cabin
+            : `${pair.outbound.cabin} / ${pair.return.cabin}`,
+        tripType: 'roundtrip',
+        departureDate: pair.outbound.date,
+        returnDate: pair.return.date,
+        nights: pair.nights,
+        outbound: pair.outbound,
+        return: pair.return,
+        seatsAvailable:
+          pair.outbound.seats === null || pair.return.seats === null
+            ? pair.outbound.seats ?? pair.return.seats
+            : Math.min(pair.outbound.seats, pair.return.seats),
+        seatsConfirmed: pair.outbound.seats !== null && pair.return.seats !== null,
+        mileageCost: pair.mileageCost,
+        edgePointsRequired: pair.edgePointsRequired,
+        cashOutOfPocket,
+        carrierSurcharges: pair.outbound.carrierSurcharges || pair.return.carrierSurcharges,
+        exceedsTransferCap: exceedsCombinedCap([pair.outbound.transfer, pair.return.transfer]),
+        value: describeRedemptionValue({
+          legs: [
+            { origin: pair.outbound.origin, destination: pair.outbound.airport, cabinCode: pair.outbound.cabinCode },
+            { origin: pair.return.airport, destination: pair.return.origin, cabinCode: pair.return.cabinCode },
+          ],
+          edgePoints: pair.edgePointsRequired,
+          travellers,
+          taxesInr: cashOutOfPocket.amount,
+        }),
+        stops: pair.stops,
         tripSummary: [],
       };
-    })
-    .filter(Boolean)
-    .sort((a, b) => a.edgePointsRequired - b.edgePointsRequired);
-
-  // Deduplicate: max 2 per destination (cheapest + cheapest non-stop if different)
-  // Group by destination
-  const byDest = new Map();
-  for (const item of mapped) {
-    const key = item.destinationName || item.destination || 'unknown';
-    if (!byDest.has(key)) byDest.set(key, []);
-    byDest.get(key).push(item);
+    });
+  } else {
+    mapped = outboundLegs
+      .filter((leg) => leg.edgePointsRequired <= reachBudget)
+      .map((leg) => {
+        const cashOutOfPocket = describeCashOutOfPocket([leg.taxes]);
+        return {
+          origin: leg.origin,
+          originName: originNameFor(leg.origin),
+          positioning: describePositioning(origins, leg.origin),
+          destination: leg.airport,
+          destinationName: destinationNameFor(leg.airport),
+          program: leg.program,
+          programLevel: leg.programLevel,
+          disclaimer: leg.disclaimer,
+          cabin: leg.cabin,
+          tripType: 'oneway',
+          departureDate: leg.date,
+          returnDate: null,
+          mileageCost: leg.mileageCost,
+          edgePointsRequired: leg.edgePointsRequired,
+          transfer: leg.transfer,
+          seatsAvailable: leg.seats,
+          seatsConfirmed: leg.seats !== null,
+          cashOutOfPocket,
+          carrierSurcharges: leg.carrierSurcharges,
+          exceedsTransferCap: leg.transfer.exceedsAnnualCap,
+          value: describeRedemptionValue({
+            legs: [{ origin: leg.origin, destination: leg.airport, cabinCode: leg.cabinCode }],
+            edgePoints: leg.edgePointsRequired,
+            travellers,
+            taxesInr: cashOutOfPocket.amount,
+          }),
+          stops: leg.stops,
+          tripSummary: [],
+        };
+      });
+  }
+  // Packages: one EDGE balance covers the flight and the Accor nights. The
+  // option's edgePointsRequired becomes the trip total; the flight's share
+  // stays on flightEdgePointsRequired.
+  if (includeHotel === true) {
+    mapped = mapped
+      .map((option) => {
+        const hotel = describeHotelStay({
+          cardName: card.name,
+          airport: option.destination,
+          nights: option.nights ?? tripDuration,
+          travellers,
+          tier: hotelTier,
+        });
+        if (!hotel) return null;
+        const flightTransfers = option.tripType === 'roundtrip' ? [option.outbound.transfer, option.return.transfer] : [option.transfer];
+        return {
+          ...option,
+          hotel,
+          flightEdgePointsRequired: option.edgePointsRequired,
+          edgePointsRequired: option.edgePointsRequired + hotel.edgePointsRequired,
+          exceedsTransferCap: exceedsCombinedCap([...flightTransfers, hotel.transfer]),
+        };
+      })
+      .filter((option) => option && option.edgePointsRequired <= reachBudget);
   }
 
-  // For each destination, pick: cheapest + cheapest non-stop (if different)
-  const destGroups = [];
-  for (const [destKey, items] of byDest) {
-    // Items are already sorted by points, so first is cheapest
-    const cheapest = items[0];
-    const cheapestNonstop = items.find((i) => i.stops === 0);
-
-    const selected = [];
-    if (cheapest.stops === 0) {
-      // Cheapest is already non-stop, show only that
-      selected.push(cheapest);
-    } else if (cheapestNonstop) {
-      // Cheapest has stops, but non-stop exists - show both
-      selected.push(cheapest, cheapestNonstop);
-    } else {
-      // No non-stop exists, show only cheapest
-      selected.push(cheapest);
-    }
-
-    destGroups.push({
-      destKey,
-      cheapestPoints: cheapest.edgePointsRequired,
-      items: selected,
-    });
+  // Cap on cash out of pocket; options whose taxes weren't reported are kept
+  if (maxCashInr !== undefined) {
+    mapped = mapped.filter((o) => o.cashOutOfPocket.amount === null || o.cashOutOfPocket.amount <= maxCashInr);
   }
 
-  // Sort destination groups by their cheapest option
-  destGroups.sort((a, b) => a.cheapestPoints - b.cheapestPoints);
+  // Costs above are for the whole party; per-person figures are for display
+  for (const option of mapped) {
+    option.travellers = travellers;
+    option.perPerson = {
+      mileageCost: option.mileageCost / travellers,
+      edgePointsRequired: Math.ceil(option.edgePointsRequired / travellers),
+      cashOutOfPocket: option.cashOutOfPocket.amount === null ? null : Math.round(option.cashOutOfPocket.amount / travellers),
+    };
+    option.shortfall = Math.max(0, option.edgePointsRequired - edgeBudget);
+    option.status = option.shortfall > 0 ? 'within_reach' : 'bookable';
+  }
 
-  // Flatten groups (keeping same-destination items together) and cap at 10
-  const deduplicated = [];
-  for (const group of destGroups) {
-    for (const item of group.items) {
-      if (deduplicated.length >= 10) break;
-      deduplicated.push(item);
-    }
-    if (deduplicated.length >= 10) break;
+  // Options with unknown stop counts can't be shown to meet a stop limit
+  if (maxStops !== undefined) {
+    mapped = mapped.filter((o) => o.stops !== null && o.stops <= maxStops);
   }
+  countAvailableDates(mapped);
+
+  // "Or better" searches put the best cabin first, ahead of `sortBy`
+  const cabinRank = (option) =>
+    Math.min(...option.cabin.split(' / ').map((label) => CABIN_CODES.indexOf(cabinToCode(label))));
+  const rankedBookable = rankOptions(mapped.filter((o) => o.status === 'bookable'), sortBy, cabinOrBetter === true ? cabinRank : null);
+  const rankedReach = rankOptions(mapped.filter((o) => o.status === 'within_reach'), sortBy, cabinOrBetter === true ? cabinRank : null);
+
+  // Both lists page together: one cursor advances each by up to `limit`
+  const bookablePage = pageAfter(rankedBookable, positions.bookable, limit);
+  const reachPage = pageAfter(rankedReach, positions.withinReach, limit);
+  const bookableNow = bookablePage.items;
+  const withinReach = reachPage.items;
+  const page = {
+    limit,
+    totalOptions: rankedBookable.length,
+    totalWithinReach: rankedReach.length,
+    nextCursor: bookablePage.hasMore || reachPage.hasMore
+      ? encodeCursor({ fingerprint, positions: { bookable: bookablePage.position, withinReach: reachPage.position } })
+      : null,
+  };
 
   // Deduplicate trip summary generation per destination within a single request.
   // Without this, parallel Promise.all calls would all miss the cache and spam the LLM.
@@ -373,6 +550,7 @@ export async function processFlowA(body = {}) {
       .then((result) => {
         // Replace stored promise with a resolved one to avoid holding onto a long chain
         summaryPromiseByDestination.set(key, Promise.resolve(result));
+        onEvent?.('summary', { destination: key, tripSummary: result });
         return result;
       })
       .catch((err) => {
@@ -384,25 +562,71 @@ export async function processFlowA(body = {}) {
     return promise;
   };
 
-  const enriched = await Promise.all(
-    deduplicated.map(async (item) => {
-      const summary = await getSummaryForDestination(item.destinationName || item.destination);
-      return {
-        ...item,
-        tripSummary: summary,
-      };
-    })
-  );
+  const withSummary = (items) =>
+    Promise.all(
+      items.map(async (item) => {
+        const summary = await getSummaryForDestination(item.destinationName || item.destination);
+        return {
+          ...item,
+          tripSummary: summary,
+        };
+      })
+    );
 
-  return {
+  const response = {
     input: {
       start_date,
       end_date,
       origin_airport: originAirport,
+      home_airport: home.iata,
+      origin_airports: origins,
       destination_airport: destinationAirport,
+      trip_type: isRoundTrip ? 'roundtrip' : 'oneway',
+      cabin: cabinLabel,
+      cabin_or_better: cabinOrBetter === true,
+      sort_by: sortBy,
+      travellers,
+      max_cash_inr: maxCashInr ?? null,
+      programs: programFilter ? Array.from(programFilter) : null,
+      destination_airports: airportFilter ? Array.from(airportFilter) : null,
+      max_stops: maxStops ?? null,
+      include_hotel: includeHotel === true,
+      hotel_tier: includeHotel === true ? hotelTier : null,
+      card: card.name,
+      edge_points: edgeBudget,
+      reach_budget: reachBudget,
+      return_start_date: returnRange?.start_date || null,
+      return_end_date: returnRange?.end_date || null,
     },
-    options: enriched,
+    options: bookableNow,
+    withinReach,
+    page,
+    freshness: describeFreshness([outboundSearch, returnSearch]),
+    availability,
+    calendar,
   };
+  // Follow-up pages aren't new searches
+  if (!cursor) {
+    const found = page.totalOptions + page.totalWithinReach;
+    flowASearches.inc({ result: found > 0 ? 'options' : 'zero_results' });
+    logger.info('flow_a.search', {
+      origin: originAirport,
+      destination: destinationAirport,
+      travelMonth,
+      cabin: cabinLabel,
+      options: page.totalOptions,
+      withinReach: page.totalWithinReach,
+      fromCache: response.freshness?.fromCache ?? null,
+    });
+  }
+  onEvent?.('options', response);
+  if (!summaries) return response;
+
+  const [enriched, enrichedWithinReach] = await Promise.all([
+    withSummary(bookableNow),
+    withSummary(withinReach),
+  ]);
+  return { ...response, options: enriched, withinReach: enrichedWithinReach };
 }
 
 export function ping() {
@@ -0,0 +1,258 @@
+import {
+  PROGRAM_CAPABILITY,
+  cabinToCode,
+  monthToDateRange,
+  readCabin,
+  recordCapability,
+  resolveDestinationAirports,
+  searchAvailability,
+} from './flowAHandler.js';
+import { POINTS_REQUIRED_REQUEST, validateAgainst } from '../shared/apiSchema.js';
+import { describeFreshness } from './availability/index.js';
+import { requireCard } from './catalog.js';
+import { describeHotelStay } from './hotels.js';
+import { invalidRequest } from './httpErrors.js';
+import { ORIGIN_COUNTRY, resolveOriginAirports } from './originAirports.js';
+import { pairRoundTrips, returnDateRange } from './roundTrip.js';
+import { describeTransfer, exceedsCombinedCap } from './transferRules.js';
+
+// Cheapest price per program across `records` for one cabin
+// key: program source -> { lowestMiles, dates:Set, origins:Set, destinations:Set, nonstop }
+function cheapestByProgram(records, cabinCode) {
+  const bySource = new Map();
+  for (const r of records) {
+    const match = recordCapability(r);
+    if (!match) continue;
+    const { available, miles, direct } = readCabin(r, cabinCode);
+    if (!available || miles <= 0) continue;
+
+    const date = r.date;
+    const dest = r.destination;
+    const home = r.origin;
+    const current = bySource.get(match.src);
+
+    if (!current || miles < current.lowestMiles) {
+      bySource.set(match.src, {
+        lowestMiles: miles,
+        dates: new Set(date ? [date] : []),
+        origins: new Set(home ? [home] : []),
+        destinations: new Set(dest ? [dest] : []),
+        nonstop: direct,
+      });
+    } else if (miles === current.lowestMiles) {
+      if (date) current.dates.add(date);
+      if (home) current.origins.add(home);
+      if (dest) current.destinations.add(dest);
+      current.nonstop = current.nonstop || direct;
+    }
+  }
+  return bySource;
+}
+
+// Every priced leg per program, in the shape pairRoundTrips expects: `airport`
+// is the trip destination and `origin` the Indian airport, whichever way the
+// record flies. key: program source -> [leg]
+function legsByProgram(records, cabinCode, cardName, { inbound = false } = {}) {
+  const bySource = new Map();
+  for (const r of records) {
+    const match = recordCapability(r);
+    if (!match) continue;
+    const { available, miles, direct } = readCabin(r, cabinCode);
+    if (!available || miles <= 0) continue;
+    const transfer = describeTransfer(cardName, match.src, miles);
+    if (!transfer) continue;
+
+    if (!bySource.has(match.src)) bySource.set(match.src, []);
+    bySource.get(match.src).push({
+      airport: inbound ? r.origin : r.destination,
+      origin: inbound ? r.destination : r.origin,
+      date: r.date || null,
+      mileageCost: miles,
+      edgePointsRequired: transfer.edgePoints,
+      transfer,
+      stops: typeof r.stops === 'number' ? r.stops : direct ? 0 : null,
+    });
+  }
+  return bySource;
+}
+
+// Cheapest bookable round trip on one program: an outbound date paired with a
+// return `tripDuration` days later (± RETURN_TOLERANCE_DAYS) between the same
+// airports. Null when no outbound date has a matching return.
+function cheapestRoundTrip(outbound, inbound, tripDuration) {
+  const pairs = pairRoundTrips({ outbound, inbound, tripDuration, edgeBudget: Infinity });
+  if (pairs.length === 0) return null;
+  const best = pairs.reduce((a, b) =>
+    b.edgePointsRequired < a.edgePointsRequired ||
+    (b.edgePointsRequired === a.edgePointsRequired && b.outbound.date < a.outbound.date)
+      ? b
+      : a
+  );
+  return {
+    departureDate: best.outbound.date,
+    returnDate: best.return.date,
+    nights: best.nights,
+    origin: best.outbound.origin,
+    destination: best.outbound.airport,
+    outboundMiles: best.outbound.mileageCost,
+    returnMiles: best.return.mileageCost,
+    mileageCost: best.mileageCost,
+    edgePointsRequired: best.edgePointsRequired,
+    transfers: [best.outbound.transfer, best.return.transfer],
+    // Outbound dates with a round trip at this price
+    datesAvailable: new Set(
+      pairs.filter((p) => p.edgePointsRequired === best.edgePointsRequired).map((p) => p.outbound.date)
+    ).size,
+  };
+}
+
+// Flow B: "how many EDGE points do I need for this trip?"
+// Same availability search as Flow A, but no budget filter — we report the
+// cheapest price each program charges and how far the user's balance is from it.
+// With `roundTrip` each outbound date is paired with a return `tripDuration`
+// days later (as in Flow A) and the program's EDGE points cover the cheapest
+// such pair, under `roundTrip`; with
+// `includeHotel` the Accor stay for `tripDuration` nights is priced alongside.
+// Domestic trips (every destination airport in India) skip the award search:
+// EDGE points can't be redeemed for domestic flights, so only the hotel is
+// priced and the response says `domestic: true`.
+export async function processFlowB(body = {}) {
+  const {
+    edgePoints,
+    origin,
+    destination,
+    travelMonth,
+    cabin,
+    cardDisplayName,
+    onlyDirect,
+    alternateOrigins,
+    nearbyRadiusKm,
+    anyIndianHub,
+    roundTrip,
+    tripDuration,
+    includeHotel,
+    hotelTier = 'midscale',
+  } = body;
+
+  const fieldErrors = validateAgainst(POINTS_REQUIRED_REQUEST, body);
+  if (roundTrip === true && tripDuration === undefined) {
+    fieldErrors.push({ field: 'tripDuration', message: 'is required for round trips' });
+  }
+  if (includeHotel === true && tripDuration === undefined) {
+    fieldErrors.push({ field: 'tripDuration', message: 'is required when includeHotel is true' });
+  }
+  if (fieldErrors.length > 0) throw invalidRequest(fieldErrors);
+
+  const card = requireCard(cardDisplayName);
+  const balance = typeof edgePoints === 'number' ? edgePoints : null;
+  const nights = tripDuration ?? null;
+
+  const { home, origins } = resolveOriginAirports({ origin, alternateOrigins, nearbyRadiusKm, anyIndianHub });
+  const originAirport = origins.map((o) => o.iata).join(',');
+  const { start_date, end_date } = monthToDateRange(travelMonth);
+  const cabinCode = cabinToCode(cabin);
+
+  const { resolvedAirports, destinationAirport } = await resolveDestinationAirports(destination);
+  const domestic = resolvedAirports.every((a) => a.country === ORIGIN_COUNTRY);
+  const isRoundTrip = roundTrip === true && !domestic;
+  const returnRange = isRoundTrip ? returnDateRange({ start_date, end_date }, nights) : null;
+
+  const [search, returnSearch] = !domestic
+    ? await Promise.all([
+      searchAvailability({
+        originAirport,
+        destinationAirport,
+        start_date,
+        end_date,
+        onlyDirect,
+      }),
+      isRoundTrip
+        ? searchAvailability({
+          originAirport: destinationAirport,
+          destinationAirport: originAirport,
+          start_date: returnRange.start_date,
+          end_date: returnRange.end_date,
+          onlyDirect,
+        })
+        : Promise.resolve(null),
+    ])
+    : [null, null];
+
+  const bySource = cheapestByProgram(search?.records || [], cabinCode);
+  const outboundLegs = isRoundTrip ? legsByProgram(search.records, cabinCode, card.name) : null;
+  const returnLegs = isRoundTrip ? legsByProgram(returnSearch.records, cabinCode, card.name, { inbound: true }) : null;
+
+  const programs = Array.from(bySource.entries())
+    .map(([src, entry]) => {
+      const capability = PROGRAM_CAPABILITY[src];
+      // A round trip is only priced for programs with a bookable outbound + return pair
+      const roundTripPrice = isRoundTrip
+        ? cheapestRoundTrip(outboundLegs.get(src) || [], returnLegs.get(src) || [], nights)
+        : null;
+      const transfer = isRoundTrip ? null : describeTransfer(card.name, src, entry.lowestMiles);
+      const edgePointsRequired = isRoundTrip
+        ? roundTripPrice?.edgePointsRequired ?? null
+        : transfer
+          ? transfer.edgePoints
+          : null;
+      const pointsGap =
+        balance !== null && edgePointsRequired !== null
+          ? Math.max(0, edgePointsRequired - balance)
+          : null;
+      const destinations = Array.from(entry.destinations);
+      return {
+        program: capability.name,
+        programLevel: capability.level,
+        disclaimer: capability.disclaimer || null,
+        carrierSurcharges: capability.carrierSurcharges,
+        cabin,
+        lowestMiles: entry.lowestMiles,
+        roundTrip: roundTripPrice,
+        tripMiles: isRoundTrip ? roundTripPrice?.mileageCost ?? null : entry.lowestMiles,
+        edgePointsRequired,
+        transfer,
+        exceedsTransferCap: roundTripPrice
+          ? exceedsCombinedCap(roundTripPrice.transfers)
+          : transfer
+            ? transfer.exceedsAnnualCap
+            : false,
+        datesAvailable: entry.dates.size,
+        origins: Array.from(entry.origins),
+        destinations,
+        destinationName:
+          resolvedAirports.find((a) => destinations.includes(a.iata))?.city || null,
+        nonstop: entry.nonstop,
+        pointsGap,
+      };
+    })
+    .sort((a, b) => (a.edgePointsRequired ?? Infinity) - (b.edgePointsRequired ?? Infinity));
+
+  // The stay is priced in the city of the cheapest program's destination
+  // airport, for its round trip's nights when there is one (as Flow A packages)
+  const cheapestTrip = programs[0]?.roundTrip || null;
+  const stayAirport = cheapestTrip?.destination || programs[0]?.destinations[0] || resolvedAirports[0]?.iata;
+  const hotel =
+    includeHotel === true && stayAirport
+      ? describeHotelStay({ cardName: card.name, airport: stayAirport, nights: cheapestTrip?.nights ?? nights, tier: hotelTier })
+      : null;
+
+  return {
+    input: {
+      start_date,
+      end_date,
+      origin_airport: originAirport,
+      home_airport: home.iata,
+      origin_airports: origins,
+      destination_airport: destinationAirport,
+      card: card.name,
+      edge_points: balance,
+      trip_type: isRoundTrip ? 'roundtrip' : 'oneway',
+      trip_duration: nights,
+      ...(returnRange ? { return_start_date: returnRange.start_date, return_end_date: returnRange.end_date } : {}),
+    },
+    domestic,
+    programs,
+    hotel,
+    freshness: describeFreshness([search, returnSearch]),
+  };
+}
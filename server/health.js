@@ -0,0 +1,76 @@
+import { searchStoreKind } from './alerts/index.js';
+import { getAvailabilityProvider } from './availability/index.js';
+import { getLlmProvider } from './llm/index.js';
+import { shareStoreKind } from './sharedResults.js';
+import { describeUpstreamBudget } from './upstreamBudget.js';
+
+// GET /api/health: whether each dependency is configured and reachable.
+// Probes are cached for PROBE_TTL_MS so frequent health checks don't hammer
+// the upstreams. The status is `degraded` when availability search isn't
+// configured or can't be reached; the LLM is optional (features fall back
+// without it), so it's reported but never degrades the status.
+
+const PROBE_TTL_MS = 30 * 1000;
+
+let lastProbe = null; // { at, dependencies }
+
+const storeKind = (envName, fallback) => (process.env[envName] || fallback).trim().toLowerCase();
+
+// { configured, reachable, latencyMs, error? } for one provider
+async function probe(provider) {
+  if (!provider) return { configured: false, reachable: false, latencyMs: null };
+  const started = Date.now();
+  try {
+    await provider.ping();
+    return { configured: true, reachable: true, latencyMs: Date.now() - started };
+  } catch (err) {
+    return { configured: true, reachable: false, latencyMs: Date.now() - started, error: err?.message || String(err) };
+  }
+}
+
+// Provider lookups throw when configuration is missing or wrong (e.g. no SEATS_API_KEY)
+function lookup(getProvider) {
+  try {
+    return { provider: getProvider() };
+  } catch (err) {
+    return { provider: null, error: err?.detail || err?.message || String(err) };
+  }
+}
+
+async function probeDependencies() {
+  const availability = lookup(getAvailabilityProvider);
+  const llm = lookup(getLlmProvider);
+  const [availabilityProbe, llmProbe] = await Promise.all([probe(availability.provider), probe(llm.provider)]);
+
+  return {
+    availability: {
+      provider: storeKind('AVAILABILITY_PROVIDER', 'seats'),
+      ...availabilityProbe,
+      ...(availability.error ? { error: availability.error } : {}),
+    },
+    llm: {
+      provider: storeKind('LLM_PROVIDER', 'openai'),
+      model: llm.provider?.model || null,
+      optional: true,
+      ...llmProbe,
+      ...(llm.error ? { error: llm.error } : {}),
+    },
+    availabilityCache: { store: storeKind('AVAILABILITY_CACHE', 'memory') },
+    savedSearchStore: { store: searchStoreKind() },
+    shareStore: { store: shareStoreKind() },
+  };
+}
+
+export async function describeHealth() {
+  if (!lastProbe || Date.now() - lastProbe.at >= PROBE_TTL_MS) {
+    lastProbe = { at: Date.now(), dependencies: await probeDependencies() };
+  }
+  const { availability } = lastProbe.dependencies;
+
+  return {
+    status: availability.configured && availability.reachable ? 'ok' : 'degraded',
+    checkedAt: new Date(lastProbe.at).toISOString(),
+    dependencies: lastProbe.dependencies,
+    upstreamBudget: describeUpstreamBudget(),
+  };
+}
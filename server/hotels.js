@@ -0,0 +1,62 @@
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { findAirport } from './locationDataset.js';
+import { describeTransfer } from './transferRules.js';
+
+// Accor ALL hotel redemptions, priced from a local property / rate-tier table
+// (data/accorHotels.json). ALL points are spent at a fixed value, so a night
+// costs the room rate times `pointsPerEur`; EDGE points then follow the card's
+// Accor transfer rule.
+
+const DATA_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), 'data/accorHotels.json');
+const hotels = JSON.parse(readFileSync(DATA_PATH, 'utf8'));
+
+export const HOTEL_SOURCE = 'accor';
+export const HOTEL_TABLE_VERSION = hotels.updated;
+
+const tierById = new Map(hotels.tiers.map((t) => [t.id, t]));
+const citiesByName = new Map(Object.entries(hotels.cities).map(([city, list]) => [city.toLowerCase(), list]));
+
+const BOOKING_LINK = 'https://all.accor.com/';
+
+// Properties of `tier` in the destination airport's city; a generic estimate
+// at the tier's typical rate when the city has none listed
+function propertiesFor(city, tier) {
+  const listed = (citiesByName.get(city.toLowerCase()) || []).filter((p) => p.tier === tier.id);
+  if (listed.length > 0) return listed.map((p) => ({ ...p, estimated: false }));
+  return [{ name: `${tier.label} Accor hotel in ${city}`, brand: tier.brands[0], tier: tier.id, rateEur: tier.typicalRateEur, estimated: true }];
+}
+
+// Cheapest stay of `tier` for `nights` at the destination airport's city, for
+// the whole party (one room per two guests). Null when the airport is unknown
+// or the card can't transfer to Accor.
+export function describeHotelStay({ cardName, airport, nights, travellers = 1, tier = 'midscale' }) {
+  const city = findAirport(airport)?.city;
+  const tierInfo = tierById.get(tier);
+  if (!city || !tierInfo || !(nights > 0)) return null;
+
+  const rooms = Math.ceil(travellers / hotels.guestsPerRoom);
+  const property = propertiesFor(city, tierInfo).reduce((a, b) => (b.rateEur < a.rateEur ? b : a));
+  const pointsPerNight = Math.ceil(property.rateEur * hotels.pointsPerEur);
+  const accorPoints = pointsPerNight * nights * rooms;
+  const transfer = describeTransfer(cardName, HOTEL_SOURCE, accorPoints);
+  if (!transfer) return null;
+
+  return {
+    name: property.name,
+    brand: property.brand,
+    tier: tierInfo.id,
+    stars: tierInfo.stars,
+    city,
+    nights,
+    rooms,
+    pointsPerNight,
+    accorPoints,
+    edgePointsRequired: transfer.edgePoints,
+    transfer,
+    estimated: property.estimated,
+    rateTable: HOTEL_TABLE_VERSION,
+    bookingLink: BOOKING_LINK,
+  };
+}
@@ -0,0 +1,27 @@
+// One error payload for every route, Express and serverless alike:
+// `{ error, detail?, cause?, fields? }` (see ERROR_RESPONSE in shared/apiSchema.js).
+
+export function errorPayload(err) {
+  const payload = {
+    error: err?.message || 'Internal error',
+  };
+  if (err?.detail) payload.detail = err.detail;
+  if (err?.cause) payload.cause = err.cause;
+  if (Array.isArray(err?.fields) && err.fields.length > 0) payload.fields = err.fields;
+  return payload;
+}
+
+export function sendError(res, err) {
+  // Seconds until a rate-limited (429) client may try again
+  if (err?.retryAfter) res.setHeader('Retry-After', String(err.retryAfter));
+  res.status(Number(err?.status) || 500).json(errorPayload(err));
+}
+
+// 400 carrying per-field errors (`[{ field, message }]`)
+export function invalidRequest(fields) {
+  const err = new Error('Invalid request');
+  err.status = 400;
+  err.detail = fields.map((f) => (f.field ? `${f.field} ${f.message}` : f.message)).join('; ');
+  err.fields = fields;
+  return err;
+}
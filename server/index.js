@@ -1,22 +1,73 @@
 import cors from 'cors';
 import dotenv from 'dotenv';
 import express from 'express';
+import {
+  createSavedSearch,
+  deleteSavedSearch,
+  getSavedSearch,
+  listSavedSearches,
+  ownerTokenFrom,
+  runAllSavedSearches,
+  runSavedSearch,
+} from './alerts/index.js';
+import { corsOptions, issueSessionToken, requireApiAccess, requireCronSecret } from './apiAccess.js';
+import { getCatalog } from './catalog.js';
 import { processFlowA, ping } from './flowAHandler.js';
+import { processFlowB } from './flowBHandler.js';
+import { describeHealth } from './health.js';
+import { sendError } from './httpErrors.js';
+import { logger, trackRequests } from './logger.js';
+import { metricsAuthorized, renderMetrics } from './metrics.js';
+import { buildOpenApiDocument } from './openapi.js';
+import { listOriginAirports } from './originAirports.js';
+import { processProgramComparison } from './programComparison.js';
+import { createShare, getShare } from './sharedResults.js';
+import { streamFlowA } from './streamFlowA.js';
+import { generateTripPlan, regenerateTripPlanDay } from './tripPlan.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = Number(process.env.PORT) || 3001;
 
-app.use(cors());
+// Number of reverse proxies in front of the server, so req.ip is the client's
+const trustProxy = Number(process.env.TRUST_PROXY);
+if (trustProxy > 0) app.set('trust proxy', trustProxy);
+
+app.use(trackRequests);
+app.use(cors(corsOptions));
 app.use(express.json({ limit: '1mb' }));
 
 const sendPing = (_req, res) => {
   res.status(200).json(ping());
 };
 
-const sendHealth = (_req, res) => {
-  res.status(200).json({ status: 'ok' });
+const sendHealth = async (_req, res) => {
+  try {
+    res.status(200).json(await describeHealth());
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+const sendMetrics = (req, res) => {
+  if (!metricsAuthorized(req)) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return;
+  }
+  res.status(200).type('text/plain; version=0.0.4').send(renderMetrics());
+};
+
+const sendOrigins = (_req, res) => {
+  res.status(200).json({ airports: listOriginAirports() });
+};
+
+const sendCatalog = (_req, res) => {
+  res.status(200).json(getCatalog());
+};
+
+const sendOpenApi = (_req, res) => {
+  res.status(200).json(buildOpenApiDocument());
 };
 
 const handleGenerate = async (req, res) => {
@@ -24,13 +75,35 @@ const handleGenerate = async (req, res) => {
     const result = await processFlowA(req.body || {});
     res.status(200).json(result);
   } catch (err) {
-    const status = Number(err?.status) || 500;
-    const payload = {
-      error: err?.message || 'Internal error',
-    };
-    if (err?.detail) payload.detail = err.detail;
-    if (err?.cause) payload.cause = err.cause;
-    res.status(status).json(payload);
+    sendError(res, err);
+  }
+};
+
+const handlePointsRequired = async (req, res) => {
+  try {
+    const result = await processFlowB(req.body || {});
+    res.status(200).json(result);
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+const handleCompare = async (req, res) => {
+  try {
+    const result = await processProgramComparison(req.body || {});
+    res.status(200).json(result);
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// Wraps a saved-search / share / trip-plan / session operation as a JSON route
+const jsonRoute = (operation, successStatus = 200) => async (req, res) => {
+  try {
+    const result = await operation(req);
+    res.status(successStatus).json(result);
+  } catch (err) {
+    sendError(res, err);
   }
 };
 
@@ -38,16 +111,61 @@ app.get('/ping', sendPing);
 app.get('/api/ping', sendPing);
 app.get('/health', sendHealth);
 app.get('/api/health', sendHealth);
-app.post('/flowA', handleGenerate); // legacy path
-app.post('/api/generate-itinerary', handleGenerate);
+app.get('/metrics', sendMetrics);
+app.get('/api/metrics', sendMetrics);
+app.get('/api/origins', sendOrigins);
+app.get('/api/catalog', sendCatalog);
+app.get('/api/openapi.json', sendOpenApi);
+app.post('/api/session', jsonRoute((req) => issueSessionToken(req)));
+
+// Protected routes need an API key or session token (when configured) and are rate limited
+app.post('/flowA', requireApiAccess, handleGenerate); // legacy path
+app.post('/api/generate-itinerary', requireApiAccess, handleGenerate);
+app.post('/api/generate-itinerary-stream', requireApiAccess, (req, res) => streamFlowA(req.body || {}, res));
+app.post('/api/points-required', requireApiAccess, handlePointsRequired);
+app.post('/api/compare-programs', requireApiAccess, handleCompare);
+app.post('/api/trip-plan', requireApiAccess, jsonRoute((req) => generateTripPlan(req.body || {})));
+app.post('/api/trip-plan/day', requireApiAccess, jsonRoute((req) => regenerateTripPlanDay(req.body || {})));
+app.get(
+  '/api/saved-searches',
+  requireApiAccess,
+  jsonRoute((req) => {
+    requireCronSecret(req);
+    return listSavedSearches();
+  })
+);
+app.post('/api/saved-searches', requireApiAccess, jsonRoute((req) => createSavedSearch(req.body || {}), 201));
+app.get('/api/saved-searches/:id', requireApiAccess, jsonRoute((req) => getSavedSearch(req.params.id, ownerTokenFrom(req))));
+app.delete('/api/saved-searches/:id', requireApiAccess, jsonRoute((req) => deleteSavedSearch(req.params.id, ownerTokenFrom(req))));
+app.post('/api/saved-searches/:id/run', requireApiAccess, jsonRoute((req) => runSavedSearch(req.params.id, ownerTokenFrom(req))));
+app.post('/api/shares', requireApiAccess, jsonRoute((req) => createShare(req.body || {}), 201));
+app.get('/api/shares/:id', requireApiAccess, jsonRoute((req) => getShare(req.params.id)));
 
 app.use((req, res) => {
   res.status(404).json({ error: 'Not found' });
 });
 
 app.listen(PORT, () => {
-  // eslint-disable-next-line no-console
-  console.log(`API server listening on http://localhost:${PORT}`);
+  logger.info('server.listening', { url: `http://localhost:${PORT}` });
 });
 
+// Optional in-process scheduler for saved-search alerts (otherwise use `npm run alerts:check`)
+const checkMinutes = Number(process.env.SAVED_SEARCH_CHECK_MINUTES);
+if (Number.isFinite(checkMinutes) && checkMinutes > 0) {
+  let checking = false;
+  setInterval(async () => {
+    if (checking) return;
+    checking = true;
+    try {
+      const summary = await runAllSavedSearches();
+      const failed = summary.results.filter((r) => !r.ok).length;
+      logger.info('saved_searches.checked', { searched: summary.results.length, failed });
+    } catch (err) {
+      logger.error('saved_searches.check_failed', { error: err });
+    } finally {
+      checking = false;
+    }
+  }, checkMinutes * 60 * 1000).unref();
+}
+
 export { app };
\ No newline at end of file
@@ -0,0 +1,57 @@
+// Minimal client for a Redis REST API (Upstash, or Vercel KV which is Upstash
+// underneath), so stores can persist on serverless where the filesystem is
+// read-only. Configured with KV_REST_API_URL and KV_REST_API_TOKEN.
+
+export const isKvConfigured = () => Boolean(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
+
+// True on platforms whose deployment filesystem can't be written (outside /tmp)
+export const isReadOnlyFilesystem = () => Boolean(process.env.VERCEL);
+
+export function createKvClient({ url, token }) {
+  const endpoint = String(url).replace(/\/$/, '');
+
+  // Runs one Redis command, e.g. command('HGET', 'key', 'field'); resolves to its result
+  async function command(...args) {
+    let resp;
+    try {
+      resp = await fetch(endpoint, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(args.map(String)),
+      });
+    } catch (fetchErr) {
+      const err = new Error('Key-value store unreachable');
+      err.status = 502;
+      err.detail = fetchErr?.message || 'fetch failed';
+      throw err;
+    }
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok || data.error) {
+      const err = new Error('Key-value store error');
+      err.status = 502;
+      err.detail = data.error || `${endpoint} responded ${resp.status}`;
+      throw err;
+    }
+    return data.result;
+  }
+
+  return { command };
+}
+
+export const kvClientFromEnv = () =>
+  createKvClient({ url: process.env.KV_REST_API_URL, token: process.env.KV_REST_API_TOKEN });
+
+// Default store kind for `envName`: kv when configured, else file; file on a
+// read-only filesystem is a configuration error (see `requireWritableFiles`)
+export const defaultStoreKind = (envName) =>
+  (process.env[envName] || (isKvConfigured() ? 'kv' : 'file')).trim().toLowerCase();
+
+export function requireWritableFiles(envName) {
+  if (!isReadOnlyFilesystem()) return;
+  const err = new Error('No writable store configured');
+  err.status = 503;
+  err.detail =
+    `The file store can't be written on this platform. Set KV_REST_API_URL and KV_REST_API_TOKEN, ` +
+    `or ${envName}=memory for a demo that forgets on every cold start.`;
+  throw err;
+}
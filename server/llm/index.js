@@ -0,0 +1,100 @@
+import { createOpenAIProvider } from './openaiProvider.js';
+import { promptVersion } from './prompts.js';
+import { createStubProvider } from './stubProvider.js';
+import { logger } from '../logger.js';
+import { timeUpstream } from '../metrics.js';
+import { spendUpstream } from '../upstreamBudget.js';
+
+export { PROMPTS, promptVersion } from './prompts.js';
+
+// LLM service layer for trip summaries, location resolution and trip plans.
+//
+// A provider is `{ name, model, metered?, complete(request), ping() }` where `complete`
+// resolves to the raw text of the answer; request is `{ promptId, vars, system,
+// user, responseFormat }`. `ping` rejects when the server can't be reached.
+//
+// Select with LLM_PROVIDER=openai (default), stub (deterministic, no network)
+// or off. The openai provider talks to any OpenAI-compatible server:
+//   LLM_API_KEY (falls back to OPENAI_API_KEY; optional with LLM_BASE_URL)
+//   LLM_BASE_URL (default: OpenAI)
+//   LLM_MODEL (default gpt-4o-mini)
+//   LLM_TIMEOUT_MS (default 20000), LLM_MAX_RETRIES (default 2)
+// Without a key or base URL the openai provider is unavailable and callers use
+// their fallbacks, as with LLM_PROVIDER=off. Calls to `metered` providers count
+// against the daily LLM budget (see upstreamBudget.js); once it's spent they
+// fall back the same way.
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_TIMEOUT_MS = 20000;
+const DEFAULT_MAX_RETRIES = 2;
+
+const readNumber = (value, fallback) => {
+  const n = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+const PROVIDERS = {
+  openai: () => {
+    const baseURL = process.env.LLM_BASE_URL?.trim() || '';
+    const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || '';
+    if (!apiKey && !baseURL) return null;
+    return createOpenAIProvider({
+      // Local servers usually ignore the key, but the SDK requires one
+      apiKey: apiKey || 'local',
+      baseURL,
+      model: process.env.LLM_MODEL?.trim() || DEFAULT_MODEL,
+      timeoutMs: readNumber(process.env.LLM_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+      maxRetries: readNumber(process.env.LLM_MAX_RETRIES, DEFAULT_MAX_RETRIES),
+    });
+  },
+  stub: () => createStubProvider(),
+  off: () => null,
+};
+
+let activeProvider;
+let activeName = null;
+
+// The configured provider, or null when LLM calls are disabled
+export function getLlmProvider() {
+  const name = (process.env.LLM_PROVIDER || 'openai').trim().toLowerCase();
+  if (activeName === name) return activeProvider;
+
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    const err = new Error('Unknown LLM provider');
+    err.status = 500;
+    err.detail = `LLM_PROVIDER must be one of: ${Object.keys(PROVIDERS).join(', ')}`;
+    throw err;
+  }
+  activeProvider = factory();
+  activeName = name;
+  return activeProvider;
+}
+
+// Renders `prompt` with `vars` and parses the JSON answer. Resolves to
+// `{ data, raw, promptVersion, model }`, or null when no provider is configured
+// or the daily budget is spent; throws when the call fails or the answer isn't JSON.
+export async function completeJson(prompt, vars) {
+  const provider = getLlmProvider();
+  if (!provider) return null;
+  if (provider.metered && !spendUpstream('llm')) {
+    logger.warn('llm.budget_spent', { prompt: promptVersion(prompt) });
+    return null;
+  }
+
+  const content = await timeUpstream(provider.name, 'completion', () =>
+    provider.complete({
+      promptId: prompt.id,
+      vars,
+      system: prompt.system,
+      user: prompt.render(vars),
+      responseFormat: prompt.responseFormat,
+    })
+  );
+  return {
+    data: JSON.parse(content),
+    raw: content,
+    promptVersion: promptVersion(prompt),
+    model: `${provider.name}:${provider.model}`,
+  };
+}
@@ -0,0 +1,34 @@
+import OpenAI from 'openai';
+
+// OpenAI chat-completions adapter. `baseURL` points it at any OpenAI-compatible
+// server (a local model, a proxy); timeouts and retries on 408/429/5xx and
+// connection errors are handled by the SDK.
+export function createOpenAIProvider({ apiKey, baseURL, model, timeoutMs, maxRetries }) {
+  const client = new OpenAI({
+    apiKey,
+    baseURL: baseURL || undefined,
+    timeout: timeoutMs,
+    maxRetries,
+  });
+
+  return {
+    name: 'openai',
+    model,
+    metered: true,
+    // Lists models rather than completing, so health checks cost nothing
+    async ping() {
+      await client.models.list({ timeout: 3000, maxRetries: 0 });
+    },
+    async complete({ system, user, responseFormat }) {
+      const resp = await client.chat.completions.create({
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: user },
+        ],
+        response_format: responseFormat,
+      });
+      return resp.choices?.[0]?.message?.content || '';
+    },
+  };
+}
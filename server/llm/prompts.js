@@ -0,0 +1,191 @@
+// Versioned prompt templates. Each prompt is `{ id, version, system, render(vars),
+// responseFormat }`; `render` builds the user message. Bump `version` whenever
+// the wording or the expected JSON changes: the version is stored with every
+// cached answer so results from an older prompt can be told apart.
+
+export const promptVersion = (prompt) => `${prompt.id}@${prompt.version}`;
+
+const tripSummary = {
+  id: 'trip-summary',
+  version: 2,
+  system: 'Return only a JSON object. No extra text.',
+  render: ({ destination, days }) => `
+You are generating a concise trip summary for a generic sightseeing, first-time visit.
+Destination: ${destination || 'unknown'}
+Duration: ${days} day(s)
+
+Return JSON: {"bullets":["..."]} with 3-5 short bullet strings (one sentence each), max 5 bullets, no numbering, no emojis, no specific hotels or bookings. If duration < 5, reduce bullets accordingly. Focus on realistic day-by-day flow (arrival, central landmarks, culture/food, optional day trip, departure).`,
+  responseFormat: { type: 'json_object' },
+};
+
+const locationResolution = {
+  id: 'location-resolution',
+  version: 1,
+  system: 'Return only a JSON object. No extra text.',
+  render: ({ destination }) => `
+You are a travel location resolver.
+
+Given a free-text destination that may be:
+- a city
+- a country
+- a region
+- an ambiguous region
+
+Return airport IATA codes suitable for award-flight searches.
+
+========================
+RESPONSE FORMAT (STRICT)
+========================
+
+Respond ONLY with valid JSON in the following structure:
+
+{
+  "airports": [
+    {
+      "iata": "XXX",
+      "city": "City Name or null",
+      "country": "Country Name or null",
+      "distanceKm": 0
+    }
+  ],
+
+  "input_type": "city | country | region | ambiguous_region | unknown",
+  "confidence": "high | medium | low",
+  "notes": "short explanation"
+}
+
+- "airports" MUST always be present and top-level.
+- Additional fields are OPTIONAL but allowed.
+- Do NOT nest "airports" under any other object.
+
+========================
+AIRPORT COUNT RULES
+========================
+
+- If input is a CITY or COUNTRY:
+  → return 1 to 3 airports
+
+- If input is a REGION or AMBIGUOUS REGION:
+  → return at max 10 airports
+
+- NEVER return more than 10 airports.
+
+========================
+AIRPORT SELECTION RULES
+========================
+
+- Use UPPERCASE IATA codes only.
+- Prefer major international hubs with strong long-haul and alliance connectivity.
+- Optimize for likelihood of award availability, not geographic coverage.
+- If input already looks like a valid IATA code, return it as-is.
+
+========================
+REGION HANDLING (GENERALIZED)
+========================
+
+- Regions are broad geographic groupings (e.g. continents, sub-continents, or commonly used travel regions).
+- Ambiguous region labels may reasonably map to multiple interpretations.
+- For ambiguous regions:
+  - Choose ONE sensible default interpretation.
+  - Set confidence = "medium"
+  - Explain the assumption in "notes"
+  - Do NOT ask clarification questions.
+
+========================
+DISTANCE RULES
+========================
+
+- distanceKm must be a NUMBER.
+- Use an approximate great-circle distance from the location center.
+- If unknown or not meaningful (e.g. regions), use 0.
+
+========================
+FAILURE SAFETY
+========================
+
+- Always return at least one airport unless the input is completely invalid.
+- Never invent fake IATA codes.
+- If uncertain, return fewer airports rather than more.
+
+========================
+INPUT
+========================
+
+Destination: "${destination}"
+`,
+  responseFormat: {
+    type: 'json_schema',
+    json_schema: {
+      name: 'location_resolution',
+      strict: true,
+      schema: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          airports: {
+            type: 'array',
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                iata: { type: 'string' },
+                city: { type: ['string', 'null'] },
+                country: { type: ['string', 'null'] },
+                distanceKm: { type: 'number' },
+              },
+              required: ['iata', 'city', 'country', 'distanceKm'],
+            },
+            minItems: 1,
+            maxItems: 10,
+          },
+          input_type: {
+            type: 'string',
+            enum: ['city', 'country', 'region', 'ambiguous_region', 'unknown'],
+          },
+          confidence: {
+            type: 'string',
+            enum: ['high', 'medium', 'low'],
+          },
+          notes: { type: 'string' },
+        },
+        required: ['airports', 'input_type', 'confidence', 'notes'],
+      },
+    },
+  },
+};
+
+const PACE_HINTS = {
+  relaxed: 'one main activity per part of the day, with long breaks',
+  balanced: 'two or three activities per day with time to wander',
+  packed: 'as much as can sensibly fit, starting early',
+};
+
+const describeSlot = (d) =>
+  `Day ${d.day} (${d.date}, ${d.kind === 'arrival' ? 'arrival day, lands during the day' : d.kind === 'departure' ? 'departure day, leaves in the evening' : 'full day'})`;
+
+// `slots` are the days to plan; `otherDays` the already planned ones (when one
+// day is regenerated)
+const tripPlanDays = {
+  id: 'trip-plan-days',
+  version: 1,
+  system: 'Return only a JSON object. No extra text.',
+  render: ({ destination, travellers, interests, pace, slots, otherDays = [] }) => {
+    const party = travellers === 1 ? 'a solo traveller' : `a group of ${travellers}`;
+    const context = otherDays.length > 0
+      ? `\nThe rest of the trip is already planned; don't repeat these:\n${otherDays.map((d) => `Day ${d.day}: ${d.title}`).join('\n')}\n`
+      : '';
+    return `
+You are planning a realistic day-by-day itinerary.
+Destination: ${destination}
+Traveller: ${party}, interested in ${interests.length > 0 ? interests.join(', ') : 'general sightseeing'}
+Pace: ${pace} (${PACE_HINTS[pace]})
+${context}
+Plan these days:
+${slots.map(describeSlot).join('\n')}
+
+Return JSON: {"days":[{"day":1,"title":"...","morning":"...","afternoon":"...","evening":"...","tips":["..."]}]} with exactly ${slots.length} day(s) in order. One or two sentences per part of the day; at most 3 short tips; no hotel names, prices or bookings.`;
+  },
+  responseFormat: { type: 'json_object' },
+};
+
+export const PROMPTS = { tripSummary, locationResolution, tripPlanDays };
@@ -0,0 +1,53 @@
+import { matchLocation } from '../locationDataset.js';
+
+// Deterministic stand-in for offline development and demos: answers are built
+// from the prompt's variables (and the local airport dataset), never from a
+// model, so the same input always gives the same output.
+
+const ANSWERS = {
+  'trip-summary': ({ destination, days }) => {
+    const bullets = [
+      `Arrive in ${destination} and settle in near the centre`,
+      `See the best-known landmarks of ${destination}`,
+      'Spend a day on local food and neighbourhoods',
+      'Take an optional day trip out of the city',
+      'Pack up and head to the airport',
+    ];
+    return { bullets: days < 5 ? [bullets[0], ...bullets.slice(1, Math.max(days, 2) - 1), bullets[4]] : bullets };
+  },
+  'location-resolution': ({ destination }) => {
+    const match = matchLocation(destination);
+    return {
+      airports: (match?.airports || []).map((a) => ({ iata: a.iata, city: a.city, country: a.country, distanceKm: a.distanceKm || 0 })),
+      input_type: match?.input_type || 'unknown',
+      confidence: match ? 'medium' : 'low',
+      notes: 'Stub answer from the local airport dataset',
+    };
+  },
+  'trip-plan-days': ({ destination, interests, slots }) => ({
+    days: slots.map((slot, i) => {
+      const theme = interests.length > 0 ? interests[(slot.day - 1) % interests.length] : 'sightseeing';
+      return {
+        day: slot.day,
+        title: slot.kind === 'arrival' ? `Arrive in ${destination}` : slot.kind === 'departure' ? `Leave ${destination}` : `${destination}: ${theme}`,
+        morning: i === 0 && slot.kind === 'arrival' ? 'Land and transfer to the hotel.' : `Morning of ${theme} in ${destination}.`,
+        afternoon: `Afternoon of ${theme}.`,
+        evening: slot.kind === 'departure' ? 'Head to the airport.' : 'Dinner nearby.',
+        tips: [],
+      };
+    }),
+  }),
+};
+
+export function createStubProvider() {
+  return {
+    name: 'stub',
+    model: 'stub',
+    async ping() {},
+    async complete({ promptId, vars }) {
+      const answer = ANSWERS[promptId];
+      if (!answer) throw new Error(`Stub LLM has no answer for prompt ${promptId}`);
+      return JSON.stringify(answer(vars));
+    },
+  };
+}
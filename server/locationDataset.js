@@ -0,0 +1,213 @@
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Bundled airport / city / country / region dataset used to resolve common
+// destinations offline and to validate IATA codes coming back from the LLM.
+
+const DATA_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), 'data/locations.json');
+const dataset = JSON.parse(readFileSync(DATA_PATH, 'utf8'));
+
+const MAX_CITY_OR_COUNTRY_AIRPORTS = 3;
+const MAX_REGION_AIRPORTS = 10;
+
+export function normalizeName(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const airportsByIata = new Map(dataset.airports.map((a) => [a.iata, a]));
+
+// name/alias -> { kind, key } for cities, countries and regions
+const nameIndex = new Map();
+const addName = (name, entry) => {
+  const key = normalizeName(name);
+  if (key && !nameIndex.has(key)) nameIndex.set(key, entry);
+};
+
+for (const region of dataset.regions) {
+  addName(region.name, { kind: 'region', key: region.name });
+  for (const alias of region.aliases) addName(alias, { kind: 'region', key: region.name });
+}
+for (const airport of dataset.airports) {
+  addName(airport.city, { kind: 'city', key: airport.city });
+  for (const alias of airport.aliases) addName(alias, { kind: 'alias', key: airport.iata });
+}
+const countryNames = new Set(dataset.airports.map((a) => a.country));
+for (const country of countryNames) addName(country, { kind: 'country', key: country });
+for (const country of dataset.countries) {
+  for (const alias of country.aliases) addName(alias, { kind: 'country', key: country.name });
+}
+
+export function findAirport(iata) {
+  return airportsByIata.get(String(iata || '').trim().toUpperCase()) || null;
+}
+
+export function isKnownIata(iata) {
+  return airportsByIata.has(String(iata || '').trim().toUpperCase());
+}
+
+export function allAirports() {
+  return dataset.airports;
+}
+
+export function airportsInCountry(country) {
+  return dataset.airports.filter((a) => a.country === country);
+}
+
+const toResolvedAirport = (airport, distanceKm = 0) => ({
+  iata: airport.iata,
+  city: airport.city,
+  country: airport.country,
+  distanceKm,
+});
+
+// Great-circle distance in km
+export function distanceKm(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return Math.round(6371 * 2 * Math.asin(Math.sqrt(h)));
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const temp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = temp;
+    }
+  }
+  return prev[b.length];
+}
+
+// Closest indexed name within a small edit distance (typos like "Bangkock", "Singapur")
+function fuzzyLookup(key) {
+  if (key.length < 4) return null;
+  const maxDistance = key.length <= 6 ? 1 : 2;
+  let best = null;
+  for (const [name, entry] of nameIndex) {
+    if (Math.abs(name.length - key.length) > maxDistance) continue;
+    const d = levenshtein(key, name);
+    if (d <= maxDistance && (!best || d < best.distance)) best = { entry, distance: d, name };
+  }
+  return best;
+}
+
+function resolveEntry(entry) {
+  if (entry.kind === 'region') {
+    const region = dataset.regions.find((r) => r.name === entry.key);
+    return {
+      airports: region.airports.slice(0, MAX_REGION_AIRPORTS).map((code) => toResolvedAirport(findAirport(code))),
+      input_type: 'region',
+      notes: `Region "${region.name}" mapped to its main hubs`,
+    };
+  }
+  if (entry.kind === 'country') {
+    return {
+      airports: airportsInCountry(entry.key)
+        .slice(0, MAX_CITY_OR_COUNTRY_AIRPORTS)
+        .map((a) => toResolvedAirport(a)),
+      input_type: 'country',
+      notes: `Main airports in ${entry.key}`,
+    };
+  }
+  if (entry.kind === 'alias') {
+    const airport = findAirport(entry.key);
+    return {
+      airports: [toResolvedAirport(airport)],
+      input_type: 'city',
+      notes: `Matched ${airport.city} (${airport.iata})`,
+    };
+  }
+  const cityAirports = dataset.airports.filter((a) => a.city === entry.key);
+  const center = cityAirports[0];
+  return {
+    airports: cityAirports
+      .slice(0, MAX_CITY_OR_COUNTRY_AIRPORTS)
+      .map((a) => toResolvedAirport(a, distanceKm(center, a))),
+    input_type: 'city',
+    notes: `Airports serving ${entry.key}`,
+  };
+}
+
+function matchSingle(raw) {
+  const trimmed = String(raw || '').trim();
+  if (!trimmed) return null;
+
+  if (/^[A-Za-z]{3}$/.test(trimmed) && isKnownIata(trimmed)) {
+    const airport = findAirport(trimmed);
+    return {
+      airports: [toResolvedAirport(airport)],
+      input_type: 'city',
+      confidence: 'high',
+      notes: `IATA code ${airport.iata}`,
+    };
+  }
+
+  const key = normalizeName(trimmed);
+  const exact = nameIndex.get(key);
+  if (exact) return { ...resolveEntry(exact), confidence: 'high' };
+
+  // "Paris, France" / "Bali Indonesia": try the leading part on its own
+  const head = normalizeName(trimmed.split(/[,(/]/)[0]);
+  if (head && head !== key && nameIndex.has(head)) {
+    return { ...resolveEntry(nameIndex.get(head)), confidence: 'high' };
+  }
+
+  const fuzzy = fuzzyLookup(key);
+  if (fuzzy) {
+    const resolved = resolveEntry(fuzzy.entry);
+    return {
+      ...resolved,
+      confidence: 'medium',
+      notes: `${resolved.notes} (closest match to "${trimmed}")`,
+    };
+  }
+  return null;
+}
+
+// Offline resolution for free-text destinations. Handles IATA codes, cities,
+// aliases, countries, regions, close typos and comma-separated lists of codes.
+// Returns null when the input is not confidently covered by the dataset.
+export function matchLocation(raw) {
+  const parts = String(raw || '').split(',').map((p) => p.trim()).filter(Boolean);
+  const allCodes = parts.length > 1 && parts.every((p) => /^[A-Za-z]{3}$/.test(p) && isKnownIata(p));
+
+  if (!allCodes) {
+    const single = matchSingle(raw);
+    if (single) return single;
+    if (parts.length < 2) return null;
+  }
+
+  const matches = parts.map(matchSingle);
+  if (matches.some((m) => !m)) return null;
+
+  const seen = new Set();
+  const airports = [];
+  for (const m of matches) {
+    for (const a of m.airports) {
+      if (seen.has(a.iata)) continue;
+      seen.add(a.iata);
+      airports.push(a);
+    }
+  }
+  return {
+    airports: airports.slice(0, MAX_REGION_AIRPORTS),
+    input_type: 'ambiguous_region',
+    confidence: matches.every((m) => m.confidence === 'high') ? 'high' : 'medium',
+    notes: `Combined ${parts.length} locations`,
+  };
+}
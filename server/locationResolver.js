@@ -1,203 +1,126 @@
-import OpenAI from 'openai';
-
-let openai = null;
-const getClient = () => {
-  if (openai) return openai;
-  const key = process.env.OPENAI_API_KEY;
-  if (!key) return null;
-  openai = new OpenAI({ apiKey: key });
-  return openai;
+import { completeJson, PROMPTS } from './llm/index.js';
+import { findAirport, isKnownIata, matchLocation, normalizeName } from './locationDataset.js';
+import { logger } from './logger.js';
+import { llmAnswers } from './metrics.js';
+
+const llmCache = new Map(); // key: normalized input -> resolution (with its promptVersion)
+const llmInFlight = new Map(); // key: normalized input -> Promise<resolution | null>
+
+// Nothing matched. A bare 3-letter code the dataset doesn't know is still passed
+// through (the user typed it deliberately); anything else resolves to no airports.
+const unresolved = (raw) => {
+  const trimmed = raw?.trim() || '';
+  if (/^[A-Za-z]{3}$/.test(trimmed)) {
+    return {
+      airports: [{ iata: trimmed.toUpperCase(), city: null, country: null, distanceKm: 0 }],
+      input_type: 'unknown',
+      confidence: 'low',
+      notes: 'Not in the airport dataset; passed through as an IATA code',
+      source: 'passthrough',
+    };
+  }
+  return {
+    airports: [],
+    input_type: 'unknown',
+    confidence: 'low',
+    notes: 'Could not resolve destination to any known airport',
+    source: 'none',
+  };
 };
 
-// Fallback: if LLM fails or API key missing, return the raw string as a single "airport"
-const fallbackResolution = (raw) => ({
-  airports: [
-    {
-      iata: raw?.trim() || '',
-      city: null,
-      country: null,
-      distanceKm: 0,
-    },
-  ],
-  input_type: 'unknown',
-  confidence: 'low',
-  notes: 'LLM unavailable; passed through raw input',
-});
-
+// Local dataset first; the LLM is only consulted when the dataset has no
+// confident (exact) match. LLM answers are cached and checked against the dataset.
 export async function resolveLocation(rawDestination) {
-  if (!rawDestination) return fallbackResolution(rawDestination);
-  const client = getClient();
-  if (!client) return fallbackResolution(rawDestination);
-
-  const prompt = `
-You are a travel location resolver.
-
-Given a free-text destination that may be:
-- a city
-- a country
-- a region
-- an ambiguous region
-
-Return airport IATA codes suitable for award-flight searches.
-
-========================
-RESPONSE FORMAT (STRICT)
-========================
-
-Respond ONLY with valid JSON in the following structure:
-
-{
-  "airports": [
-    {
-      "iata": "XXX",
-      "city": "City Name or null",
-      "country": "Country Name or null",
-      "distanceKm": 0
-    }
-  ],
-
-  "input_type": "city | country | region | ambiguous_region | unknown",
-  "confidence": "high | medium | low",
-  "notes": "short explanation"
+  const resolution = await lookupLocation(rawDestination);
+  logger.info('location.resolved', {
+    input: String(rawDestination || '').slice(0, 100),
+    source: resolution.source,
+    airports: resolution.airports.map((a) => a.iata),
+    promptVersion: resolution.promptVersion,
+  });
+  return resolution;
 }
 
-- "airports" MUST always be present and top-level.
-- Additional fields are OPTIONAL but allowed.
-- Do NOT nest "airports" under any other object.
-
-========================
-AIRPORT COUNT RULES
-========================
-
-- If input is a CITY or COUNTRY:
-  → return 1 to 3 airports
-
-- If input is a REGION or AMBIGUOUS REGION:
-  → return at max 10 airports
-
-- NEVER return more than 10 airports.
-
-========================
-AIRPORT SELECTION RULES
-========================
+async function lookupLocation(rawDestination) {
+  if (!rawDestination || !String(rawDestination).trim()) return unresolved(rawDestination);
 
-- Use UPPERCASE IATA codes only.
-- Prefer major international hubs with strong long-haul and alliance connectivity.
-- Optimize for likelihood of award availability, not geographic coverage.
-- If input already looks like a valid IATA code, return it as-is.
+  const local = matchLocation(rawDestination);
+  if (local && local.confidence === 'high') return { ...local, source: 'dataset' };
 
-========================
-REGION HANDLING (GENERALIZED)
-========================
+  const fromLlm = await resolveWithLLMCached(rawDestination);
+  if (fromLlm) return fromLlm;
 
-- Regions are broad geographic groupings (e.g. continents, sub-continents, or commonly used travel regions).
-- Ambiguous region labels may reasonably map to multiple interpretations.
-- For ambiguous regions:
-  - Choose ONE sensible default interpretation.
-  - Set confidence = "medium"
-  - Explain the assumption in "notes"
-  - Do NOT ask clarification questions.
-
-========================
-DISTANCE RULES
-========================
-
-- distanceKm must be a NUMBER.
-- Use an approximate great-circle distance from the location center.
-- If unknown or not meaningful (e.g. regions), use 0.
-
-========================
-FAILURE SAFETY
-========================
-
-- Always return at least one airport unless the input is completely invalid.
-- Never invent fake IATA codes.
-- If uncertain, return fewer airports rather than more.
+  if (local) return { ...local, source: 'dataset' };
+  return unresolved(rawDestination);
+}
 
-========================
-INPUT
-========================
+async function resolveWithLLMCached(rawDestination) {
+  const key = normalizeName(rawDestination);
+  if (llmCache.has(key)) return llmCache.get(key);
+  if (llmInFlight.has(key)) return llmInFlight.get(key);
 
-Destination: "${rawDestination}"
-`;
+  const task = resolveWithLLM(rawDestination).then((result) => {
+    llmAnswers.inc({ prompt: PROMPTS.locationResolution.id, outcome: result ? 'llm' : 'fallback' });
+    return result;
+  });
+  llmInFlight.set(key, task);
+  try {
+    const result = await task;
+    // Only cache real answers; a missing key or transient failure should be retried
+    if (result) llmCache.set(key, result);
+    return result;
+  } finally {
+    llmInFlight.delete(key);
+  }
+}
 
+async function resolveWithLLM(rawDestination) {
   try {
-    const resp = await client.responses.create({
-      model: 'gpt-4o-mini',
-      input: prompt,
-      text: {
-        format: {
-          type: 'json_schema',
-          name: 'location_resolution',
-          schema: {
-            type: 'object',
-            additionalProperties: false,
-            properties: {
-              airports: {
-                type: 'array',
-                items: {
-                  type: 'object',
-                  additionalProperties: false,
-                  properties: {
-                    iata: { type: 'string' },
-                    city: { type: ['string', 'null'] },
-                    country: { type: ['string', 'null'] },
-                    distanceKm: { type: 'number' },
-                  },
-                  required: ['iata', 'city', 'country', 'distanceKm'],
-                },
-                minItems: 1,
-                maxItems: 5,
-              },
-              input_type: {
-                type: 'string',
-                enum: ['city', 'country', 'region', 'ambiguous_region', 'unknown'],
-              },
-              confidence: {
-                type: 'string',
-                enum: ['high', 'medium', 'low'],
-              },
-              notes: { type: 'string' },
-            },
-            required: ['airports', 'input_type', 'confidence', 'notes'],
-            additionalProperties: false,
-          },
-          strict: true,
-        },
-      },
-    });
-
-    const content = resp.output_text || '';
-    if (!content) return fallbackResolution(rawDestination);
-
-    const parsed = JSON.parse(content);
-    console.log(
-      '[LocationResolver]',
-      {
-        rawDestination,
-        airportCount: parsed.airports.length,
-        airports: parsed.airports.map(a => a.iata)
-      }
-    );    
+    const answer = await completeJson(PROMPTS.locationResolution, { destination: rawDestination });
+    if (!answer) return null;
+
+    const parsed = answer.data;
     if (!parsed?.airports || !Array.isArray(parsed.airports) || parsed.airports.length === 0) {
-      return fallbackResolution(rawDestination);
+      return null;
+    }
+
+    // Drop any code the dataset doesn't know so invented IATA codes never reach the search
+    const seen = new Set();
+    const airports = parsed.airports
+      .map((a) => ({ ...a, iata: (a.iata || '').trim().toUpperCase() }))
+      .filter((a) => {
+        if (!isKnownIata(a.iata) || seen.has(a.iata)) return false;
+        seen.add(a.iata);
+        return true;
+      })
+      .slice(0, 10)
+      .map((a) => {
+        const known = findAirport(a.iata);
+        return {
+          iata: a.iata,
+          city: known.city,
+          country: known.country,
+          distanceKm: typeof a.distanceKm === 'number' ? a.distanceKm : 0,
+        };
+      });
+
+    const rejected = parsed.airports.length - airports.length;
+    if (rejected > 0) {
+      logger.warn('location.unknown_iata_dropped', { input: rawDestination, rejected });
     }
+    if (airports.length === 0) return null;
 
     return {
-      airports: parsed.airports.slice(0, 5).map((a) => ({
-        iata: (a.iata || '').toUpperCase(),
-        city: a.city || null,
-        country: a.country || null,
-        distanceKm: typeof a.distanceKm === 'number' ? a.distanceKm : 0,
-      })),
+      airports,
       input_type: parsed.input_type || 'unknown',
       confidence: parsed.confidence || 'low',
       notes: parsed.notes || '',
+      source: 'llm',
+      promptVersion: answer.promptVersion,
     };
   } catch (err) {
-    // eslint-disable-next-line no-console
-    console.error('resolveLocation error:', err?.message || err);
-    return fallbackResolution(rawDestination);
+    logger.warn('location.llm_failed', { input: rawDestination, error: err });
+    return null;
   }
 }
 
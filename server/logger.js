@@ -0,0 +1,76 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+
+// Structured logging: one JSON object per line,
+//   { time, level, event, requestId?, ...fields }
+// info and debug go to stdout, warn and error to stderr. LOG_LEVEL picks the
+// lowest level written (debug | info (default) | warn | error).
+//
+// The request ID is carried by AsyncLocalStorage, so everything a request
+// triggers (Flow A, location resolution, trip summaries, upstream calls) logs
+// it without passing it around. It comes from an incoming X-Request-Id when
+// that looks sane, and is echoed back in the response header.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REQUEST_ID = /^[A-Za-z0-9._-]{1,64}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+export const currentRequestId = () => requestContext.getStore()?.requestId || null;
+
+// Runs `fn` with `requestId` attached to every log line it produces
+export const runWithRequestId = (requestId, fn) => requestContext.run({ requestId }, fn);
+
+export function requestIdFor(req) {
+  const incoming = String(req.headers?.['x-request-id'] || '');
+  return REQUEST_ID.test(incoming) ? incoming : randomUUID();
+}
+
+const minLevel = () => LEVELS[(process.env.LOG_LEVEL || 'info').trim().toLowerCase()] ?? LEVELS.info;
+
+// Errors serialize to {}; keep their message, status and code
+const plain = (value) =>
+  value instanceof Error ? { message: value.message, status: value.status, code: value.code || value.cause?.code } : value;
+
+function write(level, event, fields = {}) {
+  if (LEVELS[level] < minLevel()) return;
+  const requestId = currentRequestId();
+  const line = {
+    time: new Date().toISOString(),
+    level,
+    event,
+    ...(requestId ? { requestId } : {}),
+    ...Object.fromEntries(Object.entries(fields).map(([k, v]) => [k, plain(v)])),
+  };
+  const out = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  out.write(`${JSON.stringify(line)}\n`);
+}
+
+export const logger = {
+  debug: (event, fields) => write('debug', event, fields),
+  info: (event, fields) => write('info', event, fields),
+  warn: (event, fields) => write('warn', event, fields),
+  error: (event, fields) => write('error', event, fields),
+};
+
+// Tags the request with an ID (X-Request-Id response header) and logs one
+// `http.request` line when the response finishes
+export function beginRequest(req, res) {
+  const requestId = requestIdFor(req);
+  const started = process.hrtime.bigint();
+  res.setHeader('X-Request-Id', requestId);
+  res.on?.('finish', () => {
+    runWithRequestId(requestId, () =>
+      logger.info('http.request', {
+        method: req.method,
+        path: String(req.originalUrl || req.url || '').split('?')[0],
+        status: res.statusCode,
+        durationMs: Number((process.hrtime.bigint() - started) / 1000000n),
+      })
+    );
+  });
+  return requestId;
+}
+
+// Express middleware: request ID for everything after it
+export const trackRequests = (req, res, next) => runWithRequestId(beginRequest(req, res), next);
@@ -0,0 +1,107 @@
+import { createHash, timingSafeEqual } from 'node:crypto';
+
+// Prometheus text-format metrics (GET /metrics), kept in process memory (per
+// instance on serverless). Only counters and histograms; every label value
+// comes from a small fixed set so series stay bounded. With METRICS_TOKEN set,
+// scrapers must send `Authorization: Bearer <token>`.
+
+const registry = [];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length === 0 ? '' : `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+};
+
+const seriesKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+function counter(name, help) {
+  const series = new Map(); // key: seriesKey(labels) -> { labels, value }
+  const metric = {
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, by = 1) {
+      const key = seriesKey(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += by;
+      series.set(key, entry);
+    },
+    lines: () => Array.from(series.values(), (s) => `${name}${formatLabels(s.labels)} ${s.value}`),
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function histogram(name, help, buckets) {
+  const series = new Map(); // key: seriesKey(labels) -> { labels, counts (per bucket), sum, count }
+  const metric = {
+    name,
+    help,
+    type: 'histogram',
+    observe(labels, value) {
+      const key = seriesKey(labels);
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((le, i) => {
+        if (value <= le) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+    lines: () =>
+      Array.from(series.values()).flatMap((s) => [
+        ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`),
+        `${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`,
+        `${name}_sum${formatLabels(s.labels)} ${s.sum}`,
+        `${name}_count${formatLabels(s.labels)} ${s.count}`,
+      ]),
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// labels: provider (seats, fixture, openai, stub), operation (search, completion)
+export const upstreamDuration = histogram(
+  'upstream_request_duration_seconds',
+  'Latency of availability searches and LLM completions',
+  [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+);
+// labels: provider, operation, outcome (ok, error)
+export const upstreamRequests = counter('upstream_requests_total', 'Upstream calls by provider and outcome');
+// labels: result (hit, miss, stale)
+export const availabilityCacheLookups = counter('availability_cache_lookups_total', 'Availability cache lookups by result');
+// labels: prompt (trip-summary, location-resolution, trip-plan-days), outcome (llm, fallback)
+export const llmAnswers = counter('llm_answers_total', 'LLM-backed answers, by whether the LLM or the fallback was used');
+// labels: result (options, zero_results)
+export const flowASearches = counter('flow_a_searches_total', 'Flow A searches by whether any option was found');
+
+// Times `fn` as one upstream call of `provider` / `operation`
+export async function timeUpstream(provider, operation, fn) {
+  const started = process.hrtime.bigint();
+  let outcome = 'error';
+  try {
+    const result = await fn();
+    outcome = 'ok';
+    return result;
+  } finally {
+    upstreamDuration.observe({ provider, operation }, Number(process.hrtime.bigint() - started) / 1e9);
+    upstreamRequests.inc({ provider, operation, outcome });
+  }
+}
+
+const digest = (value) => createHash('sha256').update(value).digest();
+
+export function metricsAuthorized(req) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return true;
+  const match = /^Bearer\s+(.+)$/i.exec(String(req.headers?.authorization || ''));
+  return Boolean(match) && timingSafeEqual(digest(match[1].trim()), digest(token));
+}
+
+export function renderMetrics() {
+  return `${registry
+    .map((m) => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()].join('\n'))
+    .join('\n')}\n`;
+}
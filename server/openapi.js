@@ -0,0 +1,162 @@
+import {
+  ERROR_RESPONSE,
+  FIELD_ERROR,
+  FLIGHT_OPTION,
+  GENERATE_ITINERARY_REQUEST,
+  GENERATE_ITINERARY_RESPONSE,
+  POINTS_REQUIRED_REQUEST,
+  PROGRAM_COMPARISON_REQUEST,
+  PROGRAM_COMPARISON_RESPONSE,
+  TRIP_PLAN,
+  TRIP_PLAN_DAY,
+  TRIP_PLAN_DAY_REQUEST,
+  TRIP_PLAN_REQUEST,
+} from '../shared/apiSchema.js';
+import { CATALOG_VERSION } from './catalog.js';
+
+// OpenAPI 3.1 document generated from the shared schema (3.1 schemas are plain
+// JSON Schema, so the objects are used as-is). Served at GET /api/openapi.json.
+
+const jsonBody = (ref) => ({ 'application/json': { schema: { $ref: `#/components/schemas/${ref}` } } });
+
+const errorResponses = {
+  400: { description: 'Invalid request; `fields` lists each invalid field', content: jsonBody('Error') },
+  401: { description: 'Missing, invalid or expired API key / session token (when auth is configured)', content: jsonBody('Error') },
+  429: { description: 'Rate limit reached; `Retry-After` gives the seconds to wait', content: jsonBody('Error') },
+  500: { description: 'Server or configuration error', content: jsonBody('Error') },
+  502: { description: 'Availability provider failed; `cause` carries the upstream reason', content: jsonBody('Error') },
+  503: { description: 'Daily search budget spent and nothing cached for this search', content: jsonBody('Error') },
+};
+
+export function buildOpenApiDocument() {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Points Travel Planner API',
+      version: `catalog-${CATALOG_VERSION}`,
+      description: 'Award flight search for Axis Bank EDGE reward points.',
+    },
+    // Either credential works; both are only enforced when configured on the server
+    security: [{ apiKey: [] }, { sessionToken: [] }],
+    paths: {
+      '/api/session': {
+        post: {
+          summary: 'Signed session token for browser clients (`token: null` when the server needs none)',
+          security: [],
+          responses: {
+            200: {
+              description: 'The token and its expiry',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      token: { type: ['string', 'null'] },
+                      expiresAt: { type: ['string', 'null'], format: 'date-time' },
+                    },
+                  },
+                },
+              },
+            },
+            403: { description: 'No Origin header, or an origin not listed in CORS_ORIGINS', content: jsonBody('Error') },
+            429: errorResponses[429],
+          },
+        },
+      },
+      '/api/generate-itinerary': {
+        post: {
+          summary: 'Flights bookable with an EDGE points balance (Flow A)',
+          requestBody: { required: true, content: jsonBody('GenerateItineraryRequest') },
+          responses: {
+            200: { description: 'Ranked options with trip summaries', content: jsonBody('GenerateItineraryResponse') },
+            ...errorResponses,
+          },
+        },
+      },
+      '/api/generate-itinerary-stream': {
+        post: {
+          summary: 'Flow A as NDJSON events: airports, options, summary (per destination), done or error',
+          requestBody: { required: true, content: jsonBody('GenerateItineraryRequest') },
+          responses: {
+            200: {
+              description:
+                'One JSON object per line. The `options` event carries a GenerateItineraryResponse with empty trip summaries.',
+              content: { 'application/x-ndjson': { schema: { type: 'object', properties: { type: { type: 'string' } } } } },
+            },
+            ...errorResponses,
+          },
+        },
+      },
+      '/api/points-required': {
+        post: {
+          summary: 'EDGE points each program needs for a trip, with an optional Accor stay (Flow B)',
+          requestBody: { required: true, content: jsonBody('PointsRequiredRequest') },
+          responses: {
+            200: {
+              description: 'One row per program with space, cheapest first, and the hotel stay when requested',
+              content: { 'application/json': { schema: { type: 'object' } } },
+            },
+            ...errorResponses,
+          },
+        },
+      },
+      '/api/compare-programs': {
+        post: {
+          summary: 'One route priced by every program side by side',
+          requestBody: { required: true, content: jsonBody('ProgramComparisonRequest') },
+          responses: {
+            200: { description: 'One row per catalog program', content: jsonBody('ProgramComparisonResponse') },
+            ...errorResponses,
+          },
+        },
+      },
+      '/api/trip-plan': {
+        post: {
+          summary: 'Day-by-day plan for a chosen option; cached per destination, dates, interests, pace and travellers',
+          requestBody: { required: true, content: jsonBody('TripPlanRequest') },
+          responses: {
+            200: { description: 'The plan; `source` is `template` when no LLM answer passed validation', content: jsonBody('TripPlan') },
+            ...errorResponses,
+          },
+        },
+      },
+      '/api/trip-plan/day': {
+        post: {
+          summary: 'Regenerate one day of a plan, keeping the others',
+          requestBody: { required: true, content: jsonBody('TripPlanDayRequest') },
+          responses: {
+            200: { description: 'The updated plan', content: jsonBody('TripPlan') },
+            ...errorResponses,
+          },
+        },
+      },
+      '/api/catalog': {
+        get: {
+          summary: 'Cards, programs, cabins and origin airports accepted by the API',
+          security: [],
+          responses: { 200: { description: 'The catalog', content: { 'application/json': { schema: { type: 'object' } } } } },
+        },
+      },
+    },
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        sessionToken: { type: 'http', scheme: 'bearer', description: 'Token from POST /api/session' },
+      },
+      schemas: {
+        GenerateItineraryRequest: GENERATE_ITINERARY_REQUEST,
+        GenerateItineraryResponse: GENERATE_ITINERARY_RESPONSE,
+        FlightOption: FLIGHT_OPTION,
+        PointsRequiredRequest: POINTS_REQUIRED_REQUEST,
+        ProgramComparisonRequest: PROGRAM_COMPARISON_REQUEST,
+        ProgramComparisonResponse: PROGRAM_COMPARISON_RESPONSE,
+        TripPlanRequest: TRIP_PLAN_REQUEST,
+        TripPlanDayRequest: TRIP_PLAN_DAY_REQUEST,
+        TripPlan: TRIP_PLAN,
+        TripPlanDay: TRIP_PLAN_DAY,
+        FieldError: FIELD_ERROR,
+        Error: ERROR_RESPONSE,
+      },
+    },
+  };
+}
@@ -0,0 +1,112 @@
+import { createHash } from 'node:crypto';
+import { dedupeOptions, optionKey } from '../shared/dedupe.js';
+
+// Sorting, collapsing and cursor paging of generate-itinerary options. The
+// dedupe rule itself lives in shared/dedupe.js so the client merges pages the
+// same way.
+
+export const DEFAULT_PAGE_SIZE = 10;
+
+const RELIABILITY_ORDER = ['LIVE_RELIABLE', 'LIMITED_RELIABLE'];
+const UNKNOWN_STOPS = 99;
+
+const byPoints = (a, b) => a.edgePointsRequired - b.edgePointsRequired;
+
+// Primary order per `sortBy` (the enum in GENERATE_ITINERARY_REQUEST); every
+// mode falls back to fewest EDGE points
+const SORT_COMPARATORS = {
+  points: () => 0,
+  // Most paise per point first, unpriced last
+  value: (a, b) => (b.value?.paisePerPoint ?? -1) - (a.value?.paisePerPoint ?? -1),
+  // Non-stop first; unknown stop counts last
+  stops: (a, b) => (a.stops ?? UNKNOWN_STOPS) - (b.stops ?? UNKNOWN_STOPS),
+  // Live-inventory programs ahead of limited ones
+  reliability: (a, b) => RELIABILITY_ORDER.indexOf(a.programLevel) - RELIABILITY_ORDER.indexOf(b.programLevel),
+  // Routes with space on the most dates first
+  dates: (a, b) => (b.availableDates || 0) - (a.availableDates || 0),
+};
+
+// Distinct departure dates per dedupe key, set as `availableDates` on every option
+export function countAvailableDates(options) {
+  const dates = new Map();
+  for (const option of options) {
+    const key = optionKey(option);
+    if (!dates.has(key)) dates.set(key, new Set());
+    if (option.departureDate) dates.get(key).add(option.departureDate);
+  }
+  for (const option of options) option.availableDates = dates.get(optionKey(option)).size;
+  return options;
+}
+
+// Best-first, then collapsed to one option per dedupe key. `cabinRank` (higher
+// is better) goes ahead of `sortBy` for "or better" searches. Ties end on the
+// key and dates so pages stay stable between requests.
+export function rankOptions(options, sortBy = 'points', cabinRank = null) {
+  const compare = SORT_COMPARATORS[sortBy] || SORT_COMPARATORS.points;
+  const sorted = [...options].sort((a, b) =>
+    (cabinRank ? cabinRank(b) - cabinRank(a) : 0) ||
+    compare(a, b) ||
+    byPoints(a, b) ||
+    optionKey(a).localeCompare(optionKey(b)) ||
+    (a.departureDate || '').localeCompare(b.departureDate || '') ||
+    (a.returnDate || '').localeCompare(b.returnDate || '')
+  );
+  return dedupeOptions(sorted);
+}
+
+function invalidCursor(detail) {
+  const err = new Error('Invalid cursor');
+  err.status = 400;
+  err.detail = detail;
+  err.fields = [{ field: 'cursor', message: 'is not valid for this search' }];
+  return err;
+}
+
+// Short hash of the search itself (paging fields excluded), so a cursor can't
+// be replayed against a different search
+export function searchFingerprint(body) {
+  const search = Object.fromEntries(
+    Object.entries(body || {})
+      .filter(([name]) => name !== 'cursor' && name !== 'limit')
+      .sort(([a], [b]) => a.localeCompare(b))
+  );
+  return createHash('sha1').update(JSON.stringify(search)).digest('hex').slice(0, 12);
+}
+
+// Cursor positions are `{ key, index }` per list: the last option returned and
+// where it sat, used when that option has since dropped out of the results.
+export function encodeCursor({ fingerprint, positions }) {
+  return Buffer.from(JSON.stringify({ f: fingerprint, p: positions })).toString('base64url');
+}
+
+export function decodeCursor(cursor, fingerprint) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw invalidCursor('Cursor could not be read; start again from the first page');
+  }
+  if (!parsed || typeof parsed !== 'object' || typeof parsed.p !== 'object' || parsed.p === null) {
+    throw invalidCursor('Cursor could not be read; start again from the first page');
+  }
+  if (parsed.f !== fingerprint) {
+    throw invalidCursor('Cursor belongs to a different search; send the same search fields with it');
+  }
+  return parsed.p;
+}
+
+// One page of a ranked list after `position` (null = first page)
+export function pageAfter(ranked, position, limit) {
+  let start = 0;
+  if (position) {
+    const found = ranked.findIndex((option) => optionKey(option) === position.key);
+    start = found >= 0 ? found + 1 : Math.min(Number(position.index) + 1 || 0, ranked.length);
+  }
+  const items = ranked.slice(start, start + limit);
+  const last = items[items.length - 1];
+  return {
+    items,
+    position: last ? { key: optionKey(last), index: start + items.length - 1 } : position,
+    hasMore: start + items.length < ranked.length,
+  };
+}
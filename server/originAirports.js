@@ -0,0 +1,99 @@
+import { airportsInCountry, distanceKm, findAirport, matchLocation } from './locationDataset.js';
+
+// Departure airports. Any Indian airport in the bundled dataset can be the
+// home origin; a search may also fan out to alternates, nearby airports or the
+// major hubs, where long-haul award space is usually better.
+
+export const MAJOR_INDIAN_HUBS = ['DEL', 'BOM', 'BLR', 'HYD', 'MAA', 'CCU'];
+
+export const ORIGIN_COUNTRY = 'India';
+const MAX_ORIGINS = 8;
+const MAX_NEARBY_RADIUS_KM = 1500;
+
+function invalidOrigin(message, detail) {
+  const err = new Error(message);
+  err.status = 400;
+  err.detail = detail;
+  return err;
+}
+
+// Indian airports for the origin picker, hubs first then by city
+export function listOriginAirports() {
+  return airportsInCountry(ORIGIN_COUNTRY)
+    .map((a) => ({ iata: a.iata, city: a.city, hub: MAJOR_INDIAN_HUBS.includes(a.iata) }))
+    .sort((a, b) =>
+      (a.hub === b.hub ? 0 : a.hub ? -1 : 1) ||
+      (a.hub ? MAJOR_INDIAN_HUBS.indexOf(a.iata) - MAJOR_INDIAN_HUBS.indexOf(b.iata) : 0) ||
+      a.city.localeCompare(b.city) ||
+      a.iata.localeCompare(b.iata)
+    );
+}
+
+// City name ("Delhi", "Bangalore") or IATA code -> one Indian airport from the dataset
+export function resolveOriginAirport(origin) {
+  const raw = String(origin || '').trim();
+  let airport = findAirport(raw);
+  if (!airport) {
+    const match = matchLocation(raw);
+    if (match?.confidence === 'high' && match.airports.length > 0) airport = findAirport(match.airports[0].iata);
+  }
+
+  if (!airport) {
+    throw invalidOrigin('Unknown origin', `Could not match "${raw}" to an airport`);
+  }
+  if (airport.country !== ORIGIN_COUNTRY) {
+    throw invalidOrigin('Unsupported origin', `${airport.iata} is not in India; trips must start from an Indian airport`);
+  }
+  return airport;
+}
+
+// Every origin a search should cover: home first, then explicit alternates,
+// nearby airports and/or the major hubs. Each carries its distance from home so
+// results can show what a domestic positioning leg would involve.
+export function resolveOriginAirports({ origin, alternateOrigins, nearbyRadiusKm, anyIndianHub }) {
+  const home = resolveOriginAirport(origin);
+
+  if (alternateOrigins !== undefined && alternateOrigins !== null && !Array.isArray(alternateOrigins)) {
+    throw invalidOrigin('Invalid alternateOrigins', 'alternateOrigins must be a list of airport codes or cities');
+  }
+  const radius = nearbyRadiusKm === undefined || nearbyRadiusKm === null ? 0 : Number(nearbyRadiusKm);
+  if (!Number.isFinite(radius) || radius < 0 || radius > MAX_NEARBY_RADIUS_KM) {
+    throw invalidOrigin('Invalid nearbyRadiusKm', `nearbyRadiusKm must be between 0 and ${MAX_NEARBY_RADIUS_KM}`);
+  }
+
+  const candidates = [home, ...(alternateOrigins || []).map(resolveOriginAirport)];
+  if (radius > 0) {
+    const nearby = airportsInCountry(ORIGIN_COUNTRY)
+      .filter((a) => a.iata !== home.iata && distanceKm(home, a) <= radius)
+      .sort((a, b) => distanceKm(home, a) - distanceKm(home, b));
+    candidates.push(...nearby);
+  }
+  if (anyIndianHub === true) candidates.push(...MAJOR_INDIAN_HUBS.map(findAirport));
+
+  const seen = new Set();
+  const origins = [];
+  for (const airport of candidates) {
+    if (seen.has(airport.iata) || origins.length >= MAX_ORIGINS) continue;
+    seen.add(airport.iata);
+    origins.push({
+      iata: airport.iata,
+      city: airport.city,
+      isHome: airport.iata === home.iata,
+      distanceKm: distanceKm(home, airport),
+    });
+  }
+  return { home: origins[0], origins };
+}
+
+// Positioning leg needed to start from `originIata` instead of home, or null
+export function describePositioning(origins, originIata) {
+  const origin = origins.find((o) => o.iata === originIata);
+  if (!origin || origin.isHome) return null;
+  return {
+    from: origins[0].iata,
+    fromCity: origins[0].city,
+    to: origin.iata,
+    toCity: origin.city,
+    distanceKm: origin.distanceKm,
+  };
+}
@@ -0,0 +1,124 @@
+import { describeFreshness } from './availability/index.js';
+import { PROGRAM_COMPARISON_REQUEST, validateAgainst } from '../shared/apiSchema.js';
+import { PROGRAMS, requireCard } from './catalog.js';
+import {
+  cabinToCode,
+  hasSeatsFor,
+  monthToDateRange,
+  readCabin,
+  recordCapability,
+  resolveDestinationAirports,
+  searchAvailability,
+} from './flowAHandler.js';
+import { invalidRequest } from './httpErrors.js';
+import { resolveOriginAirports } from './originAirports.js';
+import { describeTransfer, getTransferRule } from './transferRules.js';
+
+// Program comparison: one route, one row per catalog program, so the user can
+// see how each partner prices the same trip. Unlike Flow A nothing is collapsed
+// per destination, and programs with no space (or no transfer from the card)
+// still get a row.
+
+const cheaper = (current, miles) => !current || miles < current.miles;
+
+export async function processProgramComparison(body = {}) {
+  const fieldErrors = validateAgainst(PROGRAM_COMPARISON_REQUEST, body);
+  if (fieldErrors.length > 0) throw invalidRequest(fieldErrors);
+
+  const { cardDisplayName, edgePoints, origin, destination, travelMonth, cabin, travellers = 1 } = body;
+  const card = requireCard(cardDisplayName);
+  const balance = typeof edgePoints === 'number' ? edgePoints : null;
+
+  const { home } = resolveOriginAirports({ origin });
+  const { start_date, end_date } = monthToDateRange(travelMonth);
+  const cabinCode = cabinToCode(cabin);
+  const { resolvedAirports, destinationAirport } = await resolveDestinationAirports(destination);
+
+  // Non-stop and connecting space both count here; non-stop is reported per row
+  const search = await searchAvailability({
+    originAirport: home.iata,
+    destinationAirport,
+    start_date,
+    end_date,
+    onlyDirect: false,
+  });
+
+  // key: program source -> { cheapest, cheapestNonstop, dates:Set, nonstopDates:Set }
+  const bySource = new Map();
+  for (const r of search.records) {
+    const match = recordCapability(r);
+    if (!match) continue;
+    const { available, miles, direct, seats } = readCabin(r, cabinCode);
+    if (!available || !(miles > 0) || !hasSeatsFor(seats, travellers)) continue;
+
+    if (!bySource.has(match.src)) {
+      bySource.set(match.src, { cheapest: null, cheapestNonstop: null, dates: new Set(), nonstopDates: new Set() });
+    }
+    const entry = bySource.get(match.src);
+    const nonstop = r.stops === 0 || (typeof r.stops !== 'number' && direct);
+    const space = { miles, date: r.date || null, origin: r.origin, destination: r.destination };
+    if (cheaper(entry.cheapest, miles)) entry.cheapest = space;
+    if (r.date) entry.dates.add(r.date);
+    if (nonstop) {
+      if (cheaper(entry.cheapestNonstop, miles)) entry.cheapestNonstop = space;
+      if (r.date) entry.nonstopDates.add(r.date);
+    }
+  }
+
+  const price = (src, space) => {
+    if (!space) return null;
+    const transfer = describeTransfer(card.name, src, space.miles * travellers);
+    return {
+      mileageCost: space.miles * travellers,
+      edgePointsRequired: transfer.edgePoints,
+      date: space.date,
+      origin: space.origin,
+      destination: space.destination,
+      exceedsTransferCap: transfer.exceedsAnnualCap,
+    };
+  };
+
+  const programs = PROGRAMS.map((program) => {
+    const transferable = getTransferRule(card.name, program.source) !== null;
+    const entry = transferable ? bySource.get(program.source) : null;
+    const cheapest = entry ? price(program.source, entry.cheapest) : null;
+    return {
+      source: program.source,
+      program: program.name,
+      programLevel: program.level,
+      disclaimer: program.disclaimer || null,
+      carrierSurcharges: program.carrierSurcharges === true,
+      transferable,
+      available: Boolean(entry),
+      cheapest,
+      cheapestNonstop: entry ? price(program.source, entry.cheapestNonstop) : null,
+      daysAvailable: entry ? entry.dates.size : 0,
+      nonstopDays: entry ? entry.nonstopDates.size : 0,
+      withinBudget: balance !== null && cheapest ? cheapest.edgePointsRequired <= balance : null,
+    };
+  });
+
+  // Priced rows cheapest first, then programs without space, then non-partners
+  const order = (row) => (row.cheapest ? 0 : row.transferable ? 1 : 2);
+  programs.sort((a, b) =>
+    order(a) - order(b) ||
+    (a.cheapest?.edgePointsRequired ?? 0) - (b.cheapest?.edgePointsRequired ?? 0) ||
+    a.program.localeCompare(b.program)
+  );
+
+  return {
+    input: {
+      start_date,
+      end_date,
+      origin_airport: home.iata,
+      destination_airport: destinationAirport,
+      destination_names: resolvedAirports.map((a) => `${a.city} (${a.iata})`),
+      cabin,
+      card: card.name,
+      edge_points: balance,
+      travellers,
+    },
+    programs,
+    freshness: describeFreshness([search]),
+  };
+}
@@ -0,0 +1,84 @@
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { distanceKm, findAirport } from './locationDataset.js';
+
+// Redemption value: what an award saves versus paying cash, per EDGE point.
+// Cash fares come from the maintained reference table in data/fareReference.json
+// (route overrides first, then distance bands). Value is net of the taxes and
+// fees still payable on the award ticket, expressed in paise per EDGE point.
+
+const DATA_PATH = path.resolve(path.dirname(fileURLToPath(import.meta.url)), 'data/fareReference.json');
+const fareReference = JSON.parse(readFileSync(DATA_PATH, 'utf8'));
+
+// Paise per EDGE point when redeemed for statement credit / vouchers instead
+export const CASH_REDEMPTION_PAISE = 20;
+
+// Below POOR_VALUE_MULTIPLE x the cash rate counts as poor value, above
+// GREAT_VALUE_MULTIPLE x as great
+const POOR_VALUE_MULTIPLE = 2;
+const GREAT_VALUE_MULTIPLE = 4;
+
+function routeEntry(origin, destination) {
+  return fareReference.routes[`${origin}-${destination}`] || fareReference.routes[`${destination}-${origin}`] || null;
+}
+
+function distanceBand(km) {
+  return fareReference.distanceBands.find((band) => band.maxKm === null || km <= band.maxKm);
+}
+
+// Reference one-way cash fare and typical award taxes (INR) for a leg, or null
+// when either airport is missing from the dataset
+export function estimateCashFare(origin, destination, cabinCode) {
+  const from = findAirport(origin);
+  const to = findAirport(destination);
+  if (!from || !to) return null;
+
+  const band = distanceBand(distanceKm(from, to));
+  const route = routeEntry(from.iata, to.iata);
+  const fare = route?.fares?.[cabinCode] ?? band.fares[cabinCode];
+  if (!Number.isFinite(fare)) return null;
+  return {
+    fare,
+    taxes: route?.taxes?.[cabinCode] ?? band.taxes[cabinCode],
+    source: route?.fares?.[cabinCode] ? 'route' : 'distance',
+  };
+}
+
+function rateValue(paisePerPoint, cashPaise) {
+  if (paisePerPoint < cashPaise) return 'below_cash';
+  if (paisePerPoint < cashPaise * POOR_VALUE_MULTIPLE) return 'poor';
+  if (paisePerPoint < cashPaise * GREAT_VALUE_MULTIPLE) return 'good';
+  return 'great';
+}
+
+// Value summary for an option made of one or more legs
+// (`{ origin, destination, cabinCode }`) paid with `edgePoints` for `travellers`
+// seats. `taxesInr` is the cash the program actually charges on the award, when
+// known; otherwise the table's typical taxes are used. Null when any leg can't be priced.
+export function describeRedemptionValue({ legs, edgePoints, travellers = 1, taxesInr = null }) {
+  const estimates = legs.map((leg) => estimateCashFare(leg.origin, leg.destination, leg.cabinCode));
+  if (estimates.some((e) => !e) || !(edgePoints > 0)) return null;
+
+  const cashFare = estimates.reduce((sum, e) => sum + e.fare, 0) * travellers;
+  const taxesAndFees = taxesInr ?? estimates.reduce((sum, e) => sum + e.taxes, 0) * travellers;
+  const netValue = Math.max(0, cashFare - taxesAndFees);
+  // one decimal place of paise
+  const paisePerPoint = Math.round((netValue * 1000) / edgePoints) / 10;
+  const rating = rateValue(paisePerPoint, CASH_REDEMPTION_PAISE);
+
+  return {
+    currency: fareReference.currency,
+    estimatedCashFare: cashFare,
+    taxesAndFees,
+    taxesSource: taxesInr === null ? 'estimate' : 'award',
+    netValue,
+    paisePerPoint,
+    cashRedemptionPaise: CASH_REDEMPTION_PAISE,
+    rating,
+    poorValue: rating === 'poor' || rating === 'below_cash',
+    beatsCash: rating !== 'below_cash',
+    fareSource: estimates.every((e) => e.source === 'route') ? 'route' : 'distance',
+    fareTableVersion: fareReference.updated,
+  };
+}
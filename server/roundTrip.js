@@ -0,0 +1,101 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far (in days) a return may drift from the requested trip length
+export const RETURN_TOLERANCE_DAYS = 2;
+
+export function addDays(isoDate, days) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  return new Date(d.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+export function daysBetween(fromIso, toIso) {
+  const from = Date.parse(`${fromIso}T00:00:00Z`);
+  const to = Date.parse(`${toIso}T00:00:00Z`);
+  return Math.round((to - from) / DAY_MS);
+}
+
+// Window to search destination→origin so every outbound date in the month can
+// find a return roughly `tripDuration` days later.
+export function returnDateRange({ start_date, end_date }, tripDuration) {
+  return {
+    start_date: addDays(start_date, Math.max(0, tripDuration - RETURN_TOLERANCE_DAYS)),
+    end_date: addDays(end_date, tripDuration + RETURN_TOLERANCE_DAYS),
+  };
+}
+
+function combinedStops(a, b) {
+  if (a === 0 && b === 0) return 0;
+  if (typeof a === 'number' && typeof b === 'number') return Math.max(a, b);
+  return null;
+}
+
+// Pairs each outbound leg with the cheapest return leg between the same two
+// airports that lands within tolerance of `tripDuration` days and keeps the
+// combined EDGE points inside the budget. Legs are
+// `{ airport, origin, date, mileageCost, edgePointsRequired, stops, ... }` where
+// `airport` is the trip destination and `origin` the Indian airport for both directions.
+//
+// A leg may list `cabinOptions` (the same flight priced in each eligible cabin,
+// "or better" searches). Cabins are then chosen per pair against the combined
+// cost: among combinations within `affordableBudget`, the highest total
+// `cabinRank` wins (then the cheapest); otherwise the cheapest combination
+// within `edgeBudget`. Paired legs are the chosen cabin options.
+export function pairRoundTrips({
+  outbound,
+  inbound,
+  tripDuration,
+  edgeBudget,
+  affordableBudget = edgeBudget,
+  cabinRank = () => 0,
+}) {
+  const legKey = (leg) => `${leg.origin || ''}:${leg.airport}`;
+  const cabinsOf = (leg) => leg.cabinOptions || [leg];
+  const inboundByAirport = new Map();
+  for (const leg of inbound) {
+    if (!leg.date) continue;
+    if (!inboundByAirport.has(legKey(leg))) inboundByAirport.set(legKey(leg), []);
+    inboundByAirport.get(legKey(leg)).push(leg);
+  }
+
+  // Whether candidate `a` beats `b` (either may be null)
+  const beats = (a, b) => {
+    if (!b) return true;
+    if (a.fits !== b.fits) return a.fits;
+    if (a.fits && a.rank !== b.rank) return a.rank > b.rank;
+    if (a.cost !== b.cost) return a.cost < b.cost;
+    return Math.abs(a.nights - tripDuration) < Math.abs(b.nights - tripDuration);
+  };
+
+  const pairs = [];
+  for (const outLeg of outbound) {
+    if (!outLeg.date) continue;
+    const candidates = inboundByAirport.get(legKey(outLeg)) || [];
+
+    let best = null;
+    for (const retLeg of candidates) {
+      const nights = daysBetween(outLeg.date, retLeg.date);
+      if (nights < 1 || Math.abs(nights - tripDuration) > RETURN_TOLERANCE_DAYS) continue;
+      for (const out of cabinsOf(outLeg)) {
+        for (const ret of cabinsOf(retLeg)) {
+          const cost = out.edgePointsRequired + ret.edgePointsRequired;
+          if (cost > edgeBudget) continue;
+          const candidate = { out, ret, nights, cost, fits: cost <= affordableBudget, rank: cabinRank(out) + cabinRank(ret) };
+          if (beats(candidate, best)) best = candidate;
+        }
+      }
+    }
+
+    if (!best) continue;
+    const { out, ret } = best;
+    pairs.push({
+      outbound: out,
+      return: ret,
+      nights: best.nights,
+      mileageCost: out.mileageCost + ret.mileageCost,
+      edgePointsRequired: best.cost,
+      stops: combinedStops(out.stops, ret.stops),
+    });
+  }
+
+  return pairs;
+}
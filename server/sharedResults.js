@@ -0,0 +1,143 @@
+import { randomBytes } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { SHARE_REQUEST, SHARED_ITINERARY, validateAgainst } from '../shared/apiSchema.js';
+import { invalidRequest } from './httpErrors.js';
+import { defaultStoreKind, isKvConfigured, kvClientFromEnv, requireWritableFiles } from './kv.js';
+
+// Permalinks for a results view: a frozen copy of the search inputs and the
+// results as shown, served back read-only to anyone with the link. Shares are
+// checked against SHARE_REQUEST and only the fields it knows are stored.
+//   SHARE_STORE=kv (default when KV_REST_API_URL / KV_REST_API_TOKEN are set,
+//   see kv.js) | file (default otherwise; not on Vercel) | memory
+//   SHARE_DIR for the file store (default .data/shares)
+
+const MAX_SHARE_BYTES = 512 * 1024;
+const SHARE_ID = /^[A-Za-z0-9_-]{8,32}$/;
+
+function createMemoryShareStore() {
+  const shares = new Map();
+  return {
+    name: 'memory',
+    async get(id) {
+      return shares.get(id) || null;
+    },
+    async set(id, share) {
+      shares.set(id, share);
+    },
+  };
+}
+
+function createFileShareStore({ dir }) {
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+  return {
+    name: 'file',
+    async get(id) {
+      try {
+        return JSON.parse(await readFile(fileFor(id), 'utf8'));
+      } catch (err) {
+        if (err?.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async set(id, share) {
+      await mkdir(dir, { recursive: true });
+      await writeFile(fileFor(id), JSON.stringify(share));
+    },
+  };
+}
+
+function createKvShareStore({ client }) {
+  const keyFor = (id) => `share:${id}`;
+  return {
+    name: 'kv',
+    async get(id) {
+      const raw = await client.command('GET', keyFor(id));
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(id, share) {
+      await client.command('SET', keyFor(id), JSON.stringify(share));
+    },
+  };
+}
+
+let shareStore = null;
+
+export const shareStoreKind = () => defaultStoreKind('SHARE_STORE');
+
+function getShareStore() {
+  if (shareStore) return shareStore;
+  const kind = shareStoreKind();
+  if (kind === 'memory') {
+    shareStore = createMemoryShareStore();
+  } else if (kind === 'kv' && isKvConfigured()) {
+    shareStore = createKvShareStore({ client: kvClientFromEnv() });
+  } else if (kind === 'file') {
+    requireWritableFiles('SHARE_STORE');
+    shareStore = createFileShareStore({ dir: path.resolve(process.env.SHARE_DIR || '.data/shares') });
+  } else {
+    const err = new Error('Unknown share store');
+    err.status = 500;
+    err.detail = kind === 'kv'
+      ? 'SHARE_STORE=kv needs KV_REST_API_URL and KV_REST_API_TOKEN'
+      : 'SHARE_STORE must be one of: kv, file, memory';
+    throw err;
+  }
+  return shareStore;
+}
+
+function invalidShare(detail) {
+  const err = new Error('Invalid share');
+  err.status = 400;
+  err.detail = detail;
+  return err;
+}
+
+// `value` with only the properties `schema` describes, recursively
+function keepKnown(schema, value) {
+  if (Array.isArray(value)) return schema.items ? value.map((item) => keepKnown(schema.items, item)) : value;
+  if (value === null || typeof value !== 'object' || !schema.properties) return value;
+  return Object.fromEntries(
+    Object.entries(schema.properties)
+      .filter(([name]) => value[name] !== undefined)
+      .map(([name, propSchema]) => [name, keepKnown(propSchema, value[name])])
+  );
+}
+
+export async function createShare(body = {}) {
+  const fieldErrors = validateAgainst(SHARE_REQUEST, body);
+  if (fieldErrors.length > 0) throw invalidRequest(fieldErrors);
+  const { search, itineraries, withinReach = [], freshness = null } = keepKnown(SHARE_REQUEST, body);
+  if (itineraries.length + withinReach.length === 0) throw invalidShare('Nothing to share: no results');
+
+  const share = {
+    id: randomBytes(9).toString('base64url'),
+    createdAt: new Date().toISOString(),
+    search,
+    itineraries,
+    withinReach,
+    freshness,
+  };
+  if (Buffer.byteLength(JSON.stringify(share)) > MAX_SHARE_BYTES) {
+    throw invalidShare('Results snapshot is too large to share');
+  }
+
+  await getShareStore().set(share.id, share);
+  return { id: share.id, createdAt: share.createdAt };
+}
+
+// Shares stored before they were checked may hold results the view can't
+// render safely; those are left out
+const renderable = (list) =>
+  (Array.isArray(list) ? list : []).filter((itinerary) => validateAgainst(SHARED_ITINERARY, itinerary).length === 0);
+
+export async function getShare(id) {
+  const share = SHARE_ID.test(String(id || '')) ? await getShareStore().get(id) : null;
+  if (!share) {
+    const err = new Error('Share not found');
+    err.status = 404;
+    err.detail = 'This link is invalid or has expired';
+    throw err;
+  }
+  return { ...share, itineraries: renderable(share.itineraries), withinReach: renderable(share.withinReach) };
+}
@@ -0,0 +1,34 @@
+import { processFlowA } from './flowAHandler.js';
+import { errorPayload } from './httpErrors.js';
+
+// Streaming variant of Flow A as NDJSON: one JSON object per line, each with a
+// `type` of 'airports', 'options', 'summary' (one per destination), then 'done'.
+// Validation errors raised before anything is sent keep the normal JSON error
+// response; later failures arrive as a final `{ type: 'error' }` line.
+export async function streamFlowA(body, res) {
+  let started = false;
+  const send = (type, payload = {}) => {
+    if (!started) {
+      started = true;
+      res.status(200);
+      res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('X-Accel-Buffering', 'no');
+    }
+    res.write(`${JSON.stringify({ type, ...payload })}\n`);
+  };
+
+  try {
+    await processFlowA(body, { onEvent: send });
+    send('done');
+  } catch (err) {
+    const status = Number(err?.status) || 500;
+    const payload = errorPayload(err);
+    if (!started) {
+      res.status(status).json(payload);
+      return;
+    }
+    send('error', { status, ...payload });
+  }
+  res.end();
+}
@@ -0,0 +1,84 @@
+import { CARDS, HOTEL_PROGRAMS, PROGRAMS, findCard } from './catalog.js';
+
+// Axis EDGE → partner transfer rules.
+//
+// CARD_MULTIPLIER is each card's headline (Group A) ratio: partner miles per EDGE point
+// (from the shared catalog, see catalog.js).
+// Partners are split into transfer groups; Group B partners convert at a lower
+// ratio and every card tier has a yearly EDGE-points cap per group. Transfers go
+// in whole blocks of EDGE points, so the points actually spent are rounded up.
+
+export const CARD_MULTIPLIER = Object.fromEntries(CARDS.map((c) => [c.name, c.milesPerPoint]));
+
+// Program (Seats.aero source, or hotel program) -> transfer group, ratio
+// relative to the card's headline ratio and transfer block size
+export const PARTNER_GROUP = Object.fromEntries(
+  [...PROGRAMS, ...HOTEL_PROGRAMS].map((p) => {
+    if (!Number.isInteger(p.blockSize) || p.blockSize <= 0) {
+      throw new Error(`catalog.json: program "${p.source}" needs a positive whole blockSize`);
+    }
+    return [p.source, { group: p.transferGroup, ratioFactor: p.ratioFactor, blockSize: p.blockSize }];
+  })
+);
+
+// EDGE points per calendar year that may leave the card for each group
+const ANNUAL_CAP = {
+  burgundy: { A: 300000, B: 1200000 },
+  magnus: { A: 100000, B: 400000 },
+  standard: { A: 30000, B: 120000 },
+};
+
+// Transfer rule for a card/program pair, or null when either is unknown
+export function getTransferRule(cardDisplayName, source) {
+  const card = findCard(cardDisplayName);
+  const partner = PARTNER_GROUP[(source || '').toLowerCase()];
+  if (!card || !partner) return null;
+
+  const tier = ANNUAL_CAP[card.capTier] ? card.capTier : 'standard';
+  return {
+    ratio: card.milesPerPoint * partner.ratioFactor,
+    blockSize: partner.blockSize,
+    annualCap: ANNUAL_CAP[tier][partner.group],
+    capGroup: partner.group,
+    tier,
+  };
+}
+
+// EDGE points actually debited to receive at least `miles`, rounded up to whole blocks
+export function edgePointsForMiles(rule, miles) {
+  const exact = Math.ceil(miles / rule.ratio);
+  const edgePoints = Math.max(rule.blockSize, Math.ceil(exact / rule.blockSize) * rule.blockSize);
+  return {
+    edgePoints,
+    milesReceived: Math.floor(edgePoints * rule.ratio),
+    exceedsAnnualCap: edgePoints > rule.annualCap,
+  };
+}
+
+// Transfer summary attached to each priced leg/option
+export function describeTransfer(cardDisplayName, source, miles) {
+  const rule = getTransferRule(cardDisplayName, source);
+  if (!rule) return null;
+  const { edgePoints, milesReceived, exceedsAnnualCap } = edgePointsForMiles(rule, miles);
+  return {
+    ratio: rule.ratio,
+    blockSize: rule.blockSize,
+    capGroup: rule.capGroup,
+    annualCap: rule.annualCap,
+    edgePoints,
+    milesReceived,
+    exceedsAnnualCap,
+  };
+}
+
+// True when the combined transfers for one trip break a group's yearly cap
+export function exceedsCombinedCap(transfers) {
+  const byGroup = new Map();
+  for (const t of transfers) {
+    if (!t) continue;
+    const current = byGroup.get(t.capGroup) || { total: 0, cap: t.annualCap };
+    current.total += t.edgePoints;
+    byGroup.set(t.capGroup, current);
+  }
+  return Array.from(byGroup.values()).some((g) => g.total > g.cap);
+}
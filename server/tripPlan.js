@@ -0,0 +1,186 @@
+import { TRIP_PLAN_DAY, TRIP_PLAN_DAY_REQUEST, TRIP_PLAN_REQUEST, validateAgainst } from '../shared/apiSchema.js';
+import { invalidRequest } from './httpErrors.js';
+import { completeJson, PROMPTS } from './llm/index.js';
+import { logger } from './logger.js';
+import { llmAnswers } from './metrics.js';
+import { addDays, daysBetween } from './roundTrip.js';
+
+// Day-by-day plan for one chosen option, built after the user picks it (unlike
+// the short trip summaries on every result). Plans are keyed on destination,
+// dates, interests, pace and party size; one day can be regenerated in place.
+// LLM days must pass TRIP_PLAN_DAY, otherwise a plain template is used.
+
+const MAX_TRIP_DAYS = 21;
+const MAX_CACHED_PLANS = 200;
+
+const planCache = new Map(); // key: planKey(input) -> plan (with its promptVersion)
+const planInFlight = new Map(); // key: planKey(input) -> Promise<plan>
+
+function readPlanInput(body, schema) {
+  const fieldErrors = validateAgainst(schema, body);
+  if (fieldErrors.length === 0) {
+    const length = daysBetween(body.arrivalDate, body.departureDate) + 1;
+    if (!(length >= 1)) fieldErrors.push({ field: 'departureDate', message: 'must not be before arrivalDate' });
+    else if (length > MAX_TRIP_DAYS) fieldErrors.push({ field: 'departureDate', message: `must be within ${MAX_TRIP_DAYS} days of arrivalDate` });
+  }
+  if (fieldErrors.length > 0) throw invalidRequest(fieldErrors);
+
+  return {
+    destination: body.destination.trim(),
+    arrivalDate: body.arrivalDate,
+    departureDate: body.departureDate,
+    interests: Array.from(new Set(body.interests || [])).sort(),
+    pace: body.pace || 'balanced',
+    travellers: body.travellers || 1,
+  };
+}
+
+const planKey = (input) =>
+  [input.destination.toLowerCase(), input.arrivalDate, input.departureDate, input.interests.join(','), input.pace, input.travellers].join('|');
+
+function remember(key, plan) {
+  planCache.delete(key);
+  planCache.set(key, plan);
+  // Oldest first in insertion order
+  if (planCache.size > MAX_CACHED_PLANS) planCache.delete(planCache.keys().next().value);
+}
+
+// Day numbers, dates and arrival / departure markers; the LLM only fills in content
+function daySkeleton(input) {
+  const length = daysBetween(input.arrivalDate, input.departureDate) + 1;
+  return Array.from({ length }, (_, i) => ({
+    day: i + 1,
+    date: addDays(input.arrivalDate, i),
+    kind: i === 0 ? 'arrival' : i === length - 1 ? 'departure' : 'full',
+  }));
+}
+
+// Resolves to `{ days, promptVersion }`, or null when there's no LLM or its
+// days don't pass TRIP_PLAN_DAY
+async function askForDays(input, skeleton, otherDays = []) {
+  const answer = await requestDays(input, skeleton, otherDays);
+  llmAnswers.inc({ prompt: PROMPTS.tripPlanDays.id, outcome: answer ? 'llm' : 'fallback' });
+  return answer;
+}
+
+async function requestDays(input, skeleton, otherDays) {
+  try {
+    const answer = await completeJson(PROMPTS.tripPlanDays, {
+      destination: input.destination,
+      travellers: input.travellers,
+      interests: input.interests,
+      pace: input.pace,
+      slots: skeleton,
+      otherDays,
+    });
+    if (!answer) return null;
+
+    const days = Array.isArray(answer.data?.days) ? answer.data.days : [];
+    if (days.length !== skeleton.length) throw new Error(`expected ${skeleton.length} day(s), got ${days.length}`);
+
+    const merged = skeleton.map((slot, i) => ({
+      ...slot,
+      title: days[i]?.title,
+      morning: days[i]?.morning,
+      afternoon: days[i]?.afternoon,
+      evening: days[i]?.evening,
+      tips: Array.isArray(days[i]?.tips) ? days[i].tips.slice(0, 3) : [],
+    }));
+    const errors = merged.flatMap((day) => validateAgainst(TRIP_PLAN_DAY, day));
+    if (errors.length > 0) throw new Error(`invalid day: ${errors[0].field} ${errors[0].message}`);
+    return { days: merged, promptVersion: answer.promptVersion };
+  } catch (err) {
+    logger.warn('trip_plan.llm_failed', { destination: input.destination, error: err });
+    return null;
+  }
+}
+
+function templateDay(input, slot) {
+  const place = input.destination;
+  const content = {
+    arrival: {
+      title: `Arrive in ${place}`,
+      morning: 'Land, clear immigration and transfer to your hotel.',
+      afternoon: 'Check in and rest, then take a short walk around the neighbourhood.',
+      evening: 'Dinner close to the hotel and an early night.',
+    },
+    full: {
+      title: `Explore ${place}`,
+      morning: 'Visit one of the main landmarks before the crowds arrive.',
+      afternoon: 'Lunch at a local spot, then a museum, market or park.',
+      evening: 'Dinner in a lively part of town.',
+    },
+    departure: {
+      title: `Leave ${place}`,
+      morning: 'Pack and check out; leave bags at the hotel if the flight is late.',
+      afternoon: 'A last easy stop near the hotel or airport.',
+      evening: 'Head to the airport with plenty of time to spare.',
+    },
+  }[slot.kind];
+  return { ...slot, ...content, tips: [] };
+}
+
+async function buildPlan(input) {
+  const skeleton = daySkeleton(input);
+  const answer = await askForDays(input, skeleton);
+  logger.info('trip_plan.generated', {
+    destination: input.destination,
+    days: skeleton.length,
+    source: answer ? 'llm' : 'template',
+    promptVersion: answer?.promptVersion,
+  });
+  return {
+    ...input,
+    days: answer ? answer.days : skeleton.map((slot) => templateDay(input, slot)),
+    source: answer ? 'llm' : 'template',
+    promptVersion: answer ? answer.promptVersion : null,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+export async function generateTripPlan(body = {}) {
+  const input = readPlanInput(body, TRIP_PLAN_REQUEST);
+  const key = planKey(input);
+  if (planCache.has(key)) return planCache.get(key);
+  if (planInFlight.has(key)) return planInFlight.get(key);
+
+  const task = buildPlan(input)
+    .then((plan) => {
+      remember(key, plan);
+      return plan;
+    })
+    .finally(() => planInFlight.delete(key));
+  planInFlight.set(key, task);
+  return task;
+}
+
+// A plan sent back by the client (already schema-checked) is only reused when
+// it is for the same dates
+const matchesInput = (plan, input) =>
+  plan.arrivalDate === input.arrivalDate &&
+  plan.departureDate === input.departureDate &&
+  plan.days.length === daySkeleton(input).length;
+
+// Replaces one day of the plan for these inputs (cached, the `plan` in the
+// request, or a fresh one) and caches the result
+export async function regenerateTripPlanDay(body = {}) {
+  const input = readPlanInput(body, TRIP_PLAN_DAY_REQUEST);
+  const skeleton = daySkeleton(input);
+  if (body.day > skeleton.length) throw invalidRequest([{ field: 'day', message: `must be at most ${skeleton.length}` }]);
+
+  const key = planKey(input);
+  const base = planCache.get(key) || (body.plan && matchesInput(body.plan, input) ? body.plan : await generateTripPlan(input));
+  const slot = skeleton[body.day - 1];
+  const others = base.days.filter((d) => d.day !== slot.day);
+  const answer = await askForDays(input, [slot], others);
+  const day = answer ? answer.days[0] : templateDay(input, slot);
+
+  const plan = {
+    ...base,
+    days: base.days.map((d) => (d.day === slot.day ? day : d)),
+    promptVersion: answer ? answer.promptVersion : base.promptVersion ?? null,
+    generatedAt: new Date().toISOString(),
+  };
+  remember(key, plan);
+  return plan;
+}
@@ -0,0 +1,50 @@
+// Daily budget for calls that spend third-party quota: availability searches
+// (UPSTREAM_DAILY_BUDGET_AVAILABILITY) and LLM completions
+// (UPSTREAM_DAILY_BUDGET_LLM). Unset means unlimited. Counts are per process
+// (per instance on serverless) and reset at midnight UTC.
+//
+// Once a budget is spent, availability is served from the cache however old it
+// is, and the LLM features use their fallbacks.
+
+const BUDGET_ENV = {
+  availability: 'UPSTREAM_DAILY_BUDGET_AVAILABILITY',
+  llm: 'UPSTREAM_DAILY_BUDGET_LLM',
+};
+
+let day = null;
+const used = new Map(); // key: kind -> calls today
+
+function rollOver() {
+  const today = new Date().toISOString().slice(0, 10);
+  if (today === day) return;
+  day = today;
+  used.clear();
+}
+
+const limitFor = (kind) => {
+  const raw = process.env[BUDGET_ENV[kind]];
+  const n = Number(raw);
+  return raw !== undefined && raw !== '' && Number.isFinite(n) && n >= 0 ? Math.floor(n) : null;
+};
+
+// Counts one upstream call of `kind`; false (and nothing counted) when today's
+// budget is already spent
+export function spendUpstream(kind) {
+  rollOver();
+  const limit = limitFor(kind);
+  const count = used.get(kind) || 0;
+  if (limit !== null && count >= limit) return false;
+  used.set(kind, count + 1);
+  return true;
+}
+
+// `{ day, availability: { used, limit }, llm: { used, limit } }`; limit null = unlimited
+export function describeUpstreamBudget() {
+  rollOver();
+  return {
+    day,
+    ...Object.fromEntries(
+      Object.keys(BUDGET_ENV).map((kind) => [kind, { used: used.get(kind) || 0, limit: limitFor(kind) }])
+    ),
+  };
+}
@@ -0,0 +1,336 @@
+// Types matching the schemas in apiSchema.js; keep both in step.
+
+export interface FieldError {
+  field: string;
+  message: string;
+}
+
+export interface ErrorResponse {
+  error: string;
+  detail?: string;
+  cause?: unknown;
+  fields?: FieldError[];
+}
+
+export type CabinLabel = 'Economy' | 'Premium Economy' | 'Business' | 'First';
+
+export type SortMode = 'points' | 'value' | 'stops' | 'reliability' | 'dates';
+
+export type HotelTier = 'economy' | 'midscale' | 'premium' | 'luxury';
+
+export interface GenerateItineraryRequest {
+  cardDisplayName: string;
+  edgePoints: number;
+  origin: string;
+  alternateOrigins?: string[];
+  nearbyRadiusKm?: number;
+  anyIndianHub?: boolean;
+  destination: string;
+  travelMonth: string;
+  cabin: CabinLabel;
+  cabinOrBetter?: boolean;
+  onlyDirect?: boolean;
+  roundTrip?: boolean;
+  tripDuration?: number;
+  tolerancePercent?: number;
+  tolerancePoints?: number;
+  sortBy?: SortMode;
+  travellers?: number;
+  maxCashInr?: number;
+  programs?: string[];
+  destinationAirports?: string[];
+  maxStops?: number;
+  limit?: number;
+  cursor?: string;
+  includeHotel?: boolean;
+  hotelTier?: HotelTier;
+}
+
+export interface Money {
+  amount: number;
+  currency: string;
+}
+
+export interface CashOutOfPocket {
+  amount: number | null;
+  currency: 'INR';
+  breakdown: Array<Money & { inr: number | null }>;
+  rateTable: string | null;
+}
+
+export interface Transfer {
+  ratio: number;
+  blockSize: number;
+  capGroup: string;
+  annualCap: number;
+  edgePoints: number;
+  milesReceived: number;
+  exceedsAnnualCap: boolean;
+}
+
+export interface Positioning {
+  from: string;
+  fromCity: string;
+  to: string;
+  toCity: string;
+  distanceKm: number;
+}
+
+export interface RedemptionValue {
+  currency?: string;
+  estimatedCashFare: number;
+  taxesAndFees: number;
+  taxesSource?: 'award' | 'estimate';
+  netValue: number;
+  paisePerPoint: number;
+  cashRedemptionPaise: number;
+  rating: 'below_cash' | 'poor' | 'good' | 'great';
+  poorValue: boolean;
+  beatsCash: boolean;
+  fareSource?: string;
+  fareTableVersion?: string;
+}
+
+export interface HotelStay {
+  name: string;
+  brand: string;
+  tier: HotelTier;
+  stars: number;
+  city: string;
+  nights: number;
+  rooms: number;
+  pointsPerNight: number;
+  accorPoints: number;
+  edgePointsRequired: number;
+  transfer: Transfer;
+  estimated: boolean;
+  rateTable: string;
+  bookingLink: string;
+}
+
+export interface Leg {
+  origin: string;
+  airport: string;
+  date: string | null;
+  program: string;
+  cabin: string;
+  mileageCost: number;
+  edgePointsRequired: number;
+  stops: number | null;
+  seats: number | null;
+  taxes: Money | null;
+  carrierSurcharges: boolean;
+  transfer: Transfer;
+}
+
+export interface FlightOption {
+  origin?: string;
+  originName?: string | null;
+  positioning?: Positioning | null;
+  destination: string;
+  destinationName?: string | null;
+  program: string;
+  programLevel?: 'LIVE_RELIABLE' | 'LIMITED_RELIABLE';
+  disclaimer?: string | null;
+  cabin: string;
+  tripType: 'oneway' | 'roundtrip';
+  departureDate?: string | null;
+  returnDate?: string | null;
+  nights?: number;
+  outbound?: Leg;
+  return?: Leg;
+  mileageCost: number;
+  edgePointsRequired: number;
+  flightEdgePointsRequired?: number;
+  hotel?: HotelStay;
+  travellers?: number;
+  perPerson?: {
+    mileageCost: number;
+    edgePointsRequired: number;
+    cashOutOfPocket: number | null;
+  };
+  cashOutOfPocket?: CashOutOfPocket;
+  carrierSurcharges?: boolean;
+  seatsAvailable?: number | null;
+  seatsConfirmed?: boolean;
+  transfer?: Transfer;
+  exceedsTransferCap?: boolean;
+  value?: RedemptionValue | null;
+  stops?: number | null;
+  availableDates?: number;
+  shortfall?: number;
+  status: 'bookable' | 'within_reach';
+  tripSummary?: string[];
+}
+
+export interface CalendarDay {
+  date: string;
+  cheapestMiles: number | null;
+  cheapestEdgePoints: number | null;
+  programs: string[];
+  destinations: string[];
+  withinBudget: boolean;
+}
+
+export interface Freshness {
+  fetchedAt: string;
+  ageSeconds: number;
+  fromCache: boolean;
+  stale?: boolean;
+}
+
+export interface Page {
+  limit: number;
+  totalOptions: number;
+  totalWithinReach: number;
+  nextCursor: string | null;
+}
+
+export interface GenerateItineraryResponse {
+  input: {
+    start_date: string;
+    end_date: string;
+    origin_airport: string;
+    home_airport: string;
+    destination_airport: string;
+    trip_type: 'oneway' | 'roundtrip';
+    cabin: string;
+    card: string;
+    edge_points: number;
+    reach_budget: number;
+    sort_by: string;
+    travellers: number;
+    max_cash_inr: number | null;
+    programs: string[] | null;
+    destination_airports: string[] | null;
+    max_stops: number | null;
+    include_hotel: boolean;
+    hotel_tier: HotelTier | null;
+    [key: string]: unknown;
+  };
+  options: FlightOption[];
+  withinReach: FlightOption[];
+  page?: Page;
+  freshness: Freshness | null;
+  availability?: Record<string, unknown>[];
+  calendar?: CalendarDay[];
+}
+
+export interface ProgramComparisonRequest {
+  cardDisplayName: string;
+  edgePoints?: number;
+  origin: string;
+  destination: string;
+  travelMonth: string;
+  cabin: CabinLabel;
+  travellers?: number;
+}
+
+export interface ComparisonPrice {
+  mileageCost: number;
+  edgePointsRequired: number;
+  date: string | null;
+  origin: string;
+  destination: string;
+  exceedsTransferCap: boolean;
+}
+
+export interface ComparisonRow {
+  source: string;
+  program: string;
+  programLevel: 'LIVE_RELIABLE' | 'LIMITED_RELIABLE';
+  disclaimer: string | null;
+  carrierSurcharges: boolean;
+  transferable: boolean;
+  available: boolean;
+  cheapest: ComparisonPrice | null;
+  cheapestNonstop: ComparisonPrice | null;
+  daysAvailable: number;
+  nonstopDays: number;
+  withinBudget: boolean | null;
+}
+
+export interface ProgramComparisonResponse {
+  input: {
+    start_date: string;
+    end_date: string;
+    origin_airport: string;
+    destination_airport: string;
+    destination_names: string[];
+    cabin: string;
+    card: string;
+    edge_points: number | null;
+    travellers: number;
+  };
+  programs: ComparisonRow[];
+  freshness: Freshness | null;
+}
+
+export type TripInterest =
+  | 'culture'
+  | 'food'
+  | 'nature'
+  | 'shopping'
+  | 'nightlife'
+  | 'adventure'
+  | 'family'
+  | 'relaxation';
+
+export type TripPace = 'relaxed' | 'balanced' | 'packed';
+
+export interface TripPlanRequest {
+  destination: string;
+  arrivalDate: string;
+  departureDate: string;
+  interests?: TripInterest[];
+  pace?: TripPace;
+  travellers?: number;
+}
+
+export interface TripPlanDay {
+  day: number;
+  date: string;
+  kind?: 'arrival' | 'full' | 'departure';
+  title: string;
+  morning: string;
+  afternoon: string;
+  evening: string;
+  tips?: string[];
+}
+
+export interface TripPlan {
+  destination: string;
+  arrivalDate: string;
+  departureDate: string;
+  interests: TripInterest[];
+  pace: TripPace;
+  travellers: number;
+  days: TripPlanDay[];
+  source: 'llm' | 'template';
+  promptVersion?: string | null;
+  generatedAt: string;
+}
+
+export interface TripPlanDayRequest extends TripPlanRequest {
+  day: number;
+  plan?: TripPlan;
+}
+
+type Schema = Record<string, unknown>;
+
+export const FIELD_ERROR: Schema;
+export const ERROR_RESPONSE: Schema;
+export const GENERATE_ITINERARY_REQUEST: Schema;
+export const FLIGHT_OPTION: Schema;
+export const GENERATE_ITINERARY_RESPONSE: Schema;
+export const PROGRAM_COMPARISON_REQUEST: Schema;
+export const POINTS_REQUIRED_REQUEST: Schema;
+export const PROGRAM_COMPARISON_RESPONSE: Schema;
+export const TRIP_PLAN_REQUEST: Schema;
+export const TRIP_PLAN_DAY: Schema;
+export const TRIP_PLAN: Schema;
+export const TRIP_PLAN_DAY_REQUEST: Schema;
+export const SHARED_ITINERARY: Schema;
+export const SHARE_REQUEST: Schema;
+
+export function validateAgainst(schema: Schema, value: unknown): FieldError[];
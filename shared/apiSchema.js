@@ -0,0 +1,599 @@
+// Request / response schema for the generate-itinerary API, shared by the
+// Express server, the Vercel `api/` handlers and the React client. Schemas are
+// plain JSON Schema objects: validateAgainst() checks requests at runtime and
+// server/openapi.js publishes them as the OpenAPI document. Types for the
+// client live next to this file in apiSchema.d.ts.
+
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+
+export const FIELD_ERROR = {
+  type: 'object',
+  required: ['field', 'message'],
+  properties: {
+    field: { type: 'string', description: 'Request field, e.g. "edgePoints" or "alternateOrigins[1]"' },
+    message: { type: 'string' },
+  },
+};
+
+export const ERROR_RESPONSE = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: { type: 'string', description: 'Short error message' },
+    detail: { type: 'string', description: 'Human-readable explanation' },
+    cause: { description: 'Upstream failure details, when an upstream service failed' },
+    fields: { type: 'array', items: FIELD_ERROR, description: 'Per-field validation errors (400 only)' },
+  },
+};
+
+export const GENERATE_ITINERARY_REQUEST = {
+  type: 'object',
+  required: ['cardDisplayName', 'edgePoints', 'origin', 'destination', 'travelMonth', 'cabin'],
+  properties: {
+    cardDisplayName: { type: 'string', minLength: 1, description: 'Card id, name or alias from GET /api/catalog' },
+    edgePoints: { type: 'number', minimum: 0, description: 'EDGE reward points available' },
+    origin: { type: 'string', minLength: 1, description: 'Home airport: Indian IATA code or city' },
+    alternateOrigins: { type: 'array', maxItems: 8, items: { type: 'string', minLength: 1 } },
+    nearbyRadiusKm: { type: 'number', minimum: 0, maximum: 1500 },
+    anyIndianHub: { type: 'boolean' },
+    destination: { type: 'string', minLength: 1, description: 'Airport, city, country or region' },
+    travelMonth: { type: 'string', minLength: 1, description: 'Any date in the travel month, e.g. 2026-12-01' },
+    cabin: { type: 'string', enum: ['Economy', 'Premium Economy', 'Business', 'First'] },
+    cabinOrBetter: { type: 'boolean' },
+    onlyDirect: { type: 'boolean' },
+    roundTrip: { type: 'boolean' },
+    tripDuration: { type: 'integer', minimum: 1, maximum: 30, description: 'Days; required when roundTrip is true' },
+    tolerancePercent: { type: 'number', minimum: 0, maximum: 100 },
+    tolerancePoints: { type: 'number', minimum: 0 },
+    sortBy: {
+      type: 'string',
+      enum: ['points', 'value', 'stops', 'reliability', 'dates'],
+      default: 'points',
+      description: 'Fewest EDGE points, best paise per point, fewest stops, live-inventory programs first, or most available dates',
+    },
+    travellers: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 9,
+      default: 1,
+      description: 'Passengers; every leg needs that many award seats and costs are for the whole party',
+    },
+    maxCashInr: {
+      type: 'number',
+      minimum: 0,
+      description: 'Drop options whose taxes, fees and surcharges (whole party, INR) exceed this',
+    },
+    programs: {
+      type: 'array',
+      maxItems: 20,
+      items: { type: 'string', minLength: 1 },
+      description: 'Only these program sources (`programs[].source` in GET /api/catalog)',
+    },
+    destinationAirports: {
+      type: 'array',
+      maxItems: 20,
+      items: { type: 'string', pattern: '^[A-Za-z]{3}$' },
+      description: 'Only these destination airports (IATA codes) out of the resolved destination',
+    },
+    maxStops: { type: 'integer', minimum: 0, maximum: 3, description: 'Drop options with more stops, or with unknown stops' },
+    limit: { type: 'integer', minimum: 1, maximum: 50, default: 10, description: 'Options per page, for each list' },
+    cursor: { type: 'string', minLength: 1, description: 'page.nextCursor from the previous response, sent with the same search' },
+    includeHotel: {
+      type: 'boolean',
+      description: 'Add Accor nights for tripDuration (or the round trip\'s nights) and budget flight + hotel together',
+    },
+    hotelTier: { type: 'string', enum: ['economy', 'midscale', 'premium', 'luxury'], default: 'midscale' },
+  },
+};
+
+const TRANSFER = {
+  type: 'object',
+  properties: {
+    ratio: { type: 'number' },
+    blockSize: { type: 'integer' },
+    capGroup: { type: 'string' },
+    annualCap: { type: 'integer' },
+    edgePoints: { type: 'integer' },
+    milesReceived: { type: 'integer' },
+    exceedsAnnualCap: { type: 'boolean' },
+  },
+};
+
+const POSITIONING = {
+  type: 'object',
+  properties: {
+    from: { type: 'string' },
+    fromCity: { type: 'string' },
+    to: { type: 'string' },
+    toCity: { type: 'string' },
+    distanceKm: { type: 'integer' },
+  },
+};
+
+const REDEMPTION_VALUE = {
+  type: 'object',
+  properties: {
+    currency: { type: 'string' },
+    estimatedCashFare: { type: 'number' },
+    taxesAndFees: { type: 'number' },
+    taxesSource: { type: 'string', enum: ['award', 'estimate'] },
+    netValue: { type: 'number' },
+    paisePerPoint: { type: 'number' },
+    cashRedemptionPaise: { type: 'number' },
+    rating: { type: 'string', enum: ['below_cash', 'poor', 'good', 'great'] },
+    poorValue: { type: 'boolean' },
+    beatsCash: { type: 'boolean' },
+    fareSource: { type: 'string' },
+    fareTableVersion: { type: 'string' },
+  },
+};
+
+const MONEY = {
+  type: 'object',
+  properties: {
+    amount: { type: 'number' },
+    currency: { type: 'string', description: 'ISO 4217 code' },
+  },
+};
+
+const CASH_OUT_OF_POCKET = {
+  type: 'object',
+  properties: {
+    amount: nullable({ type: 'integer', description: 'INR for the whole party; null when a leg has no reported taxes' }),
+    currency: { type: 'string', enum: ['INR'] },
+    breakdown: {
+      type: 'array',
+      items: { ...MONEY, properties: { ...MONEY.properties, inr: nullable({ type: 'integer' }) } },
+    },
+    rateTable: nullable({ type: 'string', description: 'Version of the exchange-rate table used' }),
+  },
+};
+
+const HOTEL_STAY = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    brand: { type: 'string' },
+    tier: { type: 'string' },
+    stars: { type: 'integer' },
+    city: { type: 'string' },
+    nights: { type: 'integer' },
+    rooms: { type: 'integer', description: 'One room per two travellers' },
+    pointsPerNight: { type: 'integer', description: 'Accor ALL points per room per night' },
+    accorPoints: { type: 'integer', description: 'Accor ALL points for the whole stay' },
+    edgePointsRequired: { type: 'integer' },
+    transfer: TRANSFER,
+    estimated: { type: 'boolean', description: 'No listed property in the city; priced at the tier\'s typical rate' },
+    rateTable: { type: 'string' },
+    bookingLink: { type: 'string' },
+  },
+};
+
+const LEG = {
+  type: 'object',
+  properties: {
+    origin: { type: 'string' },
+    airport: { type: 'string' },
+    date: nullable({ type: 'string' }),
+    program: { type: 'string' },
+    cabin: { type: 'string' },
+    mileageCost: { type: 'integer' },
+    edgePointsRequired: { type: 'integer' },
+    stops: nullable({ type: 'integer' }),
+    seats: nullable({ type: 'integer' }),
+    taxes: nullable(MONEY),
+    carrierSurcharges: { type: 'boolean' },
+    transfer: TRANSFER,
+  },
+};
+
+export const FLIGHT_OPTION = {
+  type: 'object',
+  required: ['destination', 'program', 'cabin', 'tripType', 'mileageCost', 'edgePointsRequired', 'status'],
+  properties: {
+    origin: { type: 'string' },
+    originName: nullable({ type: 'string' }),
+    positioning: nullable(POSITIONING),
+    destination: { type: 'string' },
+    destinationName: nullable({ type: 'string' }),
+    program: { type: 'string' },
+    programLevel: { type: 'string', enum: ['LIVE_RELIABLE', 'LIMITED_RELIABLE'] },
+    disclaimer: nullable({ type: 'string' }),
+    cabin: { type: 'string' },
+    tripType: { type: 'string', enum: ['oneway', 'roundtrip'] },
+    departureDate: nullable({ type: 'string' }),
+    returnDate: nullable({ type: 'string' }),
+    nights: { type: 'integer' },
+    outbound: LEG,
+    return: LEG,
+    mileageCost: { type: 'integer', description: 'Miles for the whole party' },
+    edgePointsRequired: { type: 'integer', description: 'EDGE points for the whole party (flight + hotel when includeHotel)' },
+    flightEdgePointsRequired: { type: 'integer', description: 'The flight\'s share of edgePointsRequired (includeHotel only)' },
+    hotel: HOTEL_STAY,
+    travellers: { type: 'integer' },
+    perPerson: {
+      type: 'object',
+      properties: {
+        mileageCost: { type: 'number' },
+        edgePointsRequired: { type: 'integer' },
+        cashOutOfPocket: nullable({ type: 'integer' }),
+      },
+    },
+    cashOutOfPocket: CASH_OUT_OF_POCKET,
+    carrierSurcharges: { type: 'boolean', description: 'The program adds carrier surcharges to award tickets' },
+    seatsAvailable: nullable({ type: 'integer', description: 'Fewest seats left on any leg, when the program reports it' }),
+    seatsConfirmed: { type: 'boolean', description: 'False when a leg has no published seat count' },
+    transfer: TRANSFER,
+    exceedsTransferCap: { type: 'boolean' },
+    value: nullable(REDEMPTION_VALUE),
+    stops: nullable({ type: 'integer' }),
+    availableDates: { type: 'integer', description: 'Departure dates with space for the same program, route and cabin' },
+    shortfall: { type: 'integer', description: 'EDGE points missing from the balance; 0 when bookable' },
+    status: { type: 'string', enum: ['bookable', 'within_reach'] },
+    tripSummary: { type: 'array', items: { type: 'string' } },
+  },
+};
+
+const CALENDAR_DAY = {
+  type: 'object',
+  properties: {
+    date: { type: 'string' },
+    cheapestMiles: nullable({ type: 'integer' }),
+    cheapestEdgePoints: nullable({ type: 'integer' }),
+    programs: { type: 'array', items: { type: 'string' } },
+    destinations: { type: 'array', items: { type: 'string' } },
+    withinBudget: { type: 'boolean' },
+  },
+};
+
+const FRESHNESS = {
+  type: 'object',
+  properties: {
+    fetchedAt: { type: 'string', format: 'date-time' },
+    ageSeconds: { type: 'integer' },
+    fromCache: { type: 'boolean' },
+    stale: { type: 'boolean', description: 'Served past its TTL because the daily search budget is spent' },
+  },
+};
+
+const PAGE = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer' },
+    totalOptions: { type: 'integer', description: 'Bookable options across all pages, after dedupe' },
+    totalWithinReach: { type: 'integer' },
+    nextCursor: nullable({ type: 'string', description: 'Send as `cursor` for the next page; null on the last page' }),
+  },
+};
+
+export const GENERATE_ITINERARY_RESPONSE = {
+  type: 'object',
+  required: ['input', 'options', 'withinReach'],
+  properties: {
+    input: {
+      type: 'object',
+      description: 'The search as the server understood it',
+      properties: {
+        start_date: { type: 'string' },
+        end_date: { type: 'string' },
+        origin_airport: { type: 'string' },
+        home_airport: { type: 'string' },
+        destination_airport: { type: 'string' },
+        trip_type: { type: 'string', enum: ['oneway', 'roundtrip'] },
+        cabin: { type: 'string' },
+        card: { type: 'string' },
+        edge_points: { type: 'number' },
+        reach_budget: { type: 'number' },
+        sort_by: { type: 'string' },
+        travellers: { type: 'integer' },
+        max_cash_inr: nullable({ type: 'number' }),
+        programs: nullable({ type: 'array', items: { type: 'string' } }),
+        destination_airports: nullable({ type: 'array', items: { type: 'string' } }),
+        max_stops: nullable({ type: 'integer' }),
+        include_hotel: { type: 'boolean' },
+        hotel_tier: nullable({ type: 'string' }),
+      },
+    },
+    options: { type: 'array', items: FLIGHT_OPTION, description: 'Bookable with the current balance' },
+    withinReach: { type: 'array', items: FLIGHT_OPTION, description: 'Short of the balance, inside the tolerance' },
+    page: PAGE,
+    freshness: nullable(FRESHNESS),
+    availability: { type: 'array', items: { type: 'object' }, description: 'Per-date availability before budget filtering' },
+    calendar: { type: 'array', items: CALENDAR_DAY },
+  },
+};
+
+// One route, every program side by side. Search fields mean the same as in
+// GENERATE_ITINERARY_REQUEST; `edgePoints` is optional here. A city or region
+// destination is compared across all of its airports.
+const pick = (properties, names) => Object.fromEntries(names.map((name) => [name, properties[name]]));
+
+export const PROGRAM_COMPARISON_REQUEST = {
+  type: 'object',
+  required: ['cardDisplayName', 'origin', 'destination', 'travelMonth', 'cabin'],
+  properties: {
+    ...pick(GENERATE_ITINERARY_REQUEST.properties, [
+      'cardDisplayName',
+      'edgePoints',
+      'origin',
+      'destination',
+      'travelMonth',
+      'cabin',
+      'travellers',
+    ]),
+  },
+};
+
+// Flow B (POST /api/points-required): what a trip costs, with no budget filter.
+// Search fields mean the same as in GENERATE_ITINERARY_REQUEST; `edgePoints` is
+// an optional balance to measure the gap against.
+export const POINTS_REQUIRED_REQUEST = {
+  type: 'object',
+  required: ['cardDisplayName', 'origin', 'destination', 'travelMonth', 'cabin'],
+  properties: {
+    ...pick(GENERATE_ITINERARY_REQUEST.properties, [
+      'cardDisplayName',
+      'edgePoints',
+      'origin',
+      'alternateOrigins',
+      'nearbyRadiusKm',
+      'anyIndianHub',
+      'destination',
+      'travelMonth',
+      'cabin',
+      'onlyDirect',
+      'roundTrip',
+      'tripDuration',
+      'includeHotel',
+      'hotelTier',
+    ]),
+  },
+};
+
+const COMPARISON_PRICE = {
+  type: 'object',
+  properties: {
+    mileageCost: { type: 'integer', description: 'Miles for the whole party' },
+    edgePointsRequired: { type: 'integer' },
+    date: { type: 'string' },
+    origin: { type: 'string' },
+    destination: { type: 'string' },
+    exceedsTransferCap: { type: 'boolean' },
+  },
+};
+
+const COMPARISON_ROW = {
+  type: 'object',
+  required: ['source', 'program', 'programLevel', 'transferable', 'available'],
+  properties: {
+    source: { type: 'string', description: 'Program source id from GET /api/catalog' },
+    program: { type: 'string' },
+    programLevel: { type: 'string', enum: ['LIVE_RELIABLE', 'LIMITED_RELIABLE'] },
+    disclaimer: nullable({ type: 'string' }),
+    carrierSurcharges: { type: 'boolean' },
+    transferable: { type: 'boolean', description: 'The card can transfer EDGE points to this program' },
+    available: { type: 'boolean', description: 'Award space found in the month' },
+    cheapest: nullable(COMPARISON_PRICE),
+    cheapestNonstop: nullable(COMPARISON_PRICE),
+    daysAvailable: { type: 'integer', description: 'Dates in the month with space in the cabin' },
+    nonstopDays: { type: 'integer', description: 'Dates with non-stop space' },
+    withinBudget: nullable({ type: 'boolean', description: 'Cheapest price fits edgePoints; null without a balance' }),
+  },
+};
+
+export const PROGRAM_COMPARISON_RESPONSE = {
+  type: 'object',
+  required: ['input', 'programs'],
+  properties: {
+    input: { type: 'object', description: 'The search as the server understood it' },
+    programs: { type: 'array', items: COMPARISON_ROW, description: 'One row per catalog program, cheapest first' },
+    freshness: nullable(FRESHNESS),
+  },
+};
+
+// Day-by-day plan for one chosen option (POST /api/trip-plan). The LLM's output
+// is checked against TRIP_PLAN_DAY before it is returned or cached.
+export const TRIP_PLAN_REQUEST = {
+  type: 'object',
+  required: ['destination', 'arrivalDate', 'departureDate'],
+  properties: {
+    destination: { type: 'string', minLength: 1, description: 'City (or airport) the trip is to' },
+    arrivalDate: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'Day the outbound flight lands' },
+    departureDate: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'Day the return flight leaves' },
+    interests: {
+      type: 'array',
+      maxItems: 6,
+      items: {
+        type: 'string',
+        enum: ['culture', 'food', 'nature', 'shopping', 'nightlife', 'adventure', 'family', 'relaxation'],
+      },
+    },
+    pace: { type: 'string', enum: ['relaxed', 'balanced', 'packed'], default: 'balanced' },
+    travellers: { type: 'integer', minimum: 1, maximum: 9, default: 1 },
+  },
+};
+
+export const TRIP_PLAN_DAY = {
+  type: 'object',
+  required: ['day', 'date', 'title', 'morning', 'afternoon', 'evening'],
+  properties: {
+    day: { type: 'integer', minimum: 1 },
+    date: { type: 'string' },
+    kind: { type: 'string', enum: ['arrival', 'full', 'departure'] },
+    title: { type: 'string', minLength: 1 },
+    morning: { type: 'string', minLength: 1 },
+    afternoon: { type: 'string', minLength: 1 },
+    evening: { type: 'string', minLength: 1 },
+    tips: { type: 'array', maxItems: 3, items: { type: 'string' } },
+  },
+};
+
+export const TRIP_PLAN = {
+  type: 'object',
+  required: ['destination', 'arrivalDate', 'departureDate', 'days'],
+  properties: {
+    destination: { type: 'string' },
+    arrivalDate: { type: 'string' },
+    departureDate: { type: 'string' },
+    interests: { type: 'array', items: { type: 'string' } },
+    pace: { type: 'string' },
+    days: { type: 'array', items: TRIP_PLAN_DAY },
+    source: { type: 'string', enum: ['llm', 'template'], description: '`template` when no LLM answer passed validation' },
+    promptVersion: nullable({ type: 'string', description: 'Prompt template of the LLM days, e.g. trip-plan-days@1' }),
+    generatedAt: { type: 'string', format: 'date-time' },
+  },
+};
+
+export const TRIP_PLAN_DAY_REQUEST = {
+  type: 'object',
+  required: [...TRIP_PLAN_REQUEST.required, 'day'],
+  properties: {
+    ...TRIP_PLAN_REQUEST.properties,
+    day: { type: 'integer', minimum: 1, description: 'Day number to regenerate' },
+    plan: { ...TRIP_PLAN, description: 'The plan being edited; the other days are kept as they are' },
+  },
+};
+
+// Results permalinks (POST /api/shares). A share holds the search and the
+// results as the web app showed them (its itinerary cards, not FLIGHT_OPTION),
+// and is served back to anyone with the link, so every field the card reads is
+// checked and booking links must be plain http(s) URLs.
+const BOOKING_LINK = { type: 'string', pattern: '^https?://[^\\s]+$', description: 'http(s) URL' };
+
+export const SHARED_ITINERARY = {
+  type: 'object',
+  required: ['id', 'duration', 'totalPoints', 'highlights', 'briefItinerary'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    destination: nullable({ type: 'string' }),
+    destinationName: nullable({ type: 'string' }),
+    destinationAirport: { type: 'string' },
+    duration: { type: 'integer', minimum: 0 },
+    hotelStarRating: nullable({ type: 'integer' }),
+    stops: nullable({ type: 'integer' }),
+    exceedsTransferCap: { type: 'boolean' },
+    travellers: { type: 'integer', minimum: 1 },
+    perPersonEdgePoints: { type: 'number' },
+    seatsAvailable: nullable({ type: 'integer' }),
+    seatsConfirmed: { type: 'boolean' },
+    availableDates: { type: 'integer' },
+    cashOutOfPocket: nullable({ type: 'number' }),
+    carrierSurcharges: { type: 'boolean' },
+    shortfall: { type: 'number' },
+    origin: { type: 'string' },
+    originName: nullable({ type: 'string' }),
+    value: nullable({
+      ...REDEMPTION_VALUE,
+      required: ['estimatedCashFare', 'taxesAndFees', 'netValue', 'paisePerPoint', 'cashRedemptionPaise', 'beatsCash'],
+    }),
+    positioning: nullable({ ...POSITIONING, required: ['from', 'fromCity', 'to', 'toCity', 'distanceKm'] }),
+    tripSummary: { type: 'array', items: { type: 'string' } },
+    flight: {
+      type: 'object',
+      required: ['airline', 'pointsCost', 'bookingLink'],
+      properties: {
+        airline: { type: 'string' },
+        cabin: { type: 'string' },
+        departure: { type: 'string' },
+        return: { type: 'string' },
+        pointsCost: { type: 'number' },
+        edgePoints: { type: 'number' },
+        roundTrip: { type: 'boolean' },
+        outboundProgram: { type: 'string' },
+        returnProgram: { type: 'string' },
+        bookingLink: BOOKING_LINK,
+      },
+    },
+    hotel: nullable({
+      type: 'object',
+      required: ['name', 'brand', 'pointsPerNight', 'totalPoints', 'edgePoints', 'nights', 'rooms', 'bookingLink'],
+      properties: {
+        name: { type: 'string' },
+        brand: { type: 'string' },
+        pointsPerNight: { type: 'number' },
+        totalPoints: { type: 'number' },
+        edgePoints: { type: 'number' },
+        nights: { type: 'integer' },
+        rooms: { type: 'integer' },
+        estimated: { type: 'boolean' },
+        bookingLink: BOOKING_LINK,
+      },
+    }),
+    tripEdgePoints: { type: 'number' },
+    totalPoints: { type: 'number' },
+    highlights: { type: 'array', items: { type: 'string' } },
+    briefItinerary: { type: 'array', items: { type: 'string' } },
+  },
+};
+
+export const SHARE_REQUEST = {
+  type: 'object',
+  required: ['search', 'itineraries'],
+  properties: {
+    search: { ...GENERATE_ITINERARY_REQUEST, description: 'The search that produced the results' },
+    itineraries: { type: 'array', maxItems: 50, items: SHARED_ITINERARY },
+    withinReach: { type: 'array', maxItems: 50, items: SHARED_ITINERARY },
+    freshness: nullable(FRESHNESS),
+  },
+};
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === 'string',
+  number: (v) => typeof v === 'number' && Number.isFinite(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v === 'boolean',
+  array: (v) => Array.isArray(v),
+  object: (v) => v !== null && typeof v === 'object' && !Array.isArray(v),
+  null: (v) => v === null,
+};
+
+const typeName = (type) => (type === 'integer' ? 'a whole number' : type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`);
+
+function checkValue(schema, value, field, errors) {
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+  if (types.length > 0 && !types.some((t) => TYPE_CHECKS[t](value))) {
+    errors.push({ field, message: `must be ${types.map(typeName).join(' or ')}` });
+    return;
+  }
+  if (value === null) return;
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ field, message: `must be at least ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ field, message: `must be at most ${schema.maximum}` });
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push({ field, message: 'must not be empty' });
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push({ field, message: 'has an invalid format' });
+  }
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) value.forEach((item, i) => checkValue(schema.items, item, `${field}[${i}]`, errors));
+  }
+  if (TYPE_CHECKS.object(value) && schema.properties) {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined || value[name] === null || value[name] === '') {
+        errors.push({ field: field ? `${field}.${name}` : name, message: 'is required' });
+      }
+    }
+    for (const [name, propSchema] of Object.entries(schema.properties)) {
+      const propValue = value[name];
+      if (propValue === undefined || ((schema.required || []).includes(name) && (propValue === null || propValue === ''))) continue;
+      checkValue(propSchema, propValue, field ? `${field}.${name}` : name, errors);
+    }
+  }
+}
+
+// Validation errors for `value` against a schema above, as `[{ field, message }]`
+// (empty when valid). Unknown properties are allowed.
+export function validateAgainst(schema, value) {
+  const errors = [];
+  if (!TYPE_CHECKS.object(value) && schema.type === 'object') {
+    return [{ field: '', message: 'Request body must be a JSON object' }];
+  }
+  checkValue(schema, value, '', errors);
+  return errors;
+}
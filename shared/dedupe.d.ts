@@ -0,0 +1,11 @@
+interface DedupeFields {
+  program: string;
+  origin?: string;
+  destination?: string | null;
+  cabin?: string;
+  tripType?: string;
+  stops?: number | null;
+}
+
+export function optionKey(option: DedupeFields): string;
+export function dedupeOptions<T extends DedupeFields>(options: T[]): T[];
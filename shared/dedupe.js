@@ -0,0 +1,26 @@
+// Dedupe rule for flight options, shared by the server (before paginating) and
+// the React client (when merging pages). One option is kept per program, route,
+// cabin and trip type, with non-stop space kept apart from the rest so the
+// best non-stop survives next to a cheaper connection. Dates collapse: the
+// option carries `availableDates` instead.
+
+export function optionKey(option) {
+  return [
+    option.program,
+    option.origin || '',
+    option.destination || '',
+    option.cabin,
+    option.tripType,
+    option.stops === 0 ? 'nonstop' : 'any',
+  ].join('|');
+}
+
+// First option per key; `options` must already be in rank order
+export function dedupeOptions(options) {
+  const seen = new Map();
+  for (const option of options) {
+    const key = optionKey(option);
+    if (!seen.has(key)) seen.set(key, option);
+  }
+  return Array.from(seen.values());
+}
@@ -7,6 +7,7 @@ import {
 } from "./components/ui/tabs";
 import { ItineraryGenerator } from "./components/ItineraryGenerator";
 import { PointsCalculator } from "./components/PointsCalculator";
+import { SharedResults } from "./components/SharedResults";
 import { Plane, Info } from "lucide-react";
 import {
   Alert,
@@ -16,6 +17,14 @@ import {
 
 export default function App() {
   const [activeTab, setActiveTab] = useState("generate");
+  const [shareId, setShareId] = useState(
+    () => new URLSearchParams(window.location.search).get("share"),
+  );
+
+  const exitSharedView = () => {
+    window.history.replaceState(null, "", window.location.pathname);
+    setShareId(null);
+  };
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
@@ -48,28 +57,32 @@ export default function App() {
         </Alert>
 
         {/* Main Content */}
-        <Tabs
-          value={activeTab}
-          onValueChange={setActiveTab}
-          className="space-y-6"
-        >
-          <TabsList className="grid w-full grid-cols-2 max-w-md mx-auto">
-            <TabsTrigger value="generate">
-              Generate Itineraries
-            </TabsTrigger>
-            <TabsTrigger value="calculate">
-              Calculate Points
-            </TabsTrigger>
-          </TabsList>
+        {shareId ? (
+          <SharedResults shareId={shareId} onExit={exitSharedView} />
+        ) : (
+          <Tabs
+            value={activeTab}
+            onValueChange={setActiveTab}
+            className="space-y-6"
+          >
+            <TabsList className="grid w-full grid-cols-2 max-w-md mx-auto">
+              <TabsTrigger value="generate">
+                Generate Itineraries
+              </TabsTrigger>
+              <TabsTrigger value="calculate">
+                Calculate Points
+              </TabsTrigger>
+            </TabsList>
 
-          <TabsContent value="generate" className="space-y-4" forceMount>
-            <ItineraryGenerator />
-          </TabsContent>
+            <TabsContent value="generate" className="space-y-4" forceMount>
+              <ItineraryGenerator />
+            </TabsContent>
 
-          <TabsContent value="calculate" className="space-y-4" forceMount>
-            <PointsCalculator />
-          </TabsContent>
-        </Tabs>
+            <TabsContent value="calculate" className="space-y-4" forceMount>
+              <PointsCalculator />
+            </TabsContent>
+          </Tabs>
+        )}
 
         {/* Footer */}
         <div className="mt-12 text-center text-sm text-muted-foreground">
@@ -0,0 +1,114 @@
+import { Calendar } from 'lucide-react';
+import { cn } from './ui/utils';
+
+export interface CalendarDay {
+  date: string;
+  cheapestMiles: number | null;
+  cheapestEdgePoints: number | null;
+  programs: string[];
+  destinations: string[];
+  withinBudget: boolean;
+}
+
+interface AvailabilityCalendarProps {
+  days: CalendarDay[];
+  cabin?: string;
+  title?: string;
+}
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const formatPoints = (points: number) =>
+  points >= 1000 ? `${(points / 1000).toFixed(points % 1000 === 0 ? 0 : 1)}k` : String(points);
+
+// Cheapest third of the month's prices = darkest green, priciest third = lightest
+const heatClass = (points: number, min: number, max: number, withinBudget: boolean) => {
+  if (!withinBudget) return 'bg-amber-50 text-amber-900 border-amber-200';
+  const ratio = max === min ? 0 : (points - min) / (max - min);
+  if (ratio < 0.34) return 'bg-green-200 text-green-900 border-green-300';
+  if (ratio < 0.67) return 'bg-green-100 text-green-900 border-green-200';
+  return 'bg-green-50 text-green-900 border-green-100';
+};
+
+export function AvailabilityCalendar({ days, cabin, title }: AvailabilityCalendarProps) {
+  if (days.length === 0) return null;
+
+  const priced = days.filter((d) => typeof d.cheapestEdgePoints === 'number');
+  const prices = priced.map((d) => d.cheapestEdgePoints as number);
+  const min = prices.length > 0 ? Math.min(...prices) : 0;
+  const max = prices.length > 0 ? Math.max(...prices) : 0;
+
+  // Monday-first offset for the first day of the month
+  const firstWeekday = (new Date(`${days[0].date}T00:00:00Z`).getUTCDay() + 6) % 7;
+  const monthLabel = new Date(`${days[0].date}T00:00:00Z`).toLocaleDateString('en-US', {
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+
+  return (
+    <div className="space-y-3 p-4 border rounded-lg">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2 font-medium">
+          <Calendar className="w-4 h-4" />
+          {title || 'Availability calendar'} — {monthLabel}
+          {cabin ? ` (${cabin})` : ''}
+        </div>
+        <div className="text-xs text-muted-foreground">
+          {priced.length} of {days.length} days with award space
+        </div>
+      </div>
+
+      <div className="grid grid-cols-7 gap-1 text-center text-xs">
+        {WEEKDAYS.map((day) => (
+          <div key={day} className="text-muted-foreground py-1">
+            {day}
+          </div>
+        ))}
+        {Array.from({ length: firstWeekday }).map((_, idx) => (
+          <div key={`pad-${idx}`} />
+        ))}
+        {days.map((day) => {
+          const dayOfMonth = Number(day.date.slice(8, 10));
+          const hasSpace = typeof day.cheapestEdgePoints === 'number';
+          const detail = hasSpace
+            ? `${day.date}: ${day.cheapestEdgePoints?.toLocaleString()} EDGE pts (${day.cheapestMiles?.toLocaleString()} miles) via ${day.programs.join(', ')}${day.destinations.length > 0 ? ` to ${day.destinations.join(', ')}` : ''}${day.withinBudget ? '' : ' — over budget'}`
+            : `${day.date}: no award space`;
+          return (
+            <div
+              key={day.date}
+              title={detail}
+              className={cn(
+                'min-h-14 rounded-md border p-1 flex flex-col items-center justify-between',
+                hasSpace
+                  ? heatClass(day.cheapestEdgePoints as number, min, max, day.withinBudget)
+                  : 'bg-muted/40 text-muted-foreground border-transparent'
+              )}
+            >
+              <span className="self-start text-[10px]">{dayOfMonth}</span>
+              {hasSpace && (
+                <>
+                  <span className="font-semibold">{formatPoints(day.cheapestEdgePoints as number)}</span>
+                  <span className="text-[10px] truncate w-full">{day.programs.join(', ')}</span>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap gap-3 text-xs text-muted-foreground">
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded-sm bg-green-200 border border-green-300" /> Cheapest
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded-sm bg-green-50 border border-green-100" /> Pricier
+        </span>
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded-sm bg-amber-50 border border-amber-200" /> Over your budget
+        </span>
+        <span>Prices are the cheapest EDGE points for that day.</span>
+      </div>
+    </div>
+  );
+}
@@ -6,6 +6,8 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '.
 import { Button } from './ui/button';
 import { Progress } from './ui/progress';
 import { CreditCard, Calendar, Plane, MapPin, Hotel, ChevronRight, ChevronLeft } from 'lucide-react';
+import { findCatalogCard, useCatalog } from '../lib/catalog';
+import { originLabel } from '../lib/origins';
 
 export interface InputFormData {
   axisCard: string;
@@ -22,37 +24,8 @@ interface InputWizardProps {
   initialData?: Partial<InputFormData>;
 }
 
-const AXIS_BANK_CARDS = [
-  { id: 'burgundy-private', name: 'Burgundy Private Credit Card' },
-  { id: 'magnus-burgundy', name: 'Magnus for Burgundy Credit Card' },
-  { id: 'magnus-standard', name: 'Magnus Credit Card (Standard)' },
-  { id: 'reserve', name: 'Reserve Credit Card' },
-  { id: 'select', name: 'Select Credit Card' },
-  { id: 'privilege', name: 'Privilege Credit Card' },
-  { id: 'privilege-easy', name: 'Privilege Easy Credit Card' },
-  { id: 'rewards', name: 'Axis Bank Rewards Credit Card' },
-  { id: 'indianoil-regular', name: 'Axis Bank IndianOil Credit Card (regular)' },
-  { id: 'indianoil-easy', name: 'IndianOil Easy Credit Card' },
-  { id: 'myzone', name: 'Axis Bank My Zone Credit Card' },
-  { id: 'myzone-easy', name: 'Axis Bank My Zone Easy Credit Card' },
-  { id: 'signature', name: 'Axis Bank Signature Credit Card' },
-  { id: 'titanium-smart-traveller', name: 'Axis Bank Titanium Smart Traveller Credit Card' },
-  { id: 'pride-platinum', name: 'Axis Bank Pride Platinum Credit Card' },
-  { id: 'pride-signature', name: 'Axis Bank Pride Signature Credit Card' },
-];
-
-const ORIGIN_CITIES = [
-  'Delhi',
-  'Mumbai',
-  'Bengaluru',
-  'Hyderabad',
-  'Chennai',
-];
-
 const HOTEL_BRANDS = ['Accor'];
 
-const CABIN_TYPES = ['Economy', 'Business'];
-
 const generateTravelMonths = (): Array<{ label: string; value: string }> => {
   const months: Array<{ label: string; value: string }> = [];
   const now = new Date();
@@ -77,6 +50,8 @@ const STEPS = [
 
 export function InputWizard({ onComplete, initialData }: InputWizardProps) {
   const [currentStep, setCurrentStep] = useState(1);
+  const { catalog, error: catalogError } = useCatalog();
+  const originAirports = catalog.origins;
   const [formData, setFormData] = useState<InputFormData>({
     axisCard: initialData?.axisCard || '',
     availablePoints: initialData?.availablePoints || '',
@@ -119,6 +94,7 @@ export function InputWizard({ onComplete, initialData }: InputWizardProps) {
   };
 
   const progress = (currentStep / STEPS.length) * 100;
+  const selectedOrigin = originAirports.find((a) => a.iata === formData.originCity);
 
   return (
     <Card className="w-full max-w-4xl mx-auto">
@@ -189,13 +165,14 @@ export function InputWizard({ onComplete, initialData }: InputWizardProps) {
                     <SelectValue placeholder="Choose your credit card" />
                   </SelectTrigger>
                   <SelectContent>
-                    {AXIS_BANK_CARDS.map((card) => (
+                    {catalog.cards.map((card) => (
                       <SelectItem key={card.id} value={card.id}>
                         {card.name}
                       </SelectItem>
                     ))}
                   </SelectContent>
                 </Select>
+                {catalogError && <p className="text-xs text-destructive">{catalogError} — card list unavailable.</p>}
               </div>
 
               <div className="space-y-2">
@@ -252,7 +229,7 @@ export function InputWizard({ onComplete, initialData }: InputWizardProps) {
                     <SelectValue placeholder="Select cabin type" />
                   </SelectTrigger>
                   <SelectContent>
-                    {CABIN_TYPES.map((type) => (
+                    {catalog.cabins.map(({ label: type }) => (
                       <SelectItem key={type} value={type}>
                         {type}
                       </SelectItem>
@@ -264,16 +241,16 @@ export function InputWizard({ onComplete, initialData }: InputWizardProps) {
               <div className="space-y-2">
                 <Label htmlFor="origin" className="text-base">
                   <MapPin className="inline w-4 h-4 mr-2" />
-                  Origin City
+                  Origin Airport
                 </Label>
                 <Select value={formData.originCity} onValueChange={(val) => updateFormData('originCity', val)}>
                   <SelectTrigger id="origin" className="h-12">
-                    <SelectValue placeholder="Select origin city" />
+                    <SelectValue placeholder="Select origin airport" />
                   </SelectTrigger>
                   <SelectContent>
-                    {ORIGIN_CITIES.map((city) => (
-                      <SelectItem key={city} value={city}>
-                        {city}
+                    {originAirports.map((airport) => (
+                      <SelectItem key={airport.iata} value={airport.iata}>
+                        {originLabel(airport)}
                       </SelectItem>
                     ))}
                   </SelectContent>
@@ -333,7 +310,7 @@ export function InputWizard({ onComplete, initialData }: InputWizardProps) {
                 <div className="flex justify-between">
                   <span className="text-muted-foreground">Card:</span>
                   <span className="font-medium">
-                    {AXIS_BANK_CARDS.find(c => c.id === formData.axisCard)?.name || 'Not selected'}
+                    {findCatalogCard(catalog, formData.axisCard)?.name || 'Not selected'}
                   </span>
                 </div>
                 <div className="flex justify-between">
@@ -346,7 +323,7 @@ export function InputWizard({ onComplete, initialData }: InputWizardProps) {
                 </div>
                 <div className="flex justify-between">
                   <span className="text-muted-foreground">Origin:</span>
-                  <span className="font-medium">{formData.originCity || 'Not selected'}</span>
+                  <span className="font-medium">{selectedOrigin ? originLabel(selectedOrigin) : formData.originCity || 'Not selected'}</span>
                 </div>
               </div>
             </div>
@@ -0,0 +1,229 @@
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { ExternalLink, MapPin, Calendar, Hotel, Plane } from 'lucide-react';
+import { isWebLink, type Itinerary } from '../lib/itinerary';
+
+interface ItineraryCardProps {
+  itinerary: Itinerary;
+  // Opens the day-by-day plan for this option
+  onPlanTrip?: (itinerary: Itinerary) => void;
+}
+
+export function ItineraryCard({ itinerary, onPlanTrip }: ItineraryCardProps) {
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-start justify-between">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <MapPin className="w-5 h-5" />
+              {itinerary.destination}
+            </CardTitle>
+            <CardDescription>
+              <Calendar className="inline w-3 h-3 mr-1" />
+              {itinerary.duration} days
+              {itinerary.hotelStarRating ? ` • ${itinerary.hotelStarRating}-Star Hotel` : ''}
+              {itinerary.origin ? ` • From ${itinerary.originName || itinerary.origin} (${itinerary.origin})` : ''}
+            </CardDescription>
+            {itinerary.positioning && (
+              <div className="text-xs text-muted-foreground mt-1">
+                {`Needs a domestic positioning leg ${itinerary.positioning.fromCity} → ${itinerary.positioning.toCity} (${itinerary.positioning.distanceKm.toLocaleString()} km)`}
+              </div>
+            )}
+          </div>
+          <div className="flex items-center gap-2">
+            {!!itinerary.shortfall && (
+              <Badge variant="outline" className="text-xs border-amber-300 text-amber-800">
+                {itinerary.shortfall.toLocaleString()} EDGE points short
+              </Badge>
+            )}
+            {itinerary.value && !itinerary.value.beatsCash && (
+              <Badge
+                variant="destructive"
+                className="text-xs"
+                title={`Redeeming for cash gives ${itinerary.value.cashRedemptionPaise} paise per point`}
+              >
+                Worse than cash
+              </Badge>
+            )}
+            {itinerary.value?.beatsCash && itinerary.value.poorValue && (
+              <Badge variant="outline" className="text-xs border-amber-300 text-amber-800">
+                Poor value
+              </Badge>
+            )}
+            {itinerary.exceedsTransferCap && (
+              <Badge
+                variant="destructive"
+                className="text-xs"
+                title="The EDGE points needed exceed this card's yearly transfer cap for this partner group"
+              >
+                Over yearly transfer cap
+              </Badge>
+            )}
+            {(itinerary.travellers || 1) > 1 && itinerary.seatsConfirmed === false && (
+              <Badge
+                variant="outline"
+                className="text-xs border-amber-300 text-amber-800"
+                title="This program doesn't publish how many award seats are left; check before transferring points"
+              >
+                Seats not confirmed
+              </Badge>
+            )}
+            {itinerary.carrierSurcharges && (
+              <Badge
+                variant="outline"
+                className="text-xs border-amber-300 text-amber-800"
+                title="This program adds airline carrier surcharges to award tickets"
+              >
+                Carrier surcharges
+              </Badge>
+            )}
+            {itinerary.stops === 0 && (
+              <Badge variant="outline" className="text-xs font-semibold">
+                Nonstop
+              </Badge>
+            )}
+            <Badge variant="secondary" className="text-lg">
+              {itinerary.totalPoints.toLocaleString()} pts
+            </Badge>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid gap-4 md:grid-cols-2">
+          {itinerary.flight && (
+            <div className="space-y-2 p-3 bg-muted rounded-lg">
+              <div className="flex items-center gap-2">
+                <Plane className="w-4 h-4" />
+                <span>Flight</span>
+              </div>
+              <div className="space-y-1 text-sm">
+                <div>
+                  {itinerary.flight.airline}
+                  {itinerary.flight.cabin ? ` • ${itinerary.flight.cabin}` : ''}
+                </div>
+                {itinerary.flight.departure && (
+                  <div className="text-muted-foreground">
+                    {itinerary.flight.roundTrip ? 'Outbound' : 'Departure'}: {itinerary.flight.departure}
+                    {itinerary.flight.outboundProgram && itinerary.flight.returnProgram && itinerary.flight.outboundProgram !== itinerary.flight.returnProgram
+                      ? ` (${itinerary.flight.outboundProgram})`
+                      : ''}
+                  </div>
+                )}
+                {itinerary.flight.return && (
+                  <div className="text-muted-foreground">
+                    Return: {itinerary.flight.return}
+                    {itinerary.flight.outboundProgram && itinerary.flight.returnProgram && itinerary.flight.outboundProgram !== itinerary.flight.returnProgram
+                      ? ` (${itinerary.flight.returnProgram})`
+                      : ''}
+                  </div>
+                )}
+                <div className="font-medium">
+                  {itinerary.flight.pointsCost.toLocaleString()} miles
+                  {itinerary.flight.roundTrip ? ' round trip' : ''}
+                </div>
+                {typeof itinerary.flight.edgePoints === 'number' && itinerary.flight.edgePoints > 0 && (
+                  <div className="text-muted-foreground">
+                    {itinerary.flight.edgePoints.toLocaleString()} EDGE points
+                    {(itinerary.travellers || 1) > 1 && itinerary.perPersonEdgePoints && !itinerary.hotel
+                      ? ` for ${itinerary.travellers} travellers (≈ ${itinerary.perPersonEdgePoints.toLocaleString()} each)`
+                      : ''}
+                  </div>
+                )}
+                {itinerary.cashOutOfPocket !== undefined && (
+                  <div className="text-muted-foreground">
+                    {typeof itinerary.cashOutOfPocket === 'number'
+                      ? `+ ₹${itinerary.cashOutOfPocket.toLocaleString()} cash out of pocket (taxes & fees)`
+                      : 'Taxes & fees not reported'}
+                  </div>
+                )}
+                {(itinerary.travellers || 1) > 1 && typeof itinerary.seatsAvailable === 'number' && (
+                  <div className="text-muted-foreground">{`${itinerary.seatsAvailable} award seats left`}</div>
+                )}
+                {(itinerary.availableDates || 0) > 1 && (
+                  <div className="text-muted-foreground">{`Space on ${itinerary.availableDates} dates this month`}</div>
+                )}
+                {itinerary.value && (
+                  <div
+                    className="text-muted-foreground"
+                    title={`Cash fare ≈ ₹${itinerary.value.estimatedCashFare.toLocaleString()} minus ₹${itinerary.value.taxesAndFees.toLocaleString()} taxes & fees`}
+                  >
+                    {itinerary.value.paisePerPoint.toLocaleString()} paise per point (saves ≈ ₹
+                    {itinerary.value.netValue.toLocaleString()})
+                  </div>
+                )}
+                {isWebLink(itinerary.flight.bookingLink) && (
+                  <Button variant="outline" size="sm" asChild className="w-full mt-2">
+                    <a href={itinerary.flight.bookingLink} target="_blank" rel="noopener noreferrer">
+                      Book Flight <ExternalLink className="ml-1 w-3 h-3" />
+                    </a>
+                  </Button>
+                )}
+              </div>
+            </div>
+          )}
+
+          {itinerary.hotel && (
+            <div className="space-y-2 p-3 bg-muted rounded-lg">
+              <div className="flex items-center gap-2">
+                <Hotel className="w-4 h-4" />
+                <span>Hotel{itinerary.hotelStarRating ? ` (${itinerary.hotelStarRating}-Star)` : ''}</span>
+              </div>
+              <div className="space-y-1 text-sm">
+                <div>{itinerary.hotel.name}</div>
+                <div className="text-muted-foreground">
+                  {itinerary.hotel.brand}
+                  {itinerary.hotel.estimated ? ' • estimated from typical rates' : ''}
+                </div>
+                <div className="text-muted-foreground">
+                  {`${itinerary.hotel.pointsPerNight.toLocaleString()} Accor points/night × ${itinerary.hotel.nights} night(s)`}
+                  {itinerary.hotel.rooms > 1 ? ` × ${itinerary.hotel.rooms} rooms` : ''}
+                </div>
+                <div className="font-medium">
+                  {itinerary.hotel.totalPoints.toLocaleString()} Accor points
+                </div>
+                <div className="text-muted-foreground">{itinerary.hotel.edgePoints.toLocaleString()} EDGE points</div>
+                {isWebLink(itinerary.hotel.bookingLink) && (
+                  <Button variant="outline" size="sm" asChild className="w-full mt-2">
+                    <a href={itinerary.hotel.bookingLink} target="_blank" rel="noopener noreferrer">
+                      Book Hotel <ExternalLink className="ml-1 w-3 h-3" />
+                    </a>
+                  </Button>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {itinerary.hotel && typeof itinerary.tripEdgePoints === 'number' && (
+          <div className="text-sm font-medium">
+            {`Trip total: ${itinerary.tripEdgePoints.toLocaleString()} EDGE points (flight ${(itinerary.flight?.edgePoints || 0).toLocaleString()} + hotel ${itinerary.hotel.edgePoints.toLocaleString()})`}
+            {(itinerary.travellers || 1) > 1 && itinerary.perPersonEdgePoints
+              ? ` • ≈ ${itinerary.perPersonEdgePoints.toLocaleString()} each`
+              : ''}
+          </div>
+        )}
+
+        {itinerary.briefItinerary && itinerary.briefItinerary.length > 0 && (
+          <div className="space-y-2">
+            <div className="text-sm font-medium">Trip Summary:</div>
+            <ul className="text-sm text-muted-foreground space-y-1 pl-4">
+              {itinerary.briefItinerary.map((item, idx) => (
+                <li key={idx} className="list-disc">
+                  {item}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {onPlanTrip && (
+          <Button variant="outline" size="sm" type="button" onClick={() => onPlanTrip(itinerary)}>
+            Plan this trip day by day
+          </Button>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
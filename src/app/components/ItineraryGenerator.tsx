@@ -4,60 +4,29 @@ import { Input } from './ui/input';
 import { Label } from './ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
 import { Button } from './ui/button';
-import { Badge } from './ui/badge';
-import { ExternalLink, MapPin, Calendar, Hotel, Plane, CreditCard, Info } from 'lucide-react';
+import { MapPin, Calendar, Plane, CreditCard, Info, Bell } from 'lucide-react';
 import { Alert, AlertDescription } from './ui/alert';
-import { getApiBase } from '../lib/api';
-
-interface Itinerary {
-  id: string;
-  destination: string | null;
-  destinationName?: string | null;
-  duration: number;
-  hotelStarRating: 4 | 5;
-  stops?: number | null;
-  tripSummary?: string[];
-  flight?: {
-    airline: string;
-    departure: string;
-    return: string;
-    pointsCost: number;
-    bookingLink: string;
-  };
-  hotel: {
-    name: string;
-    brand: 'Marriott' | 'Accor';
-    pointsPerNight: number;
-    totalPoints: number;
-    bookingLink: string;
-  };
-  totalPoints: number;
-  highlights: string[];
-  briefItinerary: string[];
-}
-
-const AXIS_BANK_CARDS = [
-  { id: 'burgundy-private', name: 'Burgundy Private Credit Card' },
-  { id: 'magnus-burgundy', name: 'Magnus for Burgundy Credit Card' },
-  { id: 'magnus-standard', name: 'Magnus Credit Card (Standard)' },
-  { id: 'reserve', name: 'Reserve Credit Card' },
-  { id: 'select', name: 'Select Credit Card' },
-  { id: 'privilege', name: 'Privilege Credit Card' },
-  { id: 'privilege-easy', name: 'Privilege Easy Credit Card' },
-  { id: 'rewards', name: 'Axis Bank Rewards Credit Card' },
-  { id: 'indianoil-regular', name: 'Axis Bank IndianOil Credit Card (regular)' },
-  { id: 'indianoil-easy', name: 'IndianOil Easy Credit Card' },
-  { id: 'myzone', name: 'Axis Bank My Zone Credit Card' },
-  { id: 'myzone-easy', name: 'Axis Bank My Zone Easy Credit Card' },
-  { id: 'signature', name: 'Axis Bank Signature Credit Card' },
-  { id: 'titanium-smart-traveller', name: 'Axis Bank Titanium Smart Traveller Credit Card' },
-  { id: 'pride-platinum', name: 'Axis Bank Pride Platinum Credit Card' },
-  { id: 'pride-signature', name: 'Axis Bank Pride Signature Credit Card' },
-];
-
-const ORIGIN_CITIES = ['Delhi', 'Mumbai', 'Bengaluru', 'Hyderabad', 'Chennai'];
-
-const CABIN_TYPES = ['Economy', 'Business'];
+import {
+  GENERATE_ITINERARY_REQUEST,
+  validateAgainst,
+  type FlightOption,
+  type GenerateItineraryRequest,
+  type GenerateItineraryResponse,
+} from '../../../shared/apiSchema.js';
+import { optionKey } from '../../../shared/dedupe.js';
+import { apiFetch, describeFieldErrors, getApiBase, readApiError } from '../lib/api';
+import { describeDataAge, type Freshness } from '../lib/freshness';
+import { readNdjson } from '../lib/ndjson';
+import { findCatalogCard, useCatalog } from '../lib/catalog';
+import { originLabel } from '../lib/origins';
+import { rememberSearch } from '../lib/savedSearches';
+import { AvailabilityCalendar, type CalendarDay } from './AvailabilityCalendar';
+import { ItineraryCard } from './ItineraryCard';
+import { ProgramComparison, type ComparisonRoute } from './ProgramComparison';
+import { ResultsActions } from './ResultsActions';
+import { SavedSearches } from './SavedSearches';
+import { TripPlanPanel } from './TripPlanPanel';
+import type { Itinerary } from '../lib/itinerary';
 
 interface TravelMonth {
   label: string;
@@ -78,17 +47,159 @@ const generateTravelMonths = (): TravelMonth[] => {
 
 const TRAVEL_MONTHS = generateTravelMonths();
 
-function dedupeOptions(options: any[]) {
-  const seen = new Map<string, any>();
+// "Within reach" allowance: how far over the balance an option may be and still be shown
+const SHORTFALL_TOLERANCES = [
+  { value: 'off', label: 'Only what I can book now' },
+  { value: 'pct-5', label: 'Up to 5% over my points' },
+  { value: 'pct-10', label: 'Up to 10% over my points' },
+  { value: 'pct-20', label: 'Up to 20% over my points' },
+  { value: 'pts-5000', label: 'Up to 5,000 points over' },
+  { value: 'pts-10000', label: 'Up to 10,000 points over' },
+  { value: 'pts-25000', label: 'Up to 25,000 points over' },
+];
+
+function toleranceToPayload(tolerance: string) {
+  const [kind, amount] = tolerance.split('-');
+  if (kind === 'pct') return { tolerancePercent: Number(amount) };
+  if (kind === 'pts') return { tolerancePoints: Number(amount) };
+  return {};
+}
+
+// Which other Indian airports to search alongside the home airport
+const ORIGIN_SPREADS = [
+  { value: 'home', label: 'Only my airport (plus any picked below)' },
+  { value: 'near-300', label: 'Airports within 300 km' },
+  { value: 'near-800', label: 'Airports within 800 km' },
+  { value: 'hubs', label: 'Any major Indian hub' },
+];
+
+function originSpreadToPayload(spread: string) {
+  const [kind, km] = spread.split('-');
+  if (kind === 'near') return { nearbyRadiusKm: Number(km) };
+  if (kind === 'hubs') return { anyIndianHub: true };
+  return {};
+}
+
+// Most cash (taxes, fees and surcharges, whole party) the user will pay on top of points
+const MAX_CASH_LIMITS = [
+  { value: 'any', label: 'Any amount' },
+  { value: '5000', label: 'Up to ₹5,000' },
+  { value: '10000', label: 'Up to ₹10,000' },
+  { value: '25000', label: 'Up to ₹25,000' },
+  { value: '50000', label: 'Up to ₹50,000' },
+];
+
+// Accor ALL hotel tiers priced by the server (server/data/accorHotels.json)
+const HOTEL_TIERS = [
+  { value: 'economy', label: 'Economy (ibis)' },
+  { value: 'midscale', label: 'Midscale (Novotel, Mercure)' },
+  { value: 'premium', label: 'Premium (Pullman, Swissôtel)' },
+  { value: 'luxury', label: 'Luxury (Sofitel, Fairmont, Raffles)' },
+];
+
+const TRAVELLER_COUNTS = ['1', '2', '3', '4', '5', '6', '7', '8', '9'];
+
+const SORT_ORDERS = [
+  { value: 'points', label: 'Fewest EDGE points' },
+  { value: 'value', label: 'Best value per point' },
+  { value: 'stops', label: 'Fewest stops' },
+  { value: 'reliability', label: 'Most reliable program' },
+  { value: 'dates', label: 'Most available dates' },
+];
+
+const MAX_STOPS = [
+  { value: 'any', label: 'Any number of stops' },
+  { value: '0', label: 'Non-stop only' },
+  { value: '1', label: 'Up to 1 stop' },
+  { value: '2', label: 'Up to 2 stops' },
+];
 
-  for (const opt of options) {
-    const key = [opt.program, opt.origin, opt.destination, opt.cabin, opt.mileageCost].join('|');
-    if (!seen.has(key)) {
-      seen.set(key, opt);
+// Optional result filters; empty ones are left out of the request
+function filtersToPayload(programs: string[], maxStops: string, airports: string) {
+  const destinationAirports = airports.split(/[\s,]+/).map((a) => a.trim().toUpperCase()).filter(Boolean);
+  return {
+    ...(programs.length > 0 ? { programs } : {}),
+    ...(maxStops === 'any' ? {} : { maxStops: Number(maxStops) }),
+    ...(destinationAirports.length > 0 ? { destinationAirports } : {}),
+  };
+}
+
+// Options arrive ranked and deduped by the server (shared/dedupe.js); ids come
+// from the same dedupe key, so pages merge without repeats.
+function toItineraries(
+  options: FlightOption[],
+  data: GenerateItineraryResponse,
+  tripDuration: string,
+  idPrefix: string
+): Itinerary[] {
+  return options.map((o) => ({
+    id: `${idPrefix}-${optionKey(o).toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+    destination: o.destinationName || o.destination || null,
+    destinationName: o.destinationName || null,
+    destinationAirport: o.destination || undefined,
+    duration: typeof o.nights === 'number' ? o.nights : Number(tripDuration) || 5,
+    hotelStarRating: o.hotel?.stars ?? null,
+    stops: typeof o.stops === 'number' ? o.stops : null,
+    exceedsTransferCap: o.exceedsTransferCap === true,
+    travellers: o.travellers || 1,
+    perPersonEdgePoints: o.perPerson?.edgePointsRequired,
+    seatsAvailable: o.seatsAvailable ?? null,
+    seatsConfirmed: o.seatsConfirmed !== false,
+    availableDates: o.availableDates,
+    cashOutOfPocket: o.cashOutOfPocket?.amount ?? null,
+    carrierSurcharges: o.carrierSurcharges === true,
+    shortfall: typeof o.shortfall === 'number' ? o.shortfall : 0,
+    origin: o.origin || undefined,
+    originName: o.originName || null,
+    positioning: o.positioning || null,
+    value: o.value || null,
+    flight: {
+      airline: o.program || 'Program',
+      cabin: o.cabin || undefined,
+      departure: o.departureDate || data?.input?.start_date || '',
+      return: o.returnDate || (o.tripType === 'oneway' ? '' : data?.input?.end_date || ''),
+      pointsCost: o.mileageCost || 0,
+      edgePoints: o.flightEdgePointsRequired ?? o.edgePointsRequired ?? 0,
+      roundTrip: o.tripType === 'roundtrip',
+      outboundProgram: o.outbound?.program,
+      returnProgram: o.return?.program,
+      bookingLink: 'https://www.seats.aero/',
+    },
+    hotel: o.hotel
+      ? {
+        name: o.hotel.name,
+        brand: o.hotel.brand,
+        pointsPerNight: o.hotel.pointsPerNight,
+        totalPoints: o.hotel.accorPoints,
+        edgePoints: o.hotel.edgePointsRequired,
+        nights: o.hotel.nights,
+        rooms: o.hotel.rooms,
+        estimated: o.hotel.estimated,
+        bookingLink: o.hotel.bookingLink,
+      }
+      : null,
+    tripEdgePoints: o.hotel ? o.edgePointsRequired : undefined,
+    totalPoints: o.mileageCost || 0,
+    highlights: [],
+    briefItinerary: Array.isArray(o.tripSummary) ? o.tripSummary : [],
+  }));
+}
+
+// Distinct one-way routes in the results, for the program comparison
+function comparisonRoutes(itineraries: Itinerary[]): ComparisonRoute[] {
+  const routes = new Map<string, ComparisonRoute>();
+  for (const itinerary of itineraries) {
+    if (!itinerary.origin || !itinerary.destinationAirport) continue;
+    const key = `${itinerary.origin}-${itinerary.destinationAirport}`;
+    if (!routes.has(key)) {
+      routes.set(key, {
+        origin: itinerary.origin,
+        destination: itinerary.destinationAirport,
+        label: `${itinerary.origin} → ${itinerary.destinationName || itinerary.destinationAirport} (${itinerary.destinationAirport})`,
+      });
     }
   }
-
-  return Array.from(seen.values());
+  return Array.from(routes.values());
 }
 
 export function ItineraryGenerator() {
@@ -96,26 +207,73 @@ export function ItineraryGenerator() {
   const [availablePoints, setAvailablePoints] = useState('');
   const [travelMonth, setTravelMonth] = useState('');
   const [tripDuration, setTripDuration] = useState('');
+  const [travellers, setTravellers] = useState('1');
+  const [maxCash, setMaxCash] = useState('any');
   const [cabinType, setCabinType] = useState('');
   const [originCity, setOriginCity] = useState('');
+  const [alternateOrigins, setAlternateOrigins] = useState<string[]>([]);
+  const [originSpread, setOriginSpread] = useState('home');
+  const [sortBy, setSortBy] = useState('points');
+  const [programFilter, setProgramFilter] = useState<string[]>([]);
+  const [maxStops, setMaxStops] = useState('any');
+  const [airportFilter, setAirportFilter] = useState('');
+  const [includeHotel, setIncludeHotel] = useState(false);
+  const [hotelTier, setHotelTier] = useState('midscale');
+  const [page, setPage] = useState<GenerateItineraryResponse['page'] | null>(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [destinationCity, setDestinationCity] = useState('');
+  const [planning, setPlanning] = useState<Itinerary | null>(null);
   const [itineraries, setItineraries] = useState<Itinerary[]>([]);
+  const [withinReach, setWithinReach] = useState<Itinerary[]>([]);
+  const [tolerance, setTolerance] = useState('off');
+  const [calendar, setCalendar] = useState<CalendarDay[]>([]);
+  const [freshness, setFreshness] = useState<Freshness | null>(null);
+  // Inputs behind the results on screen (what Share snapshots)
+  const [lastSearch, setLastSearch] = useState<Record<string, unknown> | null>(null);
+  const [searchingAirports, setSearchingAirports] = useState<string[]>([]);
+  const [summariesPending, setSummariesPending] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [pingStatus, setPingStatus] = useState<string | null>(null);
+  const [alertEmail, setAlertEmail] = useState('');
+  const [saveStatus, setSaveStatus] = useState<string | null>(null);
+  const [savedSearchesKey, setSavedSearchesKey] = useState(0);
   const [directOnly, setDirectOnly] = useState(false);
+  const { catalog, error: catalogError } = useCatalog();
+  const originAirports = catalog.origins;
+  const [roundTrip, setRoundTrip] = useState(false);
+  const [cabinOrBetter, setCabinOrBetter] = useState(false);
 
   const resetForm = () => {
     setAxisCard('');
     setAvailablePoints('');
     setTravelMonth('');
     setTripDuration('');
+    setTravellers('1');
+    setMaxCash('any');
     setCabinType('');
     setOriginCity('');
+    setAlternateOrigins([]);
+    setOriginSpread('home');
+    setSortBy('points');
+    setProgramFilter([]);
+    setMaxStops('any');
+    setAirportFilter('');
+    setIncludeHotel(false);
+    setHotelTier('midscale');
+    setPage(null);
     setDestinationCity('');
+    setPlanning(null);
     setItineraries([]);
+    setWithinReach([]);
+    setTolerance('off');
+    setCalendar([]);
+    setFreshness(null);
+    setLastSearch(null);
     setError(null);
     setDirectOnly(false);
+    setRoundTrip(false);
+    setCabinOrBetter(false);
   };
 
   const generateItineraries = async () => {
@@ -123,74 +281,142 @@ export function ItineraryGenerator() {
 
     setLoading(true);
     setError(null);
+    setPlanning(null);
     setItineraries([]);
+    setWithinReach([]);
+    setCalendar([]);
+    setFreshness(null);
+    setPage(null);
 
     try {
-      const payload = {
+      const payload: GenerateItineraryRequest = {
         edgePoints: Number(availablePoints),
         origin: originCity,
+        alternateOrigins: alternateOrigins.filter((iata) => iata !== originCity),
+        ...originSpreadToPayload(originSpread),
         destination: destinationCity,
         travelMonth,
-        tripDuration,
-        cabin: cabinType,
-        cardDisplayName: AXIS_BANK_CARDS.find((c) => c.id === axisCard)?.name || axisCard,
+        tripDuration: Number(tripDuration),
+        cabin: cabinType as GenerateItineraryRequest['cabin'],
+        cardDisplayName: findCatalogCard(catalog, axisCard)?.name || axisCard,
         onlyDirect: directOnly,
+        roundTrip,
+        cabinOrBetter,
+        ...toleranceToPayload(tolerance),
+        sortBy: sortBy as GenerateItineraryRequest['sortBy'],
+        travellers: Number(travellers),
+        ...(maxCash === 'any' ? {} : { maxCashInr: Number(maxCash) }),
+        ...filtersToPayload(programFilter, maxStops, airportFilter),
+        ...(includeHotel ? { includeHotel: true, hotelTier: hotelTier as GenerateItineraryRequest['hotelTier'] } : {}),
       };
+      const fieldErrors = validateAgainst(GENERATE_ITINERARY_REQUEST, payload);
+      if (fieldErrors.length > 0) throw new Error(describeFieldErrors(fieldErrors));
 
-      const base = getApiBase();
-      const resp = await fetch(`${base}/api/generate-itinerary`, {
+      const resp = await apiFetch('/api/generate-itinerary-stream', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(payload),
       });
 
       if (!resp.ok) {
-        const text = await resp.text();
-        throw new Error(text || 'Request failed');
+        throw new Error(await readApiError(resp));
       }
 
-      const data = await resp.json();
-      const options = Array.isArray(data?.options) ? data.options : [];
-
-      const deduped = dedupeOptions(options);
-      deduped.sort((a, b) => a.edgePointsRequired - b.edgePointsRequired);
-
-      const mapped: Itinerary[] = deduped.map((o: any, idx: number) => ({
-        id: String(idx + 1),
-        destination: o.destinationName || o.destination || null,
-        destinationName: o.destinationName || null,
-        duration: 5,
-        hotelStarRating: 4,
-        stops: typeof o.stops === 'number' ? o.stops : null,
-        flight: {
-          airline: o.program || 'Program',
-          departure: data?.input?.start_date || '',
-          return: data?.input?.end_date || '',
-          pointsCost: o.mileageCost || 0,
-          bookingLink: 'https://www.seats.aero/',
-        },
-        hotel: {
-          name: 'N/A',
-          brand: 'Accor',
-          pointsPerNight: 0,
-          totalPoints: 0,
-          bookingLink: '#',
-        },
-        totalPoints: o.mileageCost || 0,
-        highlights: [],
-        briefItinerary:
-          (Array.isArray(o.tripSummary) && o.tripSummary.length > 0
-            ? o.tripSummary
-            : Array.isArray(o.summary) && o.summary.length > 0
-              ? o.summary
-              : []),
-      }));
-
-      setItineraries(mapped);
+      // Options render as soon as they're ranked; trip summaries fill in per destination
+      const withSummary = (destination: string, tripSummary: string[]) => (items: Itinerary[]) =>
+        items.map((item) => (item.destination === destination ? { ...item, briefItinerary: tripSummary } : item));
+
+      await readNdjson(resp, (message) => {
+        if (message.type === 'airports') {
+          setSearchingAirports(
+            (message.resolvedAirports || []).map((a: any) => `${a.city} (${a.iata})`)
+          );
+        } else if (message.type === 'options') {
+          const data = message as GenerateItineraryResponse;
+          setItineraries(toItineraries(data.options || [], data, tripDuration, 'bookable'));
+          setWithinReach(toItineraries(data.withinReach || [], data, tripDuration, 'reach'));
+          setPage(data.page || null);
+          setLastSearch(payload);
+          setCalendar(Array.isArray(data.calendar) ? data.calendar : []);
+          setFreshness(data.freshness || null);
+          setLoading(false);
+          setSummariesPending(true);
+        } else if (message.type === 'summary' && Array.isArray(message.tripSummary)) {
+          setItineraries(withSummary(message.destination, message.tripSummary));
+          setWithinReach(withSummary(message.destination, message.tripSummary));
+        } else if (message.type === 'error') {
+          throw new Error(message.detail || message.error || 'Request failed');
+        }
+      });
     } catch (err: any) {
       setError(err?.message || 'Something went wrong');
     } finally {
       setLoading(false);
+      setSummariesPending(false);
+      setSearchingAirports([]);
+    }
+  };
+
+  // Next page of both lists for the last search, appended below what's shown
+  const loadMore = async () => {
+    if (!lastSearch || !page?.nextCursor) return;
+    setLoadingMore(true);
+    setError(null);
+    try {
+      const resp = await apiFetch('/api/generate-itinerary', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...lastSearch, cursor: page.nextCursor }),
+      });
+      if (!resp.ok) {
+        throw new Error(await readApiError(resp));
+      }
+      const data = (await resp.json()) as GenerateItineraryResponse;
+      const append = (next: Itinerary[]) => (current: Itinerary[]) => {
+        const seen = new Set(current.map((item) => item.id));
+        return [...current, ...next.filter((item) => !seen.has(item.id))];
+      };
+      setItineraries(append(toItineraries(data.options || [], data, tripDuration, 'bookable')));
+      setWithinReach(append(toItineraries(data.withinReach || [], data, tripDuration, 'reach')));
+      setPage(data.page || null);
+    } catch (err: any) {
+      setError(err?.message || 'Could not load more trips');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Saves the current search so the scheduled job can alert on new space or lower prices
+  const saveSearch = async () => {
+    try {
+      setSaveStatus('Saving...');
+      const resp = await apiFetch('/api/saved-searches', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          cardDisplayName: findCatalogCard(catalog, axisCard)?.name || axisCard,
+          edgePoints: Number(availablePoints),
+          origin: originCity,
+          destination: destinationCity,
+          travelMonth,
+          cabin: cabinType,
+          onlyDirect: directOnly,
+          travellers: Number(travellers),
+          ...(maxCash === 'any' ? {} : { maxCashInr: Number(maxCash) }),
+          ...filtersToPayload(programFilter, maxStops, airportFilter),
+          notifyEmail: alertEmail.trim() || undefined,
+        }),
+      });
+      if (!resp.ok) {
+        throw new Error(await readApiError(resp, 'Could not save search'));
+      }
+      // The owner token is only returned now; keep it to view or stop the alert later
+      const data = await resp.json();
+      rememberSearch(data.id, data.ownerToken);
+      setSavedSearchesKey((key) => key + 1);
+      setSaveStatus("Search saved — we'll alert you when new award space appears or the price drops");
+    } catch (err: any) {
+      setSaveStatus(err?.message || 'Could not save search');
     }
   };
 
@@ -209,6 +435,22 @@ export function ItineraryGenerator() {
     }
   };
 
+  const toggleAlternateOrigin = (iata: string) => {
+    setAlternateOrigins((current) =>
+      current.includes(iata) ? current.filter((code) => code !== iata) : [...current, iata]
+    );
+  };
+
+  // The day-by-day plan opens under the card it was asked for
+  const renderCard = (itinerary: Itinerary) => (
+    <React.Fragment key={itinerary.id}>
+      <ItineraryCard itinerary={itinerary} onPlanTrip={setPlanning} />
+      {planning?.id === itinerary.id && (
+        <TripPlanPanel key={itinerary.id} itinerary={itinerary} onClose={() => setPlanning(null)} />
+      )}
+    </React.Fragment>
+  );
+
   return (
     <Card>
       <CardHeader>
@@ -235,13 +477,14 @@ export function ItineraryGenerator() {
                 <SelectValue placeholder="Select card" />
               </SelectTrigger>
               <SelectContent>
-                {AXIS_BANK_CARDS.map((card) => (
+                {catalog.cards.map((card) => (
                   <SelectItem key={card.id} value={card.id}>
                     {card.name}
                   </SelectItem>
                 ))}
               </SelectContent>
             </Select>
+            {catalogError && <p className="text-xs text-destructive">{catalogError} — card list unavailable.</p>}
           </div>
 
           <div className="space-y-2">
@@ -289,6 +532,22 @@ export function ItineraryGenerator() {
             />
           </div>
 
+          <div className="space-y-2">
+            <Label htmlFor="travellers">Travellers</Label>
+            <Select value={travellers} onValueChange={setTravellers}>
+              <SelectTrigger id="travellers">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {TRAVELLER_COUNTS.map((count) => (
+                  <SelectItem key={count} value={count}>
+                    {count === '1' ? '1 traveller' : `${count} travellers`}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
           <div className="space-y-2">
             <Label htmlFor="cabin-type">
               <Plane className="inline w-4 h-4 mr-1" />
@@ -299,7 +558,7 @@ export function ItineraryGenerator() {
                 <SelectValue placeholder="Select cabin type" />
               </SelectTrigger>
               <SelectContent>
-                {CABIN_TYPES.map((type) => (
+                {catalog.cabins.map(({ label: type }) => (
                   <SelectItem key={type} value={type}>
                     {type}
                   </SelectItem>
@@ -311,20 +570,51 @@ export function ItineraryGenerator() {
           <div className="space-y-2">
             <Label htmlFor="origin">
               <MapPin className="inline w-4 h-4 mr-1" />
-              Origin City
+              Origin Airport
             </Label>
             <Select value={originCity} onValueChange={setOriginCity}>
               <SelectTrigger id="origin">
                 <SelectValue placeholder="Select origin" />
               </SelectTrigger>
               <SelectContent>
-                {ORIGIN_CITIES.map((city) => (
-                  <SelectItem key={city} value={city}>
-                    {city}
+                {originAirports.map((airport) => (
+                  <SelectItem key={airport.iata} value={airport.iata}>
+                    {originLabel(airport)}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="origin-spread">Also depart from</Label>
+            <Select value={originSpread} onValueChange={setOriginSpread}>
+              <SelectTrigger id="origin-spread">
+                <SelectValue placeholder="Only my airport" />
+              </SelectTrigger>
+              <SelectContent>
+                {ORIGIN_SPREADS.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
                   </SelectItem>
                 ))}
               </SelectContent>
             </Select>
+            <div className="flex flex-wrap gap-2">
+              {originAirports
+                .filter((airport) => airport.hub && airport.iata !== originCity)
+                .map((airport) => (
+                  <Button
+                    key={airport.iata}
+                    type="button"
+                    size="sm"
+                    variant={alternateOrigins.includes(airport.iata) ? 'default' : 'outline'}
+                    onClick={() => toggleAlternateOrigin(airport.iata)}
+                  >
+                    {airport.iata}
+                  </Button>
+                ))}
+            </div>
           </div>
 
           <div className="space-y-2">
@@ -356,124 +646,281 @@ export function ItineraryGenerator() {
               </span>
             </div>
           </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="cabin-or-better">This cabin or better</Label>
+            <div className="flex items-center space-x-2">
+              <Input
+                id="cabin-or-better"
+                type="checkbox"
+                checked={cabinOrBetter}
+                onChange={(e) => setCabinOrBetter(e.target.checked)}
+                className="h-4 w-4"
+              />
+              <span className="text-sm text-muted-foreground">
+                Show the best cabin your points can reach
+              </span>
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="round-trip">Round trip</Label>
+            <div className="flex items-center space-x-2">
+              <Input
+                id="round-trip"
+                type="checkbox"
+                checked={roundTrip}
+                onChange={(e) => setRoundTrip(e.target.checked)}
+                className="h-4 w-4"
+              />
+              <span className="text-sm text-muted-foreground">
+                Pair each outbound with a return about trip-duration days later
+              </span>
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="include-hotel">Accor hotel</Label>
+            <div className="flex items-center space-x-2">
+              <Input
+                id="include-hotel"
+                type="checkbox"
+                checked={includeHotel}
+                onChange={(e) => setIncludeHotel(e.target.checked)}
+                className="h-4 w-4"
+              />
+              <span className="text-sm text-muted-foreground">
+                Add hotel nights and fit flight + hotel into my points
+              </span>
+            </div>
+            {includeHotel && (
+              <Select value={hotelTier} onValueChange={setHotelTier}>
+                <SelectTrigger id="hotel-tier">
+                  <SelectValue placeholder="Midscale (Novotel, Mercure)" />
+                </SelectTrigger>
+                <SelectContent>
+                  {HOTEL_TIERS.map((option) => (
+                    <SelectItem key={option.value} value={option.value}>
+                      {option.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="sort-by">Sort results by</Label>
+            <Select value={sortBy} onValueChange={setSortBy}>
+              <SelectTrigger id="sort-by">
+                <SelectValue placeholder="Fewest EDGE points" />
+              </SelectTrigger>
+              <SelectContent>
+                {SORT_ORDERS.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="max-cash">Cash out of pocket</Label>
+            <Select value={maxCash} onValueChange={setMaxCash}>
+              <SelectTrigger id="max-cash">
+                <SelectValue placeholder="Any amount" />
+              </SelectTrigger>
+              <SelectContent>
+                {MAX_CASH_LIMITS.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="max-stops">Stops</Label>
+            <Select value={maxStops} onValueChange={setMaxStops}>
+              <SelectTrigger id="max-stops">
+                <SelectValue placeholder="Any number of stops" />
+              </SelectTrigger>
+              <SelectContent>
+                {MAX_STOPS.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="destination-airports">Only these destination airports</Label>
+            <Input
+              id="destination-airports"
+              placeholder="e.g. CDG, AMS (optional)"
+              value={airportFilter}
+              onChange={(e) => setAirportFilter(e.target.value)}
+            />
+          </div>
+
+          <div className="space-y-2 md:col-span-2">
+            <Label>Programs</Label>
+            <div className="flex flex-wrap gap-x-4 gap-y-2">
+              {catalog.programs.map((program) => (
+                <label key={program.source} className="flex items-center space-x-2 text-sm">
+                  <Input
+                    type="checkbox"
+                    checked={programFilter.includes(program.source)}
+                    onChange={(e) =>
+                      setProgramFilter((current) =>
+                        e.target.checked ? [...current, program.source] : current.filter((s) => s !== program.source)
+                      )
+                    }
+                    className="h-4 w-4"
+                  />
+                  <span>{program.name}</span>
+                </label>
+              ))}
+            </div>
+            <span className="text-xs text-muted-foreground">Leave all unticked to search every program</span>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="shortfall-tolerance">Almost affordable</Label>
+            <Select value={tolerance} onValueChange={setTolerance}>
+              <SelectTrigger id="shortfall-tolerance">
+                <SelectValue placeholder="Only what I can book now" />
+              </SelectTrigger>
+              <SelectContent>
+                {SHORTFALL_TOLERANCES.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
         </div>
 
         <Button
           onClick={generateItineraries}
           className="w-full"
           type="button"
-          disabled={!axisCard || !availablePoints || !travelMonth || !cabinType || !originCity || !destinationCity || loading}
+          disabled={!axisCard || !availablePoints || !travelMonth || !cabinType || !originCity || !destinationCity || (roundTrip && !tripDuration) || loading}
         >
           {loading ? 'Searching...' : 'Find Available Trips'}
         </Button>
 
+        <div className="flex flex-col gap-2 md:flex-row md:items-center">
+          <Input
+            id="alert-email"
+            type="email"
+            placeholder="Email for alerts (optional)"
+            value={alertEmail}
+            onChange={(e) => setAlertEmail(e.target.value)}
+            className="md:max-w-xs"
+          />
+          <Button
+            variant="outline"
+            type="button"
+            onClick={saveSearch}
+            disabled={!axisCard || !availablePoints || !travelMonth || !cabinType || !originCity || !destinationCity}
+          >
+            <Bell className="w-4 h-4 mr-1" />
+            Save search &amp; alert me
+          </Button>
+          {saveStatus && <span className="text-sm text-muted-foreground">{saveStatus}</span>}
+        </div>
+
+        <SavedSearches refreshKey={savedSearchesKey} />
+
         {error && (
           <div className="p-3 rounded-md bg-destructive/10 text-destructive text-sm">
             {error}
           </div>
         )}
 
-        {itineraries.length > 0 ? (
+        {loading && searchingAirports.length > 0 && (
+          <div className="text-sm text-muted-foreground">
+            Searching award space to {searchingAirports.join(', ')}...
+          </div>
+        )}
+
+        {summariesPending && (
+          <div className="text-xs text-muted-foreground">Writing trip summaries...</div>
+        )}
+
+        {freshness && (
+          <div className="text-xs text-muted-foreground" title={freshness.fetchedAt}>
+            {describeDataAge(freshness)}
+          </div>
+        )}
+
+        {calendar.some((day) => typeof day.cheapestEdgePoints === 'number') && (
+          <AvailabilityCalendar
+            days={calendar}
+            cabin={cabinType}
+            title={roundTrip ? 'Outbound availability' : 'Availability calendar'}
+          />
+        )}
+
+        {itineraries.length > 0 || withinReach.length > 0 ? (
           <div className="space-y-4">
             <div className="flex items-center justify-between">
-              <span className="text-lg">Found {itineraries.length} trip(s) within your points budget</span>
-              <Button variant="outline" onClick={resetForm}>
-                Try New Search
-              </Button>
+              <span className="text-lg">
+                {page && page.totalOptions > itineraries.length
+                  ? `Showing ${itineraries.length} of ${page.totalOptions} trip(s) within your points budget`
+                  : `Found ${itineraries.length} trip(s) within your points budget`}
+              </span>
+              <div className="flex items-start gap-2">
+                <ResultsActions
+                  title={`Trip options: ${lastSearch?.origin || originCity} → ${lastSearch?.destination || destinationCity}`}
+                  search={lastSearch || {}}
+                  itineraries={itineraries}
+                  withinReach={withinReach}
+                  freshness={freshness}
+                />
+                <Button variant="outline" onClick={resetForm}>
+                  Try New Search
+                </Button>
+              </div>
             </div>
 
             <div className="grid gap-4">
-              {itineraries.map((itinerary) => (
-                <Card key={itinerary.id}>
-                  <CardHeader>
-                    <div className="flex items-start justify-between">
-                      <div>
-                        <CardTitle className="flex items-center gap-2">
-                          <MapPin className="w-5 h-5" />
-                          {itinerary.destination}
-                        </CardTitle>
-                        <CardDescription>
-                          <Calendar className="inline w-3 h-3 mr-1" />
-                          {itinerary.duration} days • {itinerary.hotelStarRating}-Star Hotel
-                        </CardDescription>
-                      </div>
-                      <div className="flex items-center gap-2">
-                        {itinerary.stops === 0 && (
-                          <Badge variant="outline" className="text-xs font-semibold">
-                            Nonstop
-                          </Badge>
-                        )}
-                        <Badge variant="secondary" className="text-lg">
-                          {itinerary.totalPoints.toLocaleString()} pts
-                        </Badge>
-                      </div>
-                    </div>
-                  </CardHeader>
-                  <CardContent className="space-y-4">
-                    <div className="grid gap-4 md:grid-cols-2">
-                      {itinerary.flight && (
-                        <div className="space-y-2 p-3 bg-muted rounded-lg">
-                          <div className="flex items-center gap-2">
-                            <Plane className="w-4 h-4" />
-                            <span>Flight</span>
-                          </div>
-                          <div className="space-y-1 text-sm">
-                            <div>{itinerary.flight.airline}</div>
-                            <div className="font-medium">
-                              {itinerary.flight.pointsCost.toLocaleString()} points
-                            </div>
-                            <Button variant="outline" size="sm" asChild className="w-full mt-2">
-                              <a href={itinerary.flight.bookingLink} target="_blank" rel="noopener noreferrer">
-                                Book Flight <ExternalLink className="ml-1 w-3 h-3" />
-                              </a>
-                            </Button>
-                          </div>
-                        </div>
-                      )}
-
-                      <div className="space-y-2 p-3 bg-muted rounded-lg">
-                        <div className="flex items-center gap-2">
-                          <Hotel className="w-4 h-4" />
-                          <span>Hotel ({itinerary.hotelStarRating}-Star)</span>
-                        </div>
-                        <div className="space-y-1 text-sm">
-                          <div>{itinerary.hotel.name}</div>
-                          <div className="text-muted-foreground">{itinerary.hotel.brand}</div>
-                          <div className="text-muted-foreground">
-                            {itinerary.hotel.pointsPerNight.toLocaleString()} pts/night
-                          </div>
-                          <div className="font-medium">
-                            {itinerary.hotel.totalPoints.toLocaleString()} points total
-                          </div>
-                          <Button variant="outline" size="sm" asChild className="w-full mt-2">
-                            <a href={itinerary.hotel.bookingLink} target="_blank" rel="noopener noreferrer">
-                              Book Hotel <ExternalLink className="ml-1 w-3 h-3" />
-                            </a>
-                          </Button>
-                        </div>
-                      </div>
-                    </div>
-
-                    {itinerary.briefItinerary && itinerary.briefItinerary.length > 0 && (
-                      <div className="space-y-2">
-                        <div className="text-sm font-medium">Trip Summary:</div>
-                        <ul className="text-sm text-muted-foreground space-y-1 pl-4">
-                          {itinerary.briefItinerary.map((item, idx) => (
-                            <li key={idx} className="list-disc">
-                              {item}
-                            </li>
-                          ))}
-                        </ul>
-                      </div>
-                    )}
-                  </CardContent>
-                </Card>
-              ))}
+              {itineraries.map(renderCard)}
             </div>
+
+            {withinReach.length > 0 && (
+              <div className="space-y-4">
+                <div className="space-y-1">
+                  <div className="text-lg">Within reach</div>
+                  <div className="text-sm text-muted-foreground">
+                    {withinReach.length} more trip(s) you could book with a few more EDGE points
+                  </div>
+                </div>
+                <div className="grid gap-4">
+                  {withinReach.map(renderCard)}
+                </div>
+              </div>
+            )}
+
+            {lastSearch && (
+              <ProgramComparison search={lastSearch} routes={comparisonRoutes([...itineraries, ...withinReach])} />
+            )}
+
+            {page?.nextCursor && (
+              <Button variant="outline" className="w-full" type="button" onClick={loadMore} disabled={loadingMore}>
+                {loadingMore ? 'Loading...' : 'Load more trips'}
+              </Button>
+            )}
           </div>
-        ) : availablePoints && axisCard && itineraries.length === 0 && destinationCity ? (
+        ) : availablePoints && axisCard && destinationCity ? (
           <div className="p-4 bg-muted rounded-lg text-center text-muted-foreground">
-            No trips found within your points budget. Try adding more points or adjusting your preferences.
+            No trips found within your points budget. Try adding more points, allowing an "Almost affordable" margin, or adjusting your preferences.
           </div>
         ) : null}
       </CardContent>
@@ -1,8 +1,9 @@
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
 import { Button } from './ui/button';
 import { Badge } from './ui/badge';
-import { ExternalLink, MapPin, Calendar, Hotel, Plane, ArrowLeft, Download, Share2 } from 'lucide-react';
+import { ExternalLink, MapPin, Calendar, Hotel, Plane, ArrowLeft } from 'lucide-react';
 import { Separator } from './ui/separator';
+import { ResultsActions } from './ResultsActions';
 
 export interface Itinerary {
   id: string;
@@ -73,14 +74,7 @@ export function ItineraryOutput({ itineraries, onBack, formData }: ItineraryOutp
           </p>
         </div>
         <div className="flex gap-2">
-          <Button variant="outline" size="sm" className="gap-2">
-            <Share2 className="w-4 h-4" />
-            Share
-          </Button>
-          <Button variant="outline" size="sm" className="gap-2">
-            <Download className="w-4 h-4" />
-            Export
-          </Button>
+          <ResultsActions title="Your Trip Options" search={formData} itineraries={itineraries} />
           <Button onClick={onBack} variant="outline" className="gap-2">
             <ArrowLeft className="w-4 h-4" />
             New Search
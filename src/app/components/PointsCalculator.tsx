@@ -7,51 +7,65 @@ import { Button } from './ui/button';
 import { Badge } from './ui/badge';
 import { ExternalLink, MapPin, Calendar, Hotel, Plane, CreditCard, AlertCircle } from 'lucide-react';
 import { Alert, AlertDescription, AlertTitle } from './ui/alert';
+import { apiFetch, readApiError } from '../lib/api';
+import { describeDataAge, type Freshness } from '../lib/freshness';
+import { findCatalogCard, useCatalog } from '../lib/catalog';
+import { isWebLink } from '../lib/itinerary';
+import { originLabel } from '../lib/origins';
+
+// Cheapest bookable outbound + return pair on one program
+interface RoundTripPrice {
+  departureDate: string;
+  returnDate: string;
+  nights: number;
+  outboundMiles: number;
+  returnMiles: number;
+  mileageCost: number;
+  edgePointsRequired: number;
+  datesAvailable: number;
+}
+
+interface ProgramRequirement {
+  program: string;
+  programLevel: string;
+  disclaimer: string | null;
+  cabin: string;
+  lowestMiles: number;
+  roundTrip: RoundTripPrice | null;
+  tripMiles: number | null;
+  edgePointsRequired: number | null;
+  exceedsTransferCap: boolean;
+  datesAvailable: number;
+  destinations: string[];
+  destinationName: string | null;
+  nonstop: boolean;
+  pointsGap: number | null;
+}
+
+// Accor stay priced by the server for the trip's nights
+interface HotelStay {
+  name: string;
+  brand: string;
+  city: string;
+  nights: number;
+  pointsPerNight: number;
+  accorPoints: number;
+  edgePointsRequired: number;
+  estimated: boolean;
+  bookingLink: string;
+}
 
 interface PointsNeeded {
   flights?: number;
-  hotels: number;
+  hotel: HotelStay | null;
   total: number;
-  breakdown: {
-    outboundFlight?: number;
-    returnFlight?: number;
-    nightlyRate: number;
-    nights: number;
-  };
+  roundTrip: boolean;
+  cheapest?: ProgramRequirement;
   isDomestic: boolean;
+  programs: ProgramRequirement[];
+  freshness?: Freshness | null;
 }
 
-const AXIS_BANK_CARDS = [
-  { id: 'burgundy-private', name: 'Burgundy Private Credit Card' },
-  { id: 'magnus-burgundy', name: 'Magnus for Burgundy Credit Card' },
-  { id: 'magnus-standard', name: 'Magnus Credit Card (Standard)' },
-  { id: 'reserve', name: 'Reserve Credit Card' },
-  { id: 'select', name: 'Select Credit Card' },
-  { id: 'privilege', name: 'Privilege Credit Card' },
-  { id: 'privilege-easy', name: 'Privilege Easy Credit Card' },
-  { id: 'rewards', name: 'Axis Bank Rewards Credit Card' },
-  { id: 'indianoil-regular', name: 'Axis Bank IndianOil Credit Card (regular)' },
-  { id: 'indianoil-easy', name: 'IndianOil Easy Credit Card' },
-  { id: 'myzone', name: 'Axis Bank My Zone Credit Card' },
-  { id: 'myzone-easy', name: 'Axis Bank My Zone Easy Credit Card' },
-  { id: 'signature', name: 'Axis Bank Signature Credit Card' },
-  { id: 'titanium-smart-traveller', name: 'Axis Bank Titanium Smart Traveller Credit Card' },
-  { id: 'pride-platinum', name: 'Axis Bank Pride Platinum Credit Card' },
-  { id: 'pride-signature', name: 'Axis Bank Pride Signature Credit Card' },
-];
-
-const ORIGIN_CITIES = [
-  'Delhi',
-  'Mumbai',
-  'Bengaluru',
-  'Hyderabad',
-  'Chennai',
-];
-
-const HOTEL_BRANDS = ['Accor'];
-
-const CABIN_TYPES = ['Economy', 'Business'];
-
 // Generate forward-facing months for next 12 months
 const generateTravelMonths = () => {
   const months = [];
@@ -69,87 +83,109 @@ const generateTravelMonths = () => {
 
 const TRAVEL_MONTHS = generateTravelMonths();
 
-// List of Indian cities for domestic detection
-const INDIAN_CITIES = [
-  'delhi', 'mumbai', 'bengaluru', 'bangalore', 'hyderabad', 'chennai',
-  'kolkata', 'pune', 'ahmedabad', 'jaipur', 'surat', 'lucknow',
-  'kanpur', 'nagpur', 'indore', 'thane', 'bhopal', 'visakhapatnam',
-  'pimpri', 'patna', 'vadodara', 'ghaziabad', 'ludhiana', 'agra',
-  'nashik', 'faridabad', 'meerut', 'rajkot', 'goa', 'udaipur',
-  'kerala', 'manali', 'shimla', 'darjeeling', 'ooty', 'pondicherry',
-  'amritsar', 'varanasi', 'mysore', 'kochi', 'coimbatore'
-];
-
 export function PointsCalculator() {
   const [origin, setOrigin] = useState('');
   const [destination, setDestination] = useState('');
   const [travelMonth, setTravelMonth] = useState('');
+  const [tripType, setTripType] = useState('roundtrip');
+  const [nights, setNights] = useState('');
   const [cabinType, setCabinType] = useState('');
   const [hotelBrand, setHotelBrand] = useState('');
   const [axisCard, setAxisCard] = useState('');
+  const [availablePoints, setAvailablePoints] = useState('');
   const [result, setResult] = useState<PointsNeeded | null>(null);
+  const [loading, setLoading] = useState(false);
+  const { catalog, error: catalogError } = useCatalog();
+  const originAirports = catalog.origins;
+  const [error, setError] = useState<string | null>(null);
 
   const resetForm = () => {
     setOrigin('');
     setDestination('');
     setTravelMonth('');
+    setTripType('roundtrip');
+    setNights('');
     setCabinType('');
     setHotelBrand('');
     setAxisCard('');
+    setAvailablePoints('');
     setResult(null);
+    setError(null);
   };
 
-  const isDomesticDestination = (dest: string): boolean => {
-    const destLower = dest.toLowerCase();
-    return INDIAN_CITIES.some(city => destLower.includes(city)) || destLower.includes('india');
-  };
+  // A hotel program source from the catalog, or 'any' for no hotel
+  const wantsHotel = hotelBrand !== '' && hotelBrand !== 'any';
+  const isRoundTrip = tripType === 'roundtrip';
+  // Nights price the hotel stay and set when the return leg flies
+  const needsNights = wantsHotel || isRoundTrip;
+  const nightsValid = !needsNights || (Number.isInteger(Number(nights)) && Number(nights) >= 1 && Number(nights) <= 30);
 
-  const calculatePoints = () => {
-    if (!origin || !destination || !travelMonth || !cabinType || !hotelBrand || !axisCard) return;
+  const fetchRequirements = async (): Promise<{
+    domestic: boolean;
+    programs: ProgramRequirement[];
+    hotel: HotelStay | null;
+    freshness: Freshness | null;
+  }> => {
+    const payload = {
+      origin,
+      destination,
+      travelMonth,
+      cabin: cabinType,
+      cardDisplayName: findCatalogCard(catalog, axisCard)?.name || axisCard,
+      edgePoints: availablePoints ? Number(availablePoints) : undefined,
+      roundTrip: isRoundTrip,
+      includeHotel: wantsHotel,
+      tripDuration: needsNights ? Number(nights) : undefined,
+    };
 
-    const nights = parseInt(travelMonth);
-    const isDomestic = isDomesticDestination(destination);
-    
-    // Base hotel points by brand
-    const hotelMultiplier = {
-      'Accor': 28000,
-    }[hotelBrand] || 30000;
+    const resp = await apiFetch('/api/points-required', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
 
-    // Destination multiplier for pricing
-    const baseMultiplier = isDomestic ? 0.7 : 1.2;
-    const nightlyRate = Math.round(hotelMultiplier * baseMultiplier);
-    const hotels = nightlyRate * nights;
+    if (!resp.ok) {
+      throw new Error(await readApiError(resp));
+    }
 
-    if (isDomestic) {
-      // Domestic: Only hotel points
-      setResult({
-        hotels,
-        total: hotels,
-        breakdown: {
-          nightlyRate,
-          nights,
-        },
-        isDomestic: true,
-      });
-    } else {
-      // International: Hotel + Flight points
-      const outboundFlight = Math.round(30000 * 1.0); // Base international flight
-      const returnFlight = Math.round(30000 * 1.0);
-      const flights = outboundFlight + returnFlight;
-      const total = flights + hotels;
+    const data = await resp.json();
+    return {
+      domestic: data?.domestic === true,
+      programs: Array.isArray(data?.programs) ? data.programs : [],
+      hotel: data?.hotel || null,
+      freshness: data?.freshness || null,
+    };
+  };
+
+  const calculatePoints = async () => {
+    if (!origin || !destination || !travelMonth || !cabinType || !hotelBrand || !axisCard || !nightsValid) return;
+
+    setLoading(true);
+    setError(null);
+    setResult(null);
+
+    try {
+      // The server decides whether the trip is domestic (no flight search then)
+      const { domestic, programs, hotel, freshness } = await fetchRequirements();
+      // Cheapest program that prices the whole trip (both legs on a round trip)
+      const cheapest = programs.find((p) => typeof p.edgePointsRequired === 'number');
+      const flights = cheapest?.edgePointsRequired ?? undefined;
+      const total = (flights || 0) + (hotel?.edgePointsRequired || 0);
 
       setResult({
         flights,
-        hotels,
+        hotel,
         total,
-        breakdown: {
-          outboundFlight,
-          returnFlight,
-          nightlyRate,
-          nights,
-        },
-        isDomestic: false,
+        roundTrip: !domestic && isRoundTrip,
+        cheapest,
+        isDomestic: domestic,
+        programs,
+        freshness,
       });
+    } catch (err: any) {
+      setError(err?.message || 'Something went wrong');
+    } finally {
+      setLoading(false);
     }
   };
 
@@ -173,13 +209,26 @@ export function PointsCalculator() {
                 <SelectValue placeholder="Select card" />
               </SelectTrigger>
               <SelectContent>
-                {AXIS_BANK_CARDS.map((card) => (
+                {catalog.cards.map((card) => (
                   <SelectItem key={card.id} value={card.id}>
                     {card.name}
                   </SelectItem>
                 ))}
               </SelectContent>
             </Select>
+            {catalogError && <p className="text-xs text-destructive">{catalogError} — card list unavailable.</p>}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="points-calc">Available Edge Reward Points (optional)</Label>
+            <Input
+              id="points-calc"
+              type="number"
+              placeholder="e.g., 250000"
+              value={availablePoints}
+              onChange={(e) => setAvailablePoints(e.target.value)}
+              min="0"
+            />
           </div>
 
           <div className="space-y-2">
@@ -192,9 +241,9 @@ export function PointsCalculator() {
                 <SelectValue placeholder="Select origin" />
               </SelectTrigger>
               <SelectContent>
-                {ORIGIN_CITIES.map((city) => (
-                  <SelectItem key={city} value={city}>
-                    {city}
+                {originAirports.map((airport) => (
+                  <SelectItem key={airport.iata} value={airport.iata}>
+                    {originLabel(airport)}
                   </SelectItem>
                 ))}
               </SelectContent>
@@ -234,6 +283,41 @@ export function PointsCalculator() {
             </Select>
           </div>
 
+          <div className="space-y-2">
+            <Label htmlFor="trip-type">
+              <Plane className="inline w-4 h-4 mr-1" />
+              Trip Type
+            </Label>
+            <Select value={tripType} onValueChange={setTripType}>
+              <SelectTrigger id="trip-type">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="roundtrip">Round trip</SelectItem>
+                <SelectItem value="oneway">One way</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="nights-calc">
+              <Calendar className="inline w-4 h-4 mr-1" />
+              Nights{needsNights ? '' : ' (optional)'}
+            </Label>
+            <Input
+              id="nights-calc"
+              type="number"
+              placeholder="e.g., 7"
+              value={nights}
+              onChange={(e) => setNights(e.target.value)}
+              min="1"
+              max="30"
+            />
+            {needsNights && nights !== '' && !nightsValid && (
+              <p className="text-xs text-destructive">Enter between 1 and 30 nights.</p>
+            )}
+          </div>
+
           <div className="space-y-2">
             <Label htmlFor="cabin-type">
               <Plane className="inline w-4 h-4 mr-1" />
@@ -244,7 +328,7 @@ export function PointsCalculator() {
                 <SelectValue placeholder="Select cabin type" />
               </SelectTrigger>
               <SelectContent>
-                {CABIN_TYPES.map((type) => (
+                {catalog.cabins.map(({ label: type }) => (
                   <SelectItem key={type} value={type}>
                     {type}
                   </SelectItem>
@@ -264,9 +348,9 @@ export function PointsCalculator() {
               </SelectTrigger>
               <SelectContent>
                 <SelectItem value="any">Not required</SelectItem>
-                {HOTEL_BRANDS.map((brand) => (
-                  <SelectItem key={brand} value={brand}>
-                    {brand}
+                {catalog.hotelPrograms.map((program) => (
+                  <SelectItem key={program.source} value={program.source}>
+                    {program.name}
                   </SelectItem>
                 ))}
               </SelectContent>
@@ -278,11 +362,17 @@ export function PointsCalculator() {
           onClick={calculatePoints} 
           className="w-full"
           type="button"
-          disabled={!origin || !destination || !travelMonth || !cabinType || !hotelBrand || !axisCard}
+          disabled={!origin || !destination || !travelMonth || !cabinType || !hotelBrand || !axisCard || !nightsValid || loading}
         >
-          Calculate Points Needed
+          {loading ? 'Checking availability...' : 'Calculate Points Needed'}
         </Button>
 
+        {error && (
+          <div className="p-3 rounded-md bg-destructive/10 text-destructive text-sm">
+            {error}
+          </div>
+        )}
+
         {result && (
           <div className="space-y-4">
             {result.isDomestic && (
@@ -290,7 +380,8 @@ export function PointsCalculator() {
                 <AlertCircle className="h-4 w-4" />
                 <AlertTitle>Domestic Destination Detected</AlertTitle>
                 <AlertDescription>
-                  This is a domestic trip. Flight points are not redeemable as of now. Only hotel points are calculated.
+                  This is a domestic trip. Flight points are not redeemable as of now.{' '}
+                  {wantsHotel ? 'Only hotel points are calculated.' : 'Choose a hotel to price the stay.'}
                 </AlertDescription>
               </Alert>
             )}
@@ -309,36 +400,130 @@ export function PointsCalculator() {
               </div>
 
               <div className="grid gap-4 md:grid-cols-2">
-                {!result.isDomestic && result.flights && (
+                {!result.isDomestic && (
                   <div className="space-y-2">
                     <div className="flex items-center gap-2">
                       <Plane className="w-4 h-4" />
-                      <span>Flight Points (International)</span>
+                      <span>Flight Points (International, {result.roundTrip ? 'round trip' : 'one-way'})</span>
                     </div>
                     <div className="pl-6 space-y-1 text-sm text-muted-foreground">
-                      <div>Outbound: {result.breakdown.outboundFlight?.toLocaleString()}</div>
-                      <div>Return: {result.breakdown.returnFlight?.toLocaleString()}</div>
-                      <div className="font-medium text-foreground">
-                        Total: {result.flights.toLocaleString()}
-                      </div>
+                      {result.flights && result.cheapest ? (
+                        <>
+                          <div>Cheapest program: {result.cheapest.program}</div>
+                          {result.cheapest.roundTrip ? (
+                            <>
+                              <div>
+                                Outbound {result.cheapest.roundTrip.departureDate}:{' '}
+                                {result.cheapest.roundTrip.outboundMiles.toLocaleString()} miles
+                              </div>
+                              <div>
+                                Return {result.cheapest.roundTrip.returnDate} ({result.cheapest.roundTrip.nights} nights):{' '}
+                                {result.cheapest.roundTrip.returnMiles.toLocaleString()} miles
+                              </div>
+                            </>
+                          ) : (
+                            <div>Outbound: {result.cheapest.lowestMiles.toLocaleString()} miles</div>
+                          )}
+                          <div className="font-medium text-foreground">
+                            Total: {result.flights.toLocaleString()} EDGE points
+                          </div>
+                        </>
+                      ) : (
+                        <div>
+                          {result.roundTrip
+                            ? 'No program has award space both ways for this month, trip length and cabin.'
+                            : 'No award availability found for this month and cabin.'}
+                        </div>
+                      )}
                     </div>
                   </div>
                 )}
 
+                {wantsHotel && (
+                  <div className="space-y-2">
+                    <div className="flex items-center gap-2">
+                      <Hotel className="w-4 h-4" />
+                      <span>Hotel Points</span>
+                    </div>
+                    <div className="pl-6 space-y-1 text-sm text-muted-foreground">
+                      {result.hotel ? (
+                        <>
+                          <div>
+                            {result.hotel.name}
+                            {result.hotel.estimated ? ' • estimated from typical rates' : ''}
+                          </div>
+                          <div>
+                            {`${result.hotel.pointsPerNight.toLocaleString()} Accor points/night × ${result.hotel.nights} night(s)`}
+                          </div>
+                          <div className="font-medium text-foreground">
+                            Total: {result.hotel.edgePointsRequired.toLocaleString()} EDGE points
+                          </div>
+                        </>
+                      ) : (
+                        <div>No Accor pricing available for this destination.</div>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {result.programs.length > 0 && (
                 <div className="space-y-2">
-                  <div className="flex items-center gap-2">
-                    <Hotel className="w-4 h-4" />
-                    <span>Hotel Points</span>
+                  <div className="flex items-center justify-between">
+                    <div className="text-sm font-medium">By program</div>
+                    {result.freshness && (
+                      <div className="text-xs text-muted-foreground" title={result.freshness.fetchedAt}>
+                        {describeDataAge(result.freshness)}
+                      </div>
+                    )}
                   </div>
-                  <div className="pl-6 space-y-1 text-sm text-muted-foreground">
-                    <div>Per night: {result.breakdown.nightlyRate.toLocaleString()}</div>
-                    <div>Nights: {result.breakdown.nights}</div>
-                    <div className="font-medium text-foreground">
-                      Total: {result.hotels.toLocaleString()}
-                    </div>
+                  <div className="grid gap-2">
+                    {result.programs.map((p) => (
+                      <div key={p.program} className="p-3 bg-background rounded-md text-sm space-y-1">
+                        <div className="flex items-center justify-between">
+                          <span className="font-medium">{p.program}</span>
+                          <div className="flex items-center gap-2">
+                            {p.nonstop && (
+                              <Badge variant="outline" className="text-xs font-semibold">
+                                Nonstop
+                              </Badge>
+                            )}
+                            <Badge variant="secondary">
+                              {p.edgePointsRequired !== null ? `${p.edgePointsRequired.toLocaleString()} EDGE pts` : 'N/A'}
+                            </Badge>
+                          </div>
+                        </div>
+                        <div className="text-muted-foreground">
+                          {result.roundTrip
+                            ? p.roundTrip
+                              ? `${p.roundTrip.mileageCost.toLocaleString()} miles round trip • ${p.roundTrip.departureDate} → ${p.roundTrip.returnDate}` +
+                                ` • ${p.roundTrip.datesAvailable} departure date(s) at this price`
+                              : `${p.lowestMiles.toLocaleString()} miles one-way • no return within the trip length`
+                            : `${p.lowestMiles.toLocaleString()} miles • available on ${p.datesAvailable} date(s) at this price`}
+                          {p.destinationName || p.destinations.length > 0
+                            ? ` • ${p.destinationName || p.destinations.join(', ')}`
+                            : ''}
+                        </div>
+                        {p.pointsGap !== null && (
+                          <div className={p.pointsGap > 0 ? 'text-destructive' : 'text-green-600'}>
+                            {p.pointsGap > 0
+                              ? `${p.pointsGap.toLocaleString()} EDGE points short`
+                              : 'Covered by your balance'}
+                          </div>
+                        )}
+                        {p.exceedsTransferCap && (
+                          <div className="text-xs text-destructive">
+                            Exceeds this card's yearly transfer cap for this partner
+                          </div>
+                        )}
+                        {p.disclaimer && (
+                          <div className="text-xs text-muted-foreground">{p.disclaimer}</div>
+                        )}
+                      </div>
+                    ))}
                   </div>
                 </div>
-              </div>
+              )}
 
               <div className="pt-4 space-y-2">
                 <div className="text-sm text-muted-foreground">
@@ -352,15 +537,13 @@ export function PointsCalculator() {
                       </a>
                     </Button>
                   )}
-                  <Button variant="outline" size="sm" asChild>
-                    <a 
-                      href={hotelBrand === 'Accor' ? 'https://www.accor.com' : 'https://www.accor.com'} 
-                      target="_blank" 
-                      rel="noopener noreferrer"
-                    >
-                      {hotelBrand} Hotels <ExternalLink className="ml-1 w-3 h-3" />
-                    </a>
-                  </Button>
+                  {result.hotel && isWebLink(result.hotel.bookingLink) && (
+                    <Button variant="outline" size="sm" asChild>
+                      <a href={result.hotel.bookingLink} target="_blank" rel="noopener noreferrer">
+                        {result.hotel.brand} Hotels <ExternalLink className="ml-1 w-3 h-3" />
+                      </a>
+                    </Button>
+                  )}
                 </div>
               </div>
             </div>
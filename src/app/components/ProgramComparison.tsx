@@ -0,0 +1,187 @@
+import { useState } from 'react';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+import type {
+  ComparisonRow,
+  ProgramComparisonRequest,
+  ProgramComparisonResponse,
+} from '../../../shared/apiSchema.js';
+import { apiFetch, readApiError } from '../lib/api';
+import { describeDataAge, type Freshness } from '../lib/freshness';
+
+export interface ComparisonRoute {
+  origin: string;
+  destination: string;
+  label: string;
+}
+
+interface ProgramComparisonProps {
+  // The search the results came from (card, balance, month, cabin, travellers)
+  search: Record<string, unknown>;
+  routes: ComparisonRoute[];
+}
+
+const routeValue = (route: ComparisonRoute) => `${route.origin}-${route.destination}`;
+
+const rowStatus = (row: ComparisonRow) => {
+  if (!row.transferable) return 'Card can’t transfer here';
+  if (!row.available) return 'No space this month';
+  return null;
+};
+
+// Every program's price for one route of the results, side by side (POST /api/compare-programs)
+export function ProgramComparison({ search, routes }: ProgramComparisonProps) {
+  const [selected, setSelected] = useState('');
+  const [rows, setRows] = useState<ComparisonRow[]>([]);
+  const [freshness, setFreshness] = useState<Freshness | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  if (routes.length === 0) return null;
+
+  const compare = async () => {
+    const route = routes.find((r) => routeValue(r) === selected);
+    if (!route) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const payload: ProgramComparisonRequest = {
+        cardDisplayName: search.cardDisplayName as string,
+        edgePoints: search.edgePoints as number,
+        origin: route.origin,
+        destination: route.destination,
+        travelMonth: search.travelMonth as string,
+        cabin: search.cabin as ProgramComparisonRequest['cabin'],
+        travellers: (search.travellers as number) || 1,
+      };
+      const resp = await apiFetch('/api/compare-programs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+      });
+      if (!resp.ok) {
+        throw new Error(await readApiError(resp));
+      }
+      const data = (await resp.json()) as ProgramComparisonResponse;
+      setRows(data.programs || []);
+      setFreshness(data.freshness || null);
+    } catch (err: any) {
+      setRows([]);
+      setError(err?.message || 'Could not compare programs');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3 rounded-lg border p-4">
+      <div className="text-lg">Compare programs</div>
+      <div className="flex flex-col gap-2 md:flex-row md:items-end">
+        <div className="space-y-2 md:w-72">
+          <Label htmlFor="compare-route">Route</Label>
+          <Select
+            value={selected}
+            onValueChange={(value) => {
+              setSelected(value);
+              setRows([]);
+            }}
+          >
+            <SelectTrigger id="compare-route">
+              <SelectValue placeholder="Pick a route from the results" />
+            </SelectTrigger>
+            <SelectContent>
+              {routes.map((route) => (
+                <SelectItem key={routeValue(route)} value={routeValue(route)}>
+                  {route.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <Button variant="outline" type="button" onClick={compare} disabled={!selected || loading}>
+          {loading ? 'Comparing...' : 'Compare every program'}
+        </Button>
+      </div>
+
+      {error && (
+        <div className="p-3 rounded-md bg-destructive/10 text-destructive text-sm">
+          {error}
+        </div>
+      )}
+
+      {rows.length > 0 && (
+        <>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Program</TableHead>
+                <TableHead>Cheapest</TableHead>
+                <TableHead>EDGE points</TableHead>
+                <TableHead>Non-stop</TableHead>
+                <TableHead>Days available</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {rows.map((row) => (
+                <TableRow key={row.source} className={row.cheapest ? '' : 'text-muted-foreground'}>
+                  <TableCell className="whitespace-normal">
+                    <div className="flex flex-wrap items-center gap-1">
+                      <span>{row.program}</span>
+                      {row.programLevel === 'LIMITED_RELIABLE' && (
+                        <Badge variant="outline" className="text-xs border-amber-300 text-amber-800">
+                          Limited data
+                        </Badge>
+                      )}
+                      {row.carrierSurcharges && (
+                        <Badge variant="outline" className="text-xs border-amber-300 text-amber-800">
+                          Carrier surcharges
+                        </Badge>
+                      )}
+                    </div>
+                    {row.disclaimer && <div className="text-xs text-muted-foreground">{row.disclaimer}</div>}
+                  </TableCell>
+                  <TableCell>
+                    {rowStatus(row) || (
+                      <>
+                        <div>{`${row.cheapest?.mileageCost.toLocaleString()} miles`}</div>
+                        {row.cheapest?.date && <div className="text-xs text-muted-foreground">{row.cheapest.date}</div>}
+                      </>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {row.cheapest ? (
+                      <span className={row.withinBudget === false ? 'text-amber-800' : ''}>
+                        {row.cheapest.edgePointsRequired.toLocaleString()}
+                        {row.cheapest.exceedsTransferCap ? ' (over cap)' : ''}
+                      </span>
+                    ) : (
+                      '—'
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {row.cheapestNonstop
+                      ? `${row.cheapestNonstop.edgePointsRequired.toLocaleString()} pts`
+                      : row.available
+                        ? 'None'
+                        : '—'}
+                  </TableCell>
+                  <TableCell>
+                    {row.available ? `${row.daysAvailable}${row.nonstopDays > 0 ? ` (${row.nonstopDays} non-stop)` : ''}` : '—'}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          {freshness && (
+            <div className="text-xs text-muted-foreground" title={freshness.fetchedAt}>
+              {describeDataAge(freshness)}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
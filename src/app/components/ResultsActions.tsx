@@ -0,0 +1,98 @@
+import { useState } from 'react';
+import { Button } from './ui/button';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from './ui/dropdown-menu';
+import { Download, Share2 } from 'lucide-react';
+import { apiFetch } from '../lib/api';
+import { downloadFile, itinerariesToCsv, itinerariesToIcs, printSummary } from '../lib/exportResults';
+import type { Freshness } from '../lib/freshness';
+import type { Itinerary } from '../lib/itinerary';
+
+interface ResultsActionsProps {
+  title: string;
+  search: Record<string, unknown>;
+  itineraries: Itinerary[];
+  withinReach?: Itinerary[];
+  freshness?: Freshness | null;
+  // Set when already viewing a permalink: Share just copies it
+  shareId?: string;
+}
+
+export const shareLink = (id: string) =>
+  `${window.location.origin}${window.location.pathname}?share=${encodeURIComponent(id)}`;
+
+export function ResultsActions({ title, search, itineraries, withinReach = [], freshness, shareId }: ResultsActionsProps) {
+  const [shareStatus, setShareStatus] = useState<string | null>(null);
+  const sections = [
+    { label: 'Bookable now', itineraries },
+    { label: 'Within reach', itineraries: withinReach },
+  ];
+  const fileBase = `trip-options-${new Date().toISOString().slice(0, 10)}`;
+
+  const handleShare = async () => {
+    try {
+      let id = shareId;
+      if (!id) {
+        setShareStatus('Creating link...');
+        const resp = await apiFetch('/api/shares', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ search, itineraries, withinReach, freshness }),
+        });
+        const data = await resp.json().catch(() => ({}));
+        if (!resp.ok) {
+          throw new Error(data?.detail || data?.error || 'Could not create link');
+        }
+        id = data.id as string;
+      }
+      const link = shareLink(id);
+      try {
+        await navigator.clipboard.writeText(link);
+        setShareStatus(`Link copied: ${link}`);
+      } catch {
+        setShareStatus(link);
+      }
+    } catch (err: any) {
+      setShareStatus(err?.message || 'Could not create link');
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-end gap-1">
+      <div className="flex gap-2">
+        <Button variant="outline" size="sm" className="gap-2" onClick={handleShare}>
+          <Share2 className="w-4 h-4" />
+          Share
+        </Button>
+        <DropdownMenu>
+          <DropdownMenuTrigger asChild>
+            <Button variant="outline" size="sm" className="gap-2">
+              <Download className="w-4 h-4" />
+              Export
+            </Button>
+          </DropdownMenuTrigger>
+          <DropdownMenuContent align="end">
+            <DropdownMenuItem onSelect={() => downloadFile(`${fileBase}.csv`, itinerariesToCsv(sections), 'text/csv;charset=utf-8')}>
+              CSV (all options)
+            </DropdownMenuItem>
+            <DropdownMenuItem onSelect={() => downloadFile(`${fileBase}.ics`, itinerariesToIcs(sections), 'text/calendar;charset=utf-8')}>
+              Calendar (.ics)
+            </DropdownMenuItem>
+            <DropdownMenuItem
+              onSelect={() => {
+                if (!printSummary(title, sections)) setShareStatus('Allow pop-ups to print the PDF summary');
+              }}
+            >
+              PDF summary (print)
+            </DropdownMenuItem>
+          </DropdownMenuContent>
+        </DropdownMenu>
+      </div>
+      {shareStatus && <span className="text-xs text-muted-foreground break-all">{shareStatus}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import { useEffect, useState } from 'react';
+import { Button } from './ui/button';
+import {
+  deleteSavedSearch,
+  fetchSavedSearch,
+  forgetSearch,
+  loadStoredSearches,
+  type SavedSearch,
+  type StoredSearch,
+} from '../lib/savedSearches';
+
+interface SavedSearchesProps {
+  // Bumped by the parent after saving a search, to reload the list
+  refreshKey: number;
+}
+
+interface Row {
+  stored: StoredSearch;
+  search: SavedSearch | null;
+  error?: string;
+}
+
+const describeSearch = (search: Record<string, any>) =>
+  `${search.origin || ''} → ${search.destination || ''} • ${search.travelMonth?.slice(0, 7) || ''} • ${search.cabin || ''} • ${Number(search.edgePoints || 0).toLocaleString()} EDGE pts`;
+
+// The alerts this browser has saved, with a way to stop each one
+export function SavedSearches({ refreshKey }: SavedSearchesProps) {
+  const [rows, setRows] = useState<Row[]>([]);
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  useEffect(() => {
+    let active = true;
+    Promise.all(
+      loadStoredSearches().map(async (stored): Promise<Row | null> => {
+        try {
+          const search = await fetchSavedSearch(stored);
+          // Gone from the server (deleted elsewhere): stop showing it
+          if (!search) {
+            forgetSearch(stored.id);
+            return null;
+          }
+          return { stored, search };
+        } catch (err: any) {
+          return { stored, search: null, error: err?.message || 'Could not load saved search' };
+        }
+      })
+    ).then((loaded) => {
+      if (active) setRows(loaded.filter((row): row is Row => row !== null));
+    });
+    return () => {
+      active = false;
+    };
+  }, [refreshKey]);
+
+  const unsubscribe = async (row: Row) => {
+    setBusyId(row.stored.id);
+    try {
+      await deleteSavedSearch(row.stored);
+      setRows((current) => current.filter((r) => r.stored.id !== row.stored.id));
+    } catch (err: any) {
+      setRows((current) =>
+        current.map((r) => (r.stored.id === row.stored.id ? { ...r, error: err?.message || 'Could not delete saved search' } : r))
+      );
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (rows.length === 0) return null;
+
+  return (
+    <div className="space-y-2">
+      <div className="text-sm font-medium">Your saved alerts</div>
+      {rows.map((row) => (
+        <div key={row.stored.id} className="flex flex-col gap-2 p-3 rounded-md bg-muted text-sm md:flex-row md:items-center md:justify-between">
+          <div className="space-y-1">
+            <div>{row.search ? describeSearch(row.search.search) : 'Saved search'}</div>
+            <div className="text-xs text-muted-foreground">
+              {row.error
+                ? row.error
+                : row.search?.lastResult
+                  ? `Last checked ${new Date(row.search.lastResult.takenAt).toLocaleString()} • ${row.search.lastResult.optionCount} option(s)` +
+                    (row.search.lastResult.cheapestEdgePoints !== null
+                      ? ` from ${row.search.lastResult.cheapestEdgePoints.toLocaleString()} EDGE pts`
+                      : '')
+                  : 'Not checked yet'}
+              {row.search?.notifyEmail ? ` • alerts to ${row.search.notifyEmail}` : ''}
+            </div>
+          </div>
+          <Button variant="outline" size="sm" type="button" onClick={() => unsubscribe(row)} disabled={busyId === row.stored.id}>
+            {busyId === row.stored.id ? 'Removing...' : 'Stop alerts'}
+          </Button>
+        </div>
+      ))}
+    </div>
+  );
+}
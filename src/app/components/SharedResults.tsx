@@ -0,0 +1,121 @@
+import { useEffect, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { apiFetch } from '../lib/api';
+import { describeDataAge, type Freshness } from '../lib/freshness';
+import type { Itinerary } from '../lib/itinerary';
+import { ItineraryCard } from './ItineraryCard';
+import { ResultsActions } from './ResultsActions';
+
+interface Share {
+  id: string;
+  createdAt: string;
+  search: Record<string, any>;
+  itineraries: Itinerary[];
+  withinReach: Itinerary[];
+  freshness: Freshness | null;
+}
+
+interface SharedResultsProps {
+  shareId: string;
+  onExit: () => void;
+}
+
+// Read-only view of a results permalink (`?share=<id>`)
+export function SharedResults({ shareId, onExit }: SharedResultsProps) {
+  const [share, setShare] = useState<Share | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let active = true;
+    apiFetch(`/api/shares/${encodeURIComponent(shareId)}`)
+      .then(async (resp) => {
+        const data = await resp.json().catch(() => ({}));
+        if (!resp.ok) throw new Error(data?.detail || data?.error || 'Could not load shared results');
+        if (active) setShare(data);
+      })
+      .catch((err) => {
+        if (active) setError(err?.message || 'Could not load shared results');
+      });
+    return () => {
+      active = false;
+    };
+  }, [shareId]);
+
+  const search = share?.search || {};
+  const title = share
+    ? `Trip options: ${search.origin || ''} → ${search.destination || ''}${search.cabin ? ` (${search.cabin})` : ''}`
+    : 'Shared trip options';
+
+  return (
+    <Card className="w-full">
+      <CardHeader>
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <CardTitle>{title}</CardTitle>
+            <CardDescription>
+              {share
+                ? `Shared results from ${new Date(share.createdAt).toLocaleString()} — read-only`
+                : 'Loading shared results...'}
+            </CardDescription>
+          </div>
+          {share && (
+            <ResultsActions
+              title={title}
+              search={share.search}
+              itineraries={share.itineraries}
+              withinReach={share.withinReach}
+              freshness={share.freshness}
+              shareId={share.id}
+            />
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {error && (
+          <div className="p-3 rounded-md bg-destructive/10 text-destructive text-sm">
+            {error}
+          </div>
+        )}
+
+        {share && (
+          <>
+            <div className="text-sm text-muted-foreground">
+              {[
+                search.cardDisplayName,
+                typeof search.edgePoints === 'number' ? `${search.edgePoints.toLocaleString()} EDGE points` : null,
+                search.travelMonth,
+              ]
+                .filter(Boolean)
+                .join(' • ')}
+            </div>
+            {share.freshness && (
+              <div className="text-xs text-muted-foreground" title={share.freshness.fetchedAt}>
+                {describeDataAge(share.freshness)} (at the time of sharing)
+              </div>
+            )}
+            <div className="grid gap-4">
+              {share.itineraries.map((itinerary) => (
+                <ItineraryCard key={itinerary.id} itinerary={itinerary} />
+              ))}
+            </div>
+            {share.withinReach.length > 0 && (
+              <div className="space-y-4">
+                <div className="text-lg">Within reach</div>
+                <div className="grid gap-4">
+                  {share.withinReach.map((itinerary) => (
+                    <ItineraryCard key={itinerary.id} itinerary={itinerary} />
+                  ))}
+                </div>
+              </div>
+            )}
+          </>
+        )}
+
+        <Button variant="outline" onClick={onExit}>
+          Start your own search
+        </Button>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,217 @@
+import { useState } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { RefreshCw, X } from 'lucide-react';
+import {
+  TRIP_PLAN_REQUEST,
+  type TripInterest,
+  type TripPace,
+  type TripPlan,
+  type TripPlanDayRequest,
+  type TripPlanRequest,
+} from '../../../shared/apiSchema.js';
+import { apiFetch, readApiError } from '../lib/api';
+import type { Itinerary } from '../lib/itinerary';
+
+interface TripPlanPanelProps {
+  itinerary: Itinerary;
+  onClose: () => void;
+}
+
+const INTERESTS = (TRIP_PLAN_REQUEST.properties as any).interests.items.enum as TripInterest[];
+const PACES: { value: TripPace; label: string }[] = [
+  { value: 'relaxed', label: 'Relaxed' },
+  { value: 'balanced', label: 'Balanced' },
+  { value: 'packed', label: 'Packed' },
+];
+
+const DAY_KIND_LABELS = { arrival: 'Arrival', full: '', departure: 'Departure' };
+
+const addDays = (isoDate: string, days: number) =>
+  new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+
+// Arrival is the outbound date; departure is the return flight when there is
+// one, otherwise the trip length after arrival
+function tripDates(itinerary: Itinerary) {
+  const arrivalDate = itinerary.flight?.departure || '';
+  const departureDate =
+    itinerary.flight?.roundTrip && itinerary.flight.return
+      ? itinerary.flight.return
+      : arrivalDate && addDays(arrivalDate, itinerary.duration);
+  return { arrivalDate, departureDate };
+}
+
+const postJson = async (path: string, body: unknown): Promise<TripPlan> => {
+  const resp = await apiFetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  if (!resp.ok) {
+    throw new Error(await readApiError(resp));
+  }
+  return (await resp.json()) as TripPlan;
+};
+
+// Day-by-day plan for the option the user picked (POST /api/trip-plan), with
+// per-day regeneration (POST /api/trip-plan/day)
+export function TripPlanPanel({ itinerary, onClose }: TripPlanPanelProps) {
+  const [interests, setInterests] = useState<TripInterest[]>([]);
+  const [pace, setPace] = useState<TripPace>('balanced');
+  const [plan, setPlan] = useState<TripPlan | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [regenerating, setRegenerating] = useState<number | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const { arrivalDate, departureDate } = tripDates(itinerary);
+  const request: TripPlanRequest = {
+    destination: itinerary.destinationName || itinerary.destination || itinerary.destinationAirport || '',
+    arrivalDate,
+    departureDate,
+    interests,
+    pace,
+    travellers: itinerary.travellers || 1,
+  };
+
+  const toggleInterest = (interest: TripInterest, checked: boolean) => {
+    setInterests((current) => (checked ? [...current, interest] : current.filter((i) => i !== interest)));
+    setPlan(null);
+  };
+
+  const generate = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setPlan(await postJson('/api/trip-plan', request));
+    } catch (err: any) {
+      setError(err?.message || 'Could not plan this trip');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const regenerateDay = async (day: number) => {
+    if (!plan) return;
+    setRegenerating(day);
+    setError(null);
+    try {
+      const payload: TripPlanDayRequest = { ...request, day, plan };
+      setPlan(await postJson('/api/trip-plan/day', payload));
+    } catch (err: any) {
+      setError(err?.message || 'Could not regenerate this day');
+    } finally {
+      setRegenerating(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4 rounded-lg border p-4">
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <div className="text-lg">{`Plan your days in ${request.destination}`}</div>
+          <div className="text-sm text-muted-foreground">
+            {arrivalDate ? `${arrivalDate} → ${departureDate}` : 'Dates unknown for this option'}
+          </div>
+        </div>
+        <Button variant="ghost" size="sm" type="button" onClick={onClose}>
+          <X className="w-4 h-4" />
+        </Button>
+      </div>
+
+      <div className="space-y-2">
+        <Label>Interests</Label>
+        <div className="flex flex-wrap gap-3">
+          {INTERESTS.map((interest) => (
+            <label key={interest} className="flex items-center gap-2 text-sm capitalize">
+              <Input
+                type="checkbox"
+                checked={interests.includes(interest)}
+                onChange={(e) => toggleInterest(interest, e.target.checked)}
+                className="h-4 w-4"
+              />
+              {interest}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex flex-col gap-2 md:flex-row md:items-end">
+        <div className="space-y-2 md:w-48">
+          <Label htmlFor="trip-plan-pace">Pace</Label>
+          <Select
+            value={pace}
+            onValueChange={(value) => {
+              setPace(value as TripPace);
+              setPlan(null);
+            }}
+          >
+            <SelectTrigger id="trip-plan-pace">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {PACES.map((p) => (
+                <SelectItem key={p.value} value={p.value}>
+                  {p.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <Button type="button" onClick={generate} disabled={!arrivalDate || loading}>
+          {loading ? 'Planning...' : plan ? 'Plan again' : 'Plan day by day'}
+        </Button>
+      </div>
+
+      {error && (
+        <div className="p-3 rounded-md bg-destructive/10 text-destructive text-sm">
+          {error}
+        </div>
+      )}
+
+      {plan && (
+        <div className="space-y-3">
+          {plan.source === 'template' && (
+            <div className="text-xs text-muted-foreground">
+              A generic outline; a detailed plan wasn’t available right now.
+            </div>
+          )}
+          {plan.days.map((day) => (
+            <div key={day.day} className="space-y-1 p-3 bg-muted rounded-lg text-sm">
+              <div className="flex items-start justify-between gap-2">
+                <div className="font-medium">
+                  {`Day ${day.day} • ${day.date}`}
+                  {day.kind && DAY_KIND_LABELS[day.kind] ? ` • ${DAY_KIND_LABELS[day.kind]}` : ''}
+                  {` — ${day.title}`}
+                </div>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  type="button"
+                  onClick={() => regenerateDay(day.day)}
+                  disabled={regenerating !== null}
+                >
+                  <RefreshCw className="mr-1 w-3 h-3" />
+                  {regenerating === day.day ? 'Regenerating...' : 'Regenerate day'}
+                </Button>
+              </div>
+              <div><span className="text-muted-foreground">Morning:</span> {day.morning}</div>
+              <div><span className="text-muted-foreground">Afternoon:</span> {day.afternoon}</div>
+              <div><span className="text-muted-foreground">Evening:</span> {day.evening}</div>
+              {day.tips && day.tips.length > 0 && (
+                <ul className="text-muted-foreground pl-4">
+                  {day.tips.map((tip, idx) => (
+                    <li key={idx} className="list-disc">
+                      {tip}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,3 +1,5 @@
+import type { ErrorResponse, FieldError } from '../../../shared/apiSchema.js';
+
 export function getApiBase() {
   const env = (import.meta as any)?.env || {};
   const explicit = env.VITE_API_URL || env.VITE_API_BASE;
@@ -11,3 +13,57 @@ export function getApiBase() {
   return '';
 }
 
+// Session token from POST /api/session, shared by every request until it
+// expires (`token: null` when the server doesn't require one)
+let session: Promise<{ token: string | null; expiresAt: string | null }> | null = null;
+
+function getSession() {
+  if (!session) {
+    session = fetch(`${getApiBase()}/api/session`, { method: 'POST' })
+      .then((resp) => (resp.ok ? resp.json() : { token: null, expiresAt: null }))
+      .catch(() => {
+        session = null;
+        return { token: null, expiresAt: null };
+      });
+  }
+  return session;
+}
+
+async function authHeaders(): Promise<Record<string, string>> {
+  let current = await getSession();
+  if (current.expiresAt && Date.parse(current.expiresAt) - Date.now() < 60 * 1000) {
+    session = null;
+    current = await getSession();
+  }
+  return current.token ? { Authorization: `Bearer ${current.token}` } : {};
+}
+
+// fetch() against the API base with credentials attached; a 401 gets one retry
+// with a fresh session token
+export async function apiFetch(path: string, init: RequestInit = {}) {
+  const send = async () =>
+    fetch(`${getApiBase()}${path}`, {
+      ...init,
+      headers: { ...(init.headers as Record<string, string> | undefined), ...(await authHeaders()) },
+    });
+
+  const resp = await send();
+  if (resp.status !== 401) return resp;
+  session = null;
+  return send();
+}
+
+export const describeFieldErrors = (fields: FieldError[]) =>
+  fields.map((f) => (f.field ? `${f.field} ${f.message}` : f.message)).join('; ');
+
+// Message for a failed API response: the per-field errors when the server sent them
+export async function readApiError(resp: Response, fallback = 'Request failed') {
+  const text = await resp.text().catch(() => '');
+  try {
+    const data = JSON.parse(text) as ErrorResponse;
+    if (data.fields && data.fields.length > 0) return describeFieldErrors(data.fields);
+    return data.detail || data.error || fallback;
+  } catch {
+    return text || fallback;
+  }
+}
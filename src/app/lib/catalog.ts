@@ -0,0 +1,105 @@
+import { useEffect, useState } from 'react';
+import { getApiBase } from './api';
+import { DEFAULT_ORIGINS, type OriginAirport } from './origins';
+
+export interface CatalogCard {
+  id: string;
+  name: string;
+  milesPerPoint: number;
+  capTier: string;
+}
+
+export interface CatalogProgram {
+  source: string;
+  name: string;
+  level: 'LIVE_RELIABLE' | 'LIMITED_RELIABLE';
+  disclaimer: string | null;
+  transferGroup: string;
+  ratioFactor: number;
+  blockSize: number;
+}
+
+export interface CatalogHotelProgram {
+  source: string;
+  name: string;
+  transferGroup: string;
+  ratioFactor: number;
+  blockSize: number;
+}
+
+export interface CatalogCabin {
+  code: string;
+  label: string;
+}
+
+export interface Catalog {
+  version: number | null;
+  cards: CatalogCard[];
+  programs: CatalogProgram[];
+  hotelPrograms: CatalogHotelProgram[];
+  cabins: CatalogCabin[];
+  origins: OriginAirport[];
+}
+
+// Used until /api/catalog answers. Cards and programs only come from the
+// server so the UI can never send a card name the API doesn't know.
+export const FALLBACK_CATALOG: Catalog = {
+  version: null,
+  cards: [],
+  programs: [],
+  hotelPrograms: [],
+  cabins: [
+    { code: 'Y', label: 'Economy' },
+    { code: 'W', label: 'Premium Economy' },
+    { code: 'J', label: 'Business' },
+    { code: 'F', label: 'First' },
+  ],
+  origins: DEFAULT_ORIGINS,
+};
+
+// One fetch per page load, shared by every component; retried on next mount after a failure
+let catalogRequest: Promise<Catalog> | null = null;
+
+function fetchCatalog() {
+  if (!catalogRequest) {
+    catalogRequest = fetch(`${getApiBase()}/api/catalog`)
+      .then((resp) => (resp.ok ? resp.json() : Promise.reject(new Error('Failed to load card catalog'))))
+      .then((data) => ({
+        version: data?.version ?? null,
+        cards: Array.isArray(data?.cards) ? data.cards : [],
+        programs: Array.isArray(data?.programs) ? data.programs : [],
+        hotelPrograms: Array.isArray(data?.hotelPrograms) ? data.hotelPrograms : [],
+        cabins: Array.isArray(data?.cabins) && data.cabins.length > 0 ? data.cabins : FALLBACK_CATALOG.cabins,
+        origins: Array.isArray(data?.origins) && data.origins.length > 0 ? data.origins : DEFAULT_ORIGINS,
+      }))
+      .catch((err) => {
+        catalogRequest = null;
+        throw err;
+      });
+  }
+  return catalogRequest;
+}
+
+// Cards, programs, hotel programs, cabins and origins as served by GET /api/catalog
+export function useCatalog() {
+  const [catalog, setCatalog] = useState<Catalog>(FALLBACK_CATALOG);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let active = true;
+    fetchCatalog()
+      .then((loaded) => {
+        if (active) setCatalog(loaded);
+      })
+      .catch((err) => {
+        if (active) setError(err?.message || 'Failed to load card catalog');
+      });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return { catalog, error };
+}
+
+export const findCatalogCard = (catalog: Catalog, id: string) => catalog.cards.find((c) => c.id === id);
@@ -0,0 +1,156 @@
+import type { Itinerary } from './itinerary';
+
+// CSV / ICS / printable exports of a results view. Everything is built in the
+// browser so the same exports work on live results and on shared permalinks.
+
+export interface ExportSection {
+  label: string;
+  itineraries: Itinerary[];
+}
+
+const flightRoute = (itinerary: Itinerary) =>
+  itinerary.origin ? `${itinerary.origin} → ${itinerary.destination || ''}` : itinerary.destination || '';
+
+const CSV_COLUMNS: Array<[string, (itinerary: Itinerary, section: string) => string | number]> = [
+  ['Status', (_, section) => section],
+  ['Route', (i) => flightRoute(i)],
+  ['Program', (i) => i.flight?.airline || ''],
+  ['Cabin', (i) => i.flight?.cabin || ''],
+  ['Departure', (i) => i.flight?.departure || ''],
+  ['Return', (i) => i.flight?.return || ''],
+  ['Nights', (i) => i.duration],
+  ['Stops', (i) => (typeof i.stops === 'number' ? i.stops : '')],
+  ['Miles', (i) => i.flight?.pointsCost ?? ''],
+  ['Travellers', (i) => i.travellers || 1],
+  ['EDGE points', (i) => i.flight?.edgePoints ?? ''],
+  ['Hotel', (i) => i.hotel?.name || ''],
+  ['Hotel EDGE points', (i) => i.hotel?.edgePoints ?? ''],
+  ['Trip EDGE points', (i) => i.tripEdgePoints ?? i.flight?.edgePoints ?? ''],
+  ['EDGE points per person', (i) => i.perPersonEdgePoints ?? i.flight?.edgePoints ?? ''],
+  ['EDGE points short', (i) => i.shortfall || 0],
+  ['Cash out of pocket (INR)', (i) => i.cashOutOfPocket ?? ''],
+  ['Paise per point', (i) => i.value?.paisePerPoint ?? ''],
+  ['Trip summary', (i) => i.briefItinerary.join(' | ')],
+];
+
+const csvCell = (value: string | number) => {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function itinerariesToCsv(sections: ExportSection[]) {
+  const rows = [CSV_COLUMNS.map(([header]) => header)];
+  for (const section of sections) {
+    for (const itinerary of section.itineraries) {
+      rows.push(CSV_COLUMNS.map(([, read]) => String(read(itinerary, section.label))));
+    }
+  }
+  return rows.map((row) => row.map(csvCell).join(',')).join('\r\n');
+}
+
+const icsText = (value: string) =>
+  value.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+
+const icsDate = (isoDate: string) => isoDate.replace(/-/g, '');
+
+const nextDay = (isoDate: string) => {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+};
+
+// One all-day event per candidate trip, spanning departure → return when known
+export function itinerariesToIcs(sections: ExportSection[]) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Points Travel Planner//Trip options//EN', 'CALSCALE:GREGORIAN'];
+
+  for (const section of sections) {
+    for (const itinerary of section.itineraries) {
+      const departure = itinerary.flight?.departure;
+      if (!departure || !/^\d{4}-\d{2}-\d{2}$/.test(departure)) continue;
+      const returnDate = itinerary.flight?.return;
+      const end = returnDate && /^\d{4}-\d{2}-\d{2}$/.test(returnDate) ? nextDay(returnDate) : nextDay(departure);
+      const points = itinerary.flight?.edgePoints ? `${itinerary.flight.edgePoints.toLocaleString()} EDGE points` : '';
+      const description = [
+        `${itinerary.flight?.airline || ''} ${itinerary.flight?.cabin || ''}`.trim(),
+        points,
+        section.label,
+        ...itinerary.briefItinerary,
+      ].filter(Boolean).join('\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${stamp}-${itinerary.id}-${departure}@points-travel-planner`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${icsDate(departure)}`,
+        `DTEND;VALUE=DATE:${icsDate(end)}`,
+        `SUMMARY:${icsText(`Trip option: ${flightRoute(itinerary)}`)}`,
+        `DESCRIPTION:${icsText(description)}`,
+        'END:VEVENT'
+      );
+    }
+  }
+  lines.push('END:VCALENDAR');
+  return lines.join('\r\n');
+}
+
+export function downloadFile(filename: string, content: string, mimeType: string) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+const escapeHtml = (value: string | number) =>
+  String(value).replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+
+// Opens a print-friendly summary and the browser's print dialog ("Save as PDF")
+export function printSummary(title: string, sections: ExportSection[]) {
+  const win = window.open('', '_blank');
+  if (!win) return false;
+
+  const body = sections
+    .filter((section) => section.itineraries.length > 0)
+    .map((section) => {
+      const trips = section.itineraries
+        .map(
+          (i) => `
+      <div class="trip">
+        <h3>${escapeHtml(flightRoute(i))}</h3>
+        <table>
+          <tr><th>Program</th><td>${escapeHtml(i.flight?.airline || '')}</td></tr>
+          <tr><th>Cabin</th><td>${escapeHtml(i.flight?.cabin || '')}</td></tr>
+          <tr><th>Dates</th><td>${escapeHtml([i.flight?.departure, i.flight?.return].filter(Boolean).join(' → '))}</td></tr>
+          <tr><th>Miles</th><td>${escapeHtml((i.flight?.pointsCost || 0).toLocaleString())}</td></tr>
+          <tr><th>EDGE points</th><td>${escapeHtml((i.flight?.edgePoints || 0).toLocaleString())}${
+            i.shortfall ? ` (${escapeHtml(i.shortfall.toLocaleString())} short)` : ''
+          }</td></tr>
+          ${i.hotel ? `<tr><th>Hotel</th><td>${escapeHtml(`${i.hotel.name} (${i.hotel.nights} nights, ${i.hotel.edgePoints.toLocaleString()} EDGE points)`)}</td></tr>` : ''}
+        </table>
+        ${i.briefItinerary.length > 0 ? `<ul>${i.briefItinerary.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : ''}
+      </div>`
+        )
+        .join('');
+      return `<h2>${escapeHtml(section.label)}</h2>${trips}`;
+    })
+    .join('');
+
+  win.document.write(`<!doctype html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 24px; color: #111; }
+  h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 24px; } h3 { font-size: 14px; margin: 0 0 6px; }
+  .trip { border: 1px solid #ddd; border-radius: 6px; padding: 10px 12px; margin: 10px 0; page-break-inside: avoid; }
+  table { border-collapse: collapse; font-size: 12px; } th { text-align: left; padding-right: 12px; color: #555; font-weight: 500; }
+  ul { font-size: 12px; margin: 6px 0 0; padding-left: 18px; }
+</style></head>
+<body><h1>${escapeHtml(title)}</h1>${body}</body></html>`);
+  win.document.close();
+  win.focus();
+  win.print();
+  return true;
+}
@@ -0,0 +1,16 @@
+import type { Freshness } from '../../../shared/apiSchema.js';
+
+export type { Freshness };
+
+function describeAge(age: number) {
+  if (age < 60) return 'Availability data fetched just now';
+  if (age < 3600) return `Availability data from ${Math.round(age / 60)} min ago`;
+  if (age < 86400) return `Availability data from ${Math.round(age / 3600)} h ago`;
+  return `Availability data from ${Math.round(age / 86400)} day(s) ago`;
+}
+
+export function describeDataAge(freshness?: Freshness | null) {
+  if (!freshness) return null;
+  const text = describeAge(Math.max(0, freshness.ageSeconds || 0));
+  return freshness.stale ? `${text} (live searches are paused for today)` : text;
+}
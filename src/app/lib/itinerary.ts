@@ -0,0 +1,69 @@
+import type { RedemptionValue } from '../../../shared/apiSchema.js';
+
+export type { RedemptionValue };
+
+export interface Itinerary {
+  id: string;
+  destination: string | null;
+  destinationName?: string | null;
+  destinationAirport?: string;
+  duration: number;
+  // Set when the search included an Accor stay
+  hotelStarRating?: number | null;
+  stops?: number | null;
+  exceedsTransferCap?: boolean;
+  // Costs below are for the whole party
+  travellers?: number;
+  perPersonEdgePoints?: number;
+  seatsAvailable?: number | null;
+  seatsConfirmed?: boolean;
+  // Departure dates with space for the same program, route and cabin
+  availableDates?: number;
+  // Taxes, fees and surcharges in INR (null when the program didn't report them)
+  cashOutOfPocket?: number | null;
+  carrierSurcharges?: boolean;
+  shortfall?: number;
+  origin?: string;
+  originName?: string | null;
+  value?: RedemptionValue | null;
+  positioning?: {
+    from: string;
+    fromCity: string;
+    to: string;
+    toCity: string;
+    distanceKm: number;
+  } | null;
+  tripSummary?: string[];
+  flight?: {
+    airline: string;
+    cabin?: string;
+    departure: string;
+    return: string;
+    pointsCost: number;
+    edgePoints?: number;
+    roundTrip?: boolean;
+    outboundProgram?: string;
+    returnProgram?: string;
+    bookingLink: string;
+  };
+  hotel?: {
+    name: string;
+    brand: string;
+    pointsPerNight: number;
+    totalPoints: number;
+    edgePoints: number;
+    nights: number;
+    rooms: number;
+    estimated: boolean;
+    bookingLink: string;
+  } | null;
+  // Flight + hotel EDGE points when the trip includes a hotel
+  tripEdgePoints?: number;
+  totalPoints: number;
+  highlights: string[];
+  briefItinerary: string[];
+}
+
+// Booking links come from the server or a shared snapshot; only plain web
+// links are rendered
+export const isWebLink = (url: string | undefined) => /^https?:\/\/\S+$/i.test(url || '');
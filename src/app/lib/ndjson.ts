@@ -0,0 +1,24 @@
+// Reads a newline-delimited JSON response, calling `onMessage` for each object
+// as soon as its line has arrived
+export async function readNdjson(resp: Response, onMessage: (message: any) => void) {
+  if (!resp.body) {
+    const text = await resp.text();
+    text.split('\n').filter((line) => line.trim()).forEach((line) => onMessage(JSON.parse(line)));
+    return;
+  }
+
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffered += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const lines = buffered.split('\n');
+    buffered = lines.pop() || '';
+    for (const line of lines) {
+      if (line.trim()) onMessage(JSON.parse(line));
+    }
+    if (done) break;
+  }
+  if (buffered.trim()) onMessage(JSON.parse(buffered));
+}
@@ -0,0 +1,17 @@
+export interface OriginAirport {
+  iata: string;
+  city: string;
+  hub: boolean;
+}
+
+// Used until /api/catalog answers, or if it can't be reached
+export const DEFAULT_ORIGINS: OriginAirport[] = [
+  { iata: 'DEL', city: 'Delhi', hub: true },
+  { iata: 'BOM', city: 'Mumbai', hub: true },
+  { iata: 'BLR', city: 'Bengaluru', hub: true },
+  { iata: 'HYD', city: 'Hyderabad', hub: true },
+  { iata: 'MAA', city: 'Chennai', hub: true },
+  { iata: 'CCU', city: 'Kolkata', hub: true },
+];
+
+export const originLabel = (airport: OriginAirport) => `${airport.city} (${airport.iata})`;
@@ -0,0 +1,69 @@
+import { apiFetch, readApiError } from './api';
+
+// Saved searches this browser created. The server only hands out a search's
+// owner token once (POST /api/saved-searches), so it's kept here with the id;
+// it's needed to view, re-run or delete the search.
+
+const STORAGE_KEY = 'savedSearches';
+
+export interface StoredSearch {
+  id: string;
+  ownerToken: string;
+  savedAt: string;
+}
+
+// Owner view from GET /api/saved-searches/:id
+export interface SavedSearch {
+  id: string;
+  createdAt: string;
+  search: Record<string, any>;
+  notifyEmail: string | null;
+  lastRunAt: string | null;
+  lastResult: { takenAt: string; cheapestEdgePoints: number | null; optionCount: number } | null;
+}
+
+export function loadStoredSearches(): StoredSearch[] {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed.filter((s) => s && typeof s.id === 'string' && typeof s.ownerToken === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+function storeSearches(searches: StoredSearch[]) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(searches));
+  } catch {
+    // Storage full or disabled; the search still exists server-side
+  }
+}
+
+export function rememberSearch(id: string, ownerToken: string) {
+  const others = loadStoredSearches().filter((s) => s.id !== id);
+  storeSearches([...others, { id, ownerToken, savedAt: new Date().toISOString() }]);
+}
+
+export function forgetSearch(id: string) {
+  storeSearches(loadStoredSearches().filter((s) => s.id !== id));
+}
+
+const ownerHeaders = (stored: StoredSearch) => ({ 'X-Saved-Search-Token': stored.ownerToken });
+
+// The search, or null when the server no longer has it (deleted, or the token is wrong)
+export async function fetchSavedSearch(stored: StoredSearch): Promise<SavedSearch | null> {
+  const resp = await apiFetch(`/api/saved-searches/${encodeURIComponent(stored.id)}`, { headers: ownerHeaders(stored) });
+  if (resp.status === 404) return null;
+  if (!resp.ok) throw new Error(await readApiError(resp, 'Could not load saved search'));
+  return resp.json();
+}
+
+// Deletes the search (stopping its alerts) and forgets it locally
+export async function deleteSavedSearch(stored: StoredSearch) {
+  const resp = await apiFetch(`/api/saved-searches/${encodeURIComponent(stored.id)}`, {
+    method: 'DELETE',
+    headers: ownerHeaders(stored),
+  });
+  if (!resp.ok && resp.status !== 404) throw new Error(await readApiError(resp, 'Could not delete saved search'));
+  forgetSearch(stored.id);
+}